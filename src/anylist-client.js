@@ -1,8 +1,16 @@
 import AnyList from '../anylist-js/lib/index.js';
 import Item from '../anylist-js/lib/item.js';
+import uuid from '../anylist-js/lib/uuid.js';
+import FormData from 'form-data';
 import { normalizeRecipe } from './recipe-normalizer.js';
-
-// Patch Item._encode to not include 'quantity' field which doesn't exist in protobuf schema
+import { buildQuantity, parseQuantity, amountToNumber, combineQuantities, formatQuantity } from './item-quantity.js';
+import { DEFAULT_CATEGORIES, findCategory, defaultCategoryName } from './categories.js';
+import { guessCategory } from './category-keywords.js';
+import { findDuplicate, clusterSimilar } from './item-matcher.js';
+import { parseItemText } from './item-parser.js';
+
+// Patch Item._encode to send the structured quantityPb (PBItemQuantity) instead of the
+// legacy 'quantity' field, which doesn't exist in the protobuf schema
 Item.prototype._encode = function() {
   return new this._protobuf.ListItem({
     identifier: this._identifier,
@@ -14,9 +22,48 @@ Item.prototype._encode = function() {
     userId: this._userId,
     categoryMatchId: this._categoryMatchId,
     manualSortIndex: this._manualSortIndex,
+    quantityPb: this._quantityPb ? new this._protobuf.PBItemQuantity(this._quantityPb) : null,
+    deprecatedQuantity: this._quantityPb ? this._quantityPb.rawQuantity : null,
+    storeIds: this._storeIds || [],
+    prices: (this._prices || []).map(price => new this._protobuf.PBItemPrice(price)),
   });
 };
 
+// PBListFolderItem.ItemType values
+const FOLDER_ITEM_LIST = 0;
+const FOLDER_ITEM_FOLDER = 1;
+
+// Operation handlers for item field changes, matching anylist-js Item.save()
+const ITEM_FIELD_HANDLERS = {
+  name: 'set-list-item-name',
+  quantity: 'set-list-item-quantity',
+  details: 'set-list-item-details',
+  checked: 'set-list-item-checked',
+  categoryMatchId: 'set-list-item-category-match-id',
+  manualSortIndex: 'set-list-item-sort-order',
+};
+
+const SET_ITEM_STORES_HANDLER = 'set-list-item-store-ids';
+const SET_ITEM_PRICE_HANDLER = 'set-list-item-price';
+
+// PBOperationMetadata.OperationClass values for list operations that aren't about items
+const OPERATION_CLASS = {
+  store: 1,
+  storeFilter: 2,
+  listCategory: 3,
+  listCategoryGroup: 4,
+  listCategorizationRule: 5,
+};
+
+// PBListSettings.listItemSortOrder and badgeMode values
+const LIST_SORT_ORDERS = ['manual', 'alphabetical'];
+const BADGE_MODES = ['none', 'unchecked-items'];
+
+/** The most recent of several PBItemPrice-shaped prices (undated prices sort last). */
+function latestPrice(prices) {
+  return prices.reduce((latest, price) => (!latest || (price.date || '') > (latest.date || '') ? price : latest), null);
+}
+
 class AnyListClient {
   /**
    * @param {{ username?: string, password?: string, defaultListName?: string }} [credentials]
@@ -34,7 +81,7 @@ class AnyListClient {
   async connect(listName = null) {
     const username = this._username || process.env.ANYLIST_USERNAME;
     const password = this._password || process.env.ANYLIST_PASSWORD;
-    const targetListName = listName || this.defaultListName || process.env.ANYLIST_LIST_NAME;
+    const targetListName = this.resolveListName(listName);
 
     if (!username || !password) {
       const error = new Error('Missing AnyList credentials. Provide username and password.');
@@ -48,63 +95,1689 @@ class AnyListClient {
       throw error;
     }
 
-    // If already connected to the same list, skip reconnection
-    if (this.client && this.targetList && this.targetList.name === targetListName) {
-      return true;
+    // If already connected to the same list, skip reconnection
+    if (this.client && this.targetList && this.targetList.name === targetListName) {
+      return true;
+    }
+
+    try {
+      // Create AnyList client if not already authenticated
+      if (!this.client) {
+        this.client = new AnyList({
+          email: username,
+          password: password
+        });
+
+        // Authenticate
+        console.error(`Connecting to AnyList as ${username}...`);
+        await this.client.login();
+        console.error('Successfully authenticated with AnyList');
+
+        await this.client.getLists();
+      }
+
+      // Find the target list
+      console.error(`Looking for list: "${targetListName}"`);
+      this.targetList = this.client.getListByName(targetListName);
+
+      if (!this.targetList) {
+        const error = new Error(`List "${targetListName}" not found. Available lists: ${this.getAvailableListNames().join(', ')}`);
+        console.error(error.message);
+        throw error;
+      }
+
+      console.error(`Connected to list: "${this.targetList.name}"`);
+
+      return true;
+
+    } catch (error) {
+      const wrappedError = new Error(`Failed to connect to AnyList: ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Log in if this client hasn't yet, leaving the target list as it was. For callers that
+   * share a session's client with the user's tool calls (the HTTP scheduler and export
+   * route) and pass the list they want to each call instead of switching to it.
+   * @param {string|null} [listName] - A list that must exist, or null for the default list
+   */
+  async ensureConnected(listName = null) {
+    if (this.client) return;
+    const previous = this.targetList;
+    try {
+      await this.connect(listName);
+    } finally {
+      // Unless one of the user's tool calls has picked a list in the meantime
+      if (!this.targetList || this.targetList.name === this.resolveListName(listName)) this.targetList = previous;
+    }
+  }
+
+  /**
+   * The name of the list a call means: listName itself, or the configured default list.
+   * @param {string|null} listName
+   * @returns {string|null}
+   */
+  resolveListName(listName) {
+    return listName || this.defaultListName || process.env.ANYLIST_LIST_NAME || null;
+  }
+
+  /**
+   * The exact name of the list listName refers to (see _getListByName()).
+   * @throws {Error} when no list matches
+   */
+  getListName(listName) {
+    return this._listOrTarget(listName).name;
+  }
+
+  /**
+   * The named list, or the current one when listName is null.
+   * @throws {Error} when there is no such list, or no current list
+   */
+  _listOrTarget(listName) {
+    if (listName) {
+      if (!this.client) throw new Error('Not connected. Call connect() first.');
+      return this._getListByName(listName);
+    }
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    return this.targetList;
+  }
+
+  getAvailableListNames() {
+    if (!this.client || !this.client.lists) return [];
+    return this.client.lists.map(list => list.name);
+  }
+
+  getLists() {
+    if (!this.client || !this.client.lists) return [];
+    return this.client.lists.map(list => this._listSummary(list));
+  }
+
+  _listSummary(list) {
+    return {
+      name: list.name,
+      uncheckedCount: list.items ? list.items.filter(item => !item.checked).length : 0
+    };
+  }
+
+  // ===== LIST LIFECYCLE =====
+
+  /**
+   * Find a list by name (exact match first, then case-insensitive).
+   * @throws {Error} when no list matches
+   */
+  _getListByName(listName) {
+    const list = this.client.getListByName(listName)
+      || this.client.lists.find(l => l.name.toLowerCase() === listName.toLowerCase());
+    if (!list) {
+      throw new Error(`List "${listName}" not found. Available lists: ${this.getAvailableListNames().join(', ')}`);
+    }
+    return list;
+  }
+
+  /**
+   * Reload lists from AnyList, keeping targetList pointed at the fresh instance of the same list.
+   */
+  async _refreshLists() {
+    const targetId = this.targetList ? this.targetList.identifier : null;
+    await this.client.getLists();
+    this.targetList = targetId ? (this.client.getListById(targetId) || null) : null;
+  }
+
+  async createList(listName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      if (this.client.lists.some(l => l.name.toLowerCase() === listName.toLowerCase())) {
+        throw new Error(`A list named "${listName}" already exists`);
+      }
+      const identifier = uuid();
+      await this._sendListOperations([this._listOperation('new-shopping-list', {
+        listId: identifier,
+        list: new this.client.protobuf.ShoppingList({
+          identifier,
+          name: listName,
+          items: [],
+          timestamp: Date.now() / 1000,
+        }),
+      })]);
+      await this._refreshLists();
+      console.error(`Created list: ${listName}`);
+      return { identifier, name: listName };
+    } catch (error) {
+      throw new Error(`Failed to create list: ${error.message}`);
+    }
+  }
+
+  async renameList(listName, newName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const list = this._getListByName(listName);
+      if (this.client.lists.some(l => l !== list && l.name.toLowerCase() === newName.toLowerCase())) {
+        throw new Error(`A list named "${newName}" already exists`);
+      }
+      await this._sendListOperations([this._listOperation('set-list-name', {
+        listId: list.identifier,
+        updatedValue: newName,
+        originalValue: list.name,
+      })]);
+      const oldName = list.name;
+      list.name = newName;
+      if (this.defaultListName === oldName) this.defaultListName = newName;
+      console.error(`Renamed list "${oldName}" to "${newName}"`);
+      return { identifier: list.identifier, name: newName, previousName: oldName };
+    } catch (error) {
+      throw new Error(`Failed to rename list: ${error.message}`);
+    }
+  }
+
+  async deleteList(listName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const list = this._getListByName(listName);
+      await this._sendListOperations([this._listOperation('delete-list', {
+        listId: list.identifier,
+      })]);
+      this.client.lists = this.client.lists.filter(l => l.identifier !== list.identifier);
+      if (this.targetList && this.targetList.identifier === list.identifier) {
+        this.targetList = null;
+      }
+      console.error(`Deleted list: ${list.name}`);
+    } catch (error) {
+      throw new Error(`Failed to delete list: ${error.message}`);
+    }
+  }
+
+  // ===== LIST SHARING =====
+
+  /**
+   * Everyone a list is shared with, owner first.
+   * @param {string} listName
+   * @returns {{ list: string, members: Array<{ email: string|null, userId: string|null, fullName: string|null, isOwner: boolean, isYou: boolean }> }}
+   */
+  getListMembers(listName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const list = this._getListByName(listName);
+      return { list: list.name, members: this._getListMembers(list.identifier) };
+    } catch (error) {
+      throw new Error(`Failed to get list members: ${error.message}`);
+    }
+  }
+
+  /**
+   * Share a list with another AnyList account by email. AnyList invites the address
+   * if it doesn't have an account yet.
+   * @param {string} listName
+   * @param {string} email
+   * @returns {Promise<{ list: string, email: string }>}
+   */
+  async shareList(listName, email) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const address = email.trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+        throw new Error(`"${email}" is not a valid email address`);
+      }
+      const list = this._getListByName(listName);
+      if (this._getListMembers(list.identifier).some(m => (m.email || '').toLowerCase() === address)) {
+        throw new Error(`List "${list.name}" is already shared with ${address}`);
+      }
+      await this._sendListOperations([this._listOperation('share-list', {
+        listId: list.identifier,
+        updatedValue: address,
+      })]);
+      // Reload so sharedUsers picks up the user ID and name AnyList resolved for the address
+      await this._refreshLists();
+      console.error(`Shared list "${list.name}" with ${address}`);
+      return { list: list.name, email: address };
+    } catch (error) {
+      throw new Error(`Failed to share list: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop sharing a list with someone.
+   * @param {string} listName
+   * @param {string} member - Email address or full name of the member to remove
+   * @returns {Promise<{ list: string, email: string|null, fullName: string|null }>}
+   */
+  async unshareList(listName, member) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const list = this._getListByName(listName);
+      const members = this._getListMembers(list.identifier);
+      const lower = member.trim().toLowerCase();
+      const match = members.find(m => (m.email || '').toLowerCase() === lower || (m.fullName || '').toLowerCase() === lower);
+      if (!match) {
+        const known = members.filter(m => !m.isOwner).map(m => m.email || m.fullName);
+        throw new Error(`"${member}" is not a member of list "${list.name}". Members: ${known.join(', ') || '(none)'}`);
+      }
+      if (match.isOwner) {
+        throw new Error(`${match.email || match.fullName} owns list "${list.name}" and can't be removed`);
+      }
+      await this._sendListOperations([this._listOperation('unshare-list', {
+        listId: list.identifier,
+        updatedValue: match.userId || match.email,
+      })]);
+
+      const rawList = this._findRawList(list.identifier);
+      if (rawList) {
+        rawList.sharedUsers = (rawList.sharedUsers || [])
+          .filter(u => !(u.userId === match.userId && u.email === match.email));
+      }
+      console.error(`Stopped sharing list "${list.name}" with ${match.email || match.fullName}`);
+      return { list: list.name, email: match.email, fullName: match.fullName };
+    } catch (error) {
+      throw new Error(`Failed to unshare list: ${error.message}`);
+    }
+  }
+
+  _getListMembers(listId) {
+    const rawList = this._findRawList(listId);
+    const creator = rawList ? rawList.creator || null : null;
+    const members = ((rawList && rawList.sharedUsers) || []).map(user => ({
+      email: user.email || null,
+      userId: user.userId || null,
+      fullName: user.fullName || null,
+      isOwner: !!creator && user.userId === creator,
+      isYou: !!user.userId && user.userId === this.client.uid,
+    }));
+    // sharedUsers doesn't always list the owner, but ShoppingList.creator does
+    if (creator && !members.some(m => m.isOwner)) {
+      const isYou = creator === this.client.uid;
+      members.push({ email: isYou ? this.client.email : null, userId: creator, fullName: null, isOwner: true, isYou });
+    }
+    return members.sort((a, b) => b.isOwner - a.isOwner);
+  }
+
+  // ===== LIST FOLDERS =====
+
+  /**
+   * Build the folder tree of lists from the last user-data response.
+   * Lists that no folder references are placed at the root.
+   * @returns {{ identifier: string, name: string|null, folders: object[], lists: Array<{ name: string, uncheckedCount: number }> }|null}
+   *   Root node, or null when the account has no folder data
+   */
+  getListFolders() {
+    const response = this._getListFoldersResponse();
+    if (!response || !response.listFolders || response.listFolders.length === 0) return null;
+
+    const foldersById = new Map(response.listFolders.map(f => [f.identifier, f]));
+    const listsById = new Map(this.client.lists.map(l => [l.identifier, l]));
+    const placed = new Set();
+
+    const build = (folder, ancestors) => {
+      const node = { identifier: folder.identifier, name: folder.name || null, folders: [], lists: [] };
+      for (const entry of folder.items || []) {
+        if (entry.itemType === FOLDER_ITEM_FOLDER) {
+          const child = foldersById.get(entry.identifier);
+          if (child && !ancestors.has(child.identifier)) {
+            node.folders.push(build(child, new Set([...ancestors, child.identifier])));
+          }
+        } else {
+          const list = listsById.get(entry.identifier);
+          if (list) {
+            node.lists.push(this._listSummary(list));
+            placed.add(list.identifier);
+          }
+        }
+      }
+      return node;
+    };
+
+    const root = foldersById.get(response.rootFolderId) || { identifier: response.rootFolderId, name: null, items: [] };
+    const tree = build(root, new Set([root.identifier]));
+    tree.name = null;
+    for (const list of this.client.lists) {
+      if (!placed.has(list.identifier)) tree.lists.push(this._listSummary(list));
+    }
+    return tree;
+  }
+
+  async createFolder(folderName, parentFolderName = null) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const response = this._requireListFoldersResponse();
+      if (this._getFolders().some(f => f.name && f.name.toLowerCase() === folderName.toLowerCase())) {
+        throw new Error(`A folder named "${folderName}" already exists`);
+      }
+      const parentId = parentFolderName ? this._findFolder(parentFolderName).identifier : response.rootFolderId;
+      const identifier = uuid();
+      await this._sendListFolderOperations([this._listFolderOperation('create-folder', {
+        listFolder: { identifier, name: folderName, items: [], timestamp: Date.now() / 1000 },
+        updatedParentFolderId: parentId,
+      })]);
+      await this.client._getUserData(true);
+      console.error(`Created folder: ${folderName}`);
+      return { identifier, name: folderName };
+    } catch (error) {
+      throw new Error(`Failed to create folder: ${error.message}`);
+    }
+  }
+
+  async renameFolder(folderName, newName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const folder = this._findFolder(folderName);
+      await this._sendListFolderOperations([this._listFolderOperation('rename-folder', {
+        listFolder: { identifier: folder.identifier, name: newName, items: folder.items || [], folderSettings: folder.folderSettings || null },
+      })]);
+      await this.client._getUserData(true);
+      console.error(`Renamed folder "${folder.name}" to "${newName}"`);
+      return { identifier: folder.identifier, name: newName, previousName: folder.name };
+    } catch (error) {
+      throw new Error(`Failed to rename folder: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a list into a folder, or back to the top level when folderName is null.
+   */
+  async moveListToFolder(listName, folderName = null) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const response = this._requireListFoldersResponse();
+      const list = this._getListByName(listName);
+      const destinationId = folderName ? this._findFolder(folderName).identifier : response.rootFolderId;
+      const currentParent = this._getFolders(true).find(f => (f.items || []).some(i => i.identifier === list.identifier));
+      const originalId = currentParent ? currentParent.identifier : response.rootFolderId;
+      if (originalId === destinationId) {
+        return { list: list.name, folder: folderName, moved: false };
+      }
+      await this._sendListFolderOperations([this._listFolderOperation('move-items', {
+        folderItems: [{ identifier: list.identifier, itemType: FOLDER_ITEM_LIST }],
+        originalParentFolderId: originalId,
+        updatedParentFolderId: destinationId,
+      })]);
+      await this.client._getUserData(true);
+      console.error(`Moved list "${list.name}" to ${folderName ? `folder "${folderName}"` : 'the top level'}`);
+      return { list: list.name, folder: folderName, moved: true };
+    } catch (error) {
+      throw new Error(`Failed to move list: ${error.message}`);
+    }
+  }
+
+  _getListFoldersResponse() {
+    return (this.client && this.client._userData && this.client._userData.listFoldersResponse) || null;
+  }
+
+  _requireListFoldersResponse() {
+    const response = this._getListFoldersResponse();
+    if (!response || !response.rootFolderId) {
+      throw new Error('List folders are not available for this account');
+    }
+    return response;
+  }
+
+  // All folders, excluding the root unless includeRoot is set
+  _getFolders(includeRoot = false) {
+    const response = this._getListFoldersResponse();
+    if (!response || !response.listFolders) return [];
+    return response.listFolders.filter(f => includeRoot || f.identifier !== response.rootFolderId);
+  }
+
+  _findFolder(folderName) {
+    const folders = this._getFolders();
+    const folder = folders.find(f => f.name && f.name.toLowerCase() === folderName.toLowerCase());
+    if (!folder) {
+      throw new Error(`Folder "${folderName}" not found. Available folders: ${folders.map(f => f.name).join(', ') || 'none'}`);
+    }
+    return folder;
+  }
+
+  _listFolderOperation(handlerId, fields = {}) {
+    return new this.client.protobuf.PBListFolderOperation({
+      metadata: { operationId: uuid(), handlerId, userId: this.client.uid },
+      listDataId: this._getListFoldersResponse().listDataId,
+      ...fields,
+    });
+  }
+
+  async _sendListFolderOperations(operations) {
+    const opList = new this.client.protobuf.PBListFolderOperationList({ operations });
+    const form = new FormData();
+    form.append('operations', opList.toBuffer());
+    await this.client.client.post('data/list-folders/update', { body: form });
+  }
+
+  /**
+   * Add an item to the current list, or reactivate/update it if it already exists.
+   * New items added without a category are categorized with suggestCategory().
+   * Free-form text in itemName ("2 lbs chicken thighs for the curry") is split into name,
+   * quantity, unit and notes unless `parse` is false; `interpretation` reports the result.
+   * An item already on the list keeps its quantity unless one is given (or parsed).
+   * `listName` adds to another list without switching the current one.
+   * @returns {Promise<{ name: string, status: 'added'|'updated'|'unchecked', interpretation: object|null }>}
+   */
+  async addItem(itemName, quantity = null, notes = null, category = null, { unit = null, store = null, price = null, parse = true, listName = null } = {}) {
+    if (!(listName ? this.client : this.targetList)) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    let prepared = null;
+    try {
+      const entry = parse
+        ? this._interpretItemText({ name: itemName, quantity, unit, notes })
+        : { name: itemName, quantity, unit, notes, interpretation: null };
+      const list = listName ? this._getListByName(listName) : this.targetList;
+      prepared = this._prepareAddItem(entry.name, entry.quantity, entry.notes, category, { unit: entry.unit, store, price, list });
+      await this._sendListOperations(prepared.operations);
+      prepared.commit();
+      return { name: prepared.name, status: prepared.status, interpretation: entry.interpretation };
+    } catch (error) {
+      if (prepared) prepared.rollback();
+      const wrappedError = new Error(`Failed to add item "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Split free-form item text into an add request's fields. Values the caller passed
+   * explicitly (a quantity, a unit, notes) win over parsed ones.
+   * @returns {{ name: string, quantity: number|string|null, unit: string|null, notes: string|null,
+   *   interpretation: { name: string, quantity: number|string|null, unit: string|null, notes: string|null }|null }}
+   *   interpretation is null when the text was just a plain item name; quantity is null when
+   *   neither the caller nor the text gave one
+   */
+  _interpretItemText({ name, quantity = null, unit = null, notes = null }) {
+    const parsed = parseItemText(name);
+    if (parsed.name === name.trim() && parsed.quantity === null && parsed.notes === null) {
+      return { name, quantity, unit, notes, interpretation: null };
+    }
+    const fields = {
+      name: parsed.name,
+      quantity: quantity !== null ? quantity : parsed.quantity,
+      unit: unit || parsed.unit,
+      notes: notes !== null ? notes : parsed.notes,
+    };
+    return { ...fields, interpretation: { ...fields } };
+  }
+
+  /**
+   * An item on the list that is the same as itemName spelled differently, so adding it
+   * updates that item instead of creating a near-duplicate.
+   */
+  _findSimilarItem(list, itemName) {
+    const items = list.items || [];
+    const match = findDuplicate(itemName, items.map(i => i.name));
+    return match ? items.find(i => i.name === match) : null;
+  }
+
+  /**
+   * Add many items to the current list in a single request.
+   * @param {Array<{ name: string, quantity?: number, unit?: string, notes?: string, category?: string, store?: string, price?: number }>} entries
+   * Each name is interpreted like addItem() text ("2 lbs chicken thighs") unless `parse` is false.
+   * @returns {Promise<Array<{ name: string, success: boolean, status?: string, interpretation?: object|null, error?: string }>>}
+   *   One result per entry, in input order
+   */
+  async addItems(entries, { parse = true } = {}) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    const results = [];
+    const prepared = [];
+    const seen = [];
+    for (const entry of entries) {
+      if (!(entry.name || '').trim()) {
+        results.push({ name: entry.name || '', success: false, error: 'Item name is required' });
+        continue;
+      }
+      const fields = {
+        name: entry.name,
+        quantity: entry.quantity || null,
+        unit: entry.unit || null,
+        notes: entry.notes || null,
+      };
+      const parsed = parse ? this._interpretItemText(fields) : { ...fields, interpretation: null };
+      if (findDuplicate(parsed.name, seen)) {
+        results.push({ name: entry.name, success: false, error: 'Item listed more than once in this batch' });
+        continue;
+      }
+      seen.push(parsed.name);
+      try {
+        const change = this._prepareAddItem(parsed.name, parsed.quantity, parsed.notes, entry.category || null, { unit: parsed.unit, store: entry.store || null, price: entry.price ?? null });
+        const result = { name: change.name, success: true, status: change.status, interpretation: parsed.interpretation };
+        results.push(result);
+        prepared.push({ ...change, result });
+      } catch (error) {
+        results.push({ name: entry.name, success: false, error: error.message });
+      }
+    }
+
+    await this._sendPreparedBatch(prepared, 'add items');
+    return results;
+  }
+
+  /**
+   * Build the operations needed to add or reactivate an item without sending them.
+   * Existing items are mutated in place, and rollback() restores them if sending fails; new
+   * items are only added to the local list by commit().
+   * A null quantity leaves an existing item's quantity alone (and means 1 for a new item).
+   * A store (by name) is added to an existing item's stores, or set on a new item. A price is
+   * recorded for that store, or without a store when none is given.
+   */
+  _prepareAddItem(itemName, quantity = null, notes = null, category = null, { unit = null, store = null, price = null, list = this.targetList } = {}) {
+    const storeId = store ? this._requireStore(list.identifier, store).identifier : null;
+
+    // First, check if item already exists, allowing plural/spelling variants ("tomato" vs "Tomatoes")
+    const existingItem = list.getItemByName(itemName) || this._findSimilarItem(list, itemName);
+
+    if (existingItem) {
+      // What the changes below overwrite, for rollback()
+      const previous = {
+        _checked: existingItem._checked,
+        _quantity: existingItem._quantity,
+        _quantityPb: existingItem._quantityPb,
+        _details: existingItem._details,
+        _storeIds: existingItem._storeIds,
+        _prices: existingItem._prices,
+      };
+      let status;
+      // Item exists - check if it's checked (completed)
+      if (existingItem.checked) {
+        // Uncheck the item to make it active again
+        existingItem.checked = false;
+        console.error(`Unchecking existing item: ${existingItem.name}`);
+        status = 'unchecked';
+      } else {
+        // Item already exists and is unchecked, just refresh its quantity and notes
+        console.error(`Item "${itemName}" already exists and is active`);
+        status = 'updated';
+      }
+      if (quantity !== null) {
+        this._setItemQuantity(existingItem, quantity, unit);
+      }
+      if (notes !== null) {
+        existingItem.details = notes;
+      }
+      // Category not used if item already has a category
+
+      const operations = this._itemUpdateOperations(existingItem);
+      const storeIds = this._getItemStoreIds(existingItem);
+      if (storeId && !storeIds.includes(storeId)) {
+        operations.push(this._setItemStores(existingItem, [...storeIds, storeId]));
+      }
+      if (price !== null) {
+        operations.push(this._recordItemPrice(existingItem, price, storeId));
+      }
+
+      return {
+        name: existingItem.name,
+        status,
+        operations,
+        commit: () => {},
+        rollback: () => {
+          Object.assign(existingItem, previous);
+        },
+      };
+    }
+
+    // Item doesn't exist, create new one
+    const itemOptions = { name: itemName, listId: list.identifier };
+    if (notes !== null) {
+      itemOptions.details = notes;
+    }
+    const categoryMatchId = category || this.suggestCategory(itemName, list.identifier);
+    if (categoryMatchId && categoryMatchId !== "other") {
+      itemOptions.categoryMatchId = categoryMatchId;
+    }
+
+    const newItem = this.client.createItem(itemOptions);
+    // Quantity travels inside the encoded ListItem (see the _encode patch above)
+    if ((quantity !== null && quantity !== 1) || unit) {
+      newItem._quantityPb = buildQuantity(quantity ?? 1, unit);
+      newItem._quantity = newItem._quantityPb.rawQuantity;
+    }
+    if (storeId) {
+      newItem._storeIds = [storeId];
+    }
+    if (price !== null) {
+      newItem._prices = [this._buildPrice(price, storeId)];
+    }
+
+    return {
+      name: newItem.name,
+      status: 'added',
+      operations: [this._listOperation('add-shopping-list-item', {
+        listId: list.identifier,
+        listItemId: newItem.identifier,
+        listItem: newItem._encode(),
+      })],
+      commit: () => {
+        list.items.push(newItem);
+        console.error(`Added new item: ${newItem.name}`);
+      },
+      rollback: () => {},
+    };
+  }
+
+  /**
+   * Send the operations of several prepared item changes in one request, then commit them.
+   * If the request fails, every prepared change is rolled back and its result marked as failed.
+   * @param {Array<{ operations: object[], commit: Function, rollback?: Function, result: object }>} prepared
+   */
+  async _sendPreparedBatch(prepared, description) {
+    if (prepared.length === 0) return;
+    try {
+      await this._sendListOperations(prepared.flatMap(p => p.operations));
+      for (const p of prepared) p.commit();
+      console.error(`Batch ${description}: ${prepared.length} items`);
+    } catch (error) {
+      console.error(`Failed to ${description}: ${error.message}`);
+      for (const p of prepared) {
+        if (p.rollback) p.rollback();
+        p.result.success = false;
+        p.result.error = error.message;
+        delete p.result.status;
+      }
+    }
+  }
+
+  /**
+   * Set a structured quantity on an existing item. The change is queued on the item
+   * and sent with the next save() as a set-list-item-quantity operation.
+   */
+  _setItemQuantity(item, quantity, unit = null) {
+    const current = this._getItemQuantity(item);
+    if (quantity === 1 && !unit && !current) return;
+    const quantityPb = buildQuantity(quantity, unit);
+    item._quantityPb = quantityPb;
+    item.quantity = quantityPb.rawQuantity;
+  }
+
+  /**
+   * Read an item's structured quantity. anylist-js drops quantityPb when it builds Item
+   * instances, so fall back to the raw ListItem from the last user-data response.
+   * @returns {{ amount: string|null, unit: string|null, rawQuantity: string }|null}
+   */
+  _getItemQuantity(item) {
+    if (item._quantityPb) return item._quantityPb;
+    const raw = this._findRawListItem(item.listId, item.identifier);
+    if (raw && raw.quantityPb && (raw.quantityPb.amount || raw.quantityPb.rawQuantity)) {
+      if (raw.quantityPb.amount) return buildQuantity(raw.quantityPb.amount, raw.quantityPb.unit || null);
+      return parseQuantity(raw.quantityPb.rawQuantity);
+    }
+    if (raw && raw.deprecatedQuantity) return parseQuantity(raw.deprecatedQuantity);
+    if (item.quantity !== undefined && item.quantity !== null && item.quantity !== '') {
+      return parseQuantity(String(item.quantity));
+    }
+    return null;
+  }
+
+  _findRawListItem(listId, itemId) {
+    const list = this._findRawList(listId);
+    if (!list || !list.items) return null;
+    return list.items.find(i => i.identifier === itemId) || null;
+  }
+
+  /**
+   * The raw ShoppingList message for a list from the last user-data response, for fields
+   * anylist-js doesn't copy onto List instances.
+   */
+  _findRawList(listId) {
+    const response = this.client && this.client._userData && this.client._userData.shoppingListsResponse;
+    if (!response) return null;
+    const lists = [...(response.newLists || []), ...(response.modifiedLists || [])];
+    return lists.find(l => l.identifier === listId) || null;
+  }
+
+  /**
+   * Update fields on an existing item in place.
+   * @param {string} itemName - Exact name of the item to update
+   * @param {{ name?: string, notes?: string, quantity?: number, unit?: string, category?: string }} changes
+   *   Any subset of fields to change. Pass notes as "" to clear them.
+   * @returns {Promise<{ name: string, changed: string[] }>} changed lists only the fields whose value changed
+   */
+  async updateItem(itemName, changes = {}) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    let prepared = null;
+    try {
+      const existingItem = this.targetList.getItemByName(itemName);
+
+      if (!existingItem) {
+        const error = new Error(`Item "${itemName}" not found in list, so can't update it`);
+        console.error(error.message);
+        throw error;
+      }
+
+      prepared = this._prepareUpdateItem(existingItem, changes);
+      if (prepared.changed.length > 0) {
+        await this._sendListOperations(prepared.operations);
+        prepared.commit();
+        console.error(`Updated item "${itemName}": ${prepared.changed.join(', ')}`);
+      } else {
+        console.error(`Item "${itemName}" already up to date`);
+      }
+
+      return { name: prepared.name, changed: prepared.changed };
+    } catch (error) {
+      if (prepared) prepared.rollback();
+      const wrappedError = new Error(`Failed to update item "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Build the operations for updateItem() without sending them, like _prepareAddItem(): the
+   * item is changed in place and rollback() restores it if sending fails. Fields already
+   * holding the requested value are left out of `changed` and send nothing.
+   */
+  _prepareUpdateItem(existingItem, { name = null, notes = null, quantity = null, unit = null, category = null, store = null, price = null } = {}) {
+    // What the changes below overwrite, for rollback()
+    const previous = {
+      _name: existingItem._name,
+      _details: existingItem._details,
+      _quantity: existingItem._quantity,
+      _quantityPb: existingItem._quantityPb,
+      _categoryMatchId: existingItem._categoryMatchId,
+      _storeIds: existingItem._storeIds,
+      _prices: existingItem._prices,
+    };
+    const rollback = () => {
+      Object.assign(existingItem, previous);
+      existingItem._fieldsToUpdate = [];
+    };
+
+    try {
+      const changed = [];
+      if (name !== null && name !== existingItem.name) {
+        existingItem.name = name;
+        changed.push('name');
+      }
+      if (notes !== null && notes !== (existingItem.details || '')) {
+        existingItem.details = notes;
+        changed.push('notes');
+      }
+      if (quantity !== null || unit !== null) {
+        const current = this._getItemQuantity(existingItem);
+        const amount = quantity !== null ? quantity : (current && current.amount) || 1;
+        const newUnit = unit !== null ? unit : (current && current.unit) || null;
+        const next = buildQuantity(amount, newUnit);
+        const same = current
+          ? current.amount === next.amount && (current.unit || null) === next.unit
+          : next.amount === '1' && !next.unit;
+        if (!same) {
+          this._setItemQuantity(existingItem, amount, newUnit);
+          changed.push('quantity');
+        }
+      }
+      if (category !== null && category !== existingItem.categoryMatchId) {
+        existingItem.categoryMatchId = category;
+        changed.push('category');
+      }
+      const operations = this._itemUpdateOperations(existingItem);
+      if (store !== null) {
+        // An empty store name unassigns the item from all stores
+        const storeIds = store === '' ? [] : [this._requireStore(existingItem.listId, store).identifier];
+        const current = this._getItemStoreIds(existingItem);
+        if (storeIds.length !== current.length || storeIds.some(id => !current.includes(id))) {
+          operations.push(this._setItemStores(existingItem, storeIds));
+          changed.push('store');
+        }
+      }
+      if (price !== null) {
+        // The price belongs to the store just assigned, else the item's only store, else no store
+        const storeIds = this._getItemStoreIds(existingItem);
+        const priceStoreId = storeIds.length === 1 ? storeIds[0] : null;
+        operations.push(this._recordItemPrice(existingItem, price, priceStoreId));
+        changed.push('price');
+      }
+
+      return { name: existingItem.name, changed, operations, commit: () => {}, rollback };
+    } catch (error) {
+      // An unknown store fails after other fields have been changed
+      rollback();
+      throw error;
+    }
+  }
+
+
+  async deleteItem(itemName) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const existingItem = this.targetList.getItemByName(itemName);
+
+      if (!existingItem) {
+        const error = new Error(`Item "${itemName}" not found in list, so can't delete it`);
+        console.error(error.message);
+        throw error;
+      }
+
+      await this.targetList.removeItem(existingItem);
+      console.error(`Deleted item: ${existingItem.name}`);
+
+    } catch (error) {
+      const wrappedError = new Error(`Failed to delete item "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Check off an item on the current list.
+   * @returns {Promise<boolean>} false when the item was already checked off
+   */
+  async removeItem(itemName) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      // Find the item by name
+      const existingItem = this.targetList.getItemByName(itemName);
+
+      if (!existingItem) {
+        const error = new Error(`Item "${itemName}" not found in list, so can't check it`);
+        console.error(error.message);
+        throw error;
+      }
+
+      // Check the item (mark as completed) instead of deleting
+      if (existingItem.checked) {
+        console.error(`Item "${itemName}" is already checked off`);
+        return false;
+      }
+      existingItem.checked = true;
+      await existingItem.save();
+      console.error(`Checked off item: ${existingItem.name}`);
+      return true;
+    } catch (error) {
+      const wrappedError = new Error(`Failed to remove item "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Check off many items on the current list in a single request.
+   * @param {string[]} itemNames - Exact item names
+   * @returns {Promise<Array<{ name: string, success: boolean, status?: string, error?: string }>>}
+   */
+  async checkItems(itemNames) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    const results = [];
+    const prepared = [];
+    for (const itemName of itemNames) {
+      const existingItem = this.targetList.getItemByName(itemName);
+      if (!existingItem) {
+        results.push({ name: itemName, success: false, error: `Item "${itemName}" not found in list, so can't check it` });
+        continue;
+      }
+      if (existingItem.checked) {
+        results.push({ name: itemName, success: true, status: 'already checked' });
+        continue;
+      }
+      existingItem.checked = true;
+      const result = { name: itemName, success: true, status: 'checked' };
+      results.push(result);
+      prepared.push({
+        operations: this._itemUpdateOperations(existingItem),
+        commit: () => {},
+        rollback: () => { existingItem._checked = false; },
+        result,
+      });
+    }
+
+    await this._sendPreparedBatch(prepared, 'check items');
+    return results;
+  }
+
+  /**
+   * Permanently delete many items from the current list in a single request.
+   * @param {string[]} itemNames - Exact item names
+   * @returns {Promise<Array<{ name: string, success: boolean, status?: string, error?: string }>>}
+   */
+  async deleteItems(itemNames) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    const results = [];
+    const prepared = [];
+    const list = this.targetList;
+    for (const itemName of itemNames) {
+      const existingItem = list.getItemByName(itemName);
+      if (!existingItem || prepared.some(p => p.result.name === itemName)) {
+        results.push({ name: itemName, success: false, error: `Item "${itemName}" not found in list, so can't delete it` });
+        continue;
+      }
+      const result = { name: itemName, success: true, status: 'deleted' };
+      results.push(result);
+      prepared.push({
+        operations: [this._listOperation('remove-shopping-list-item', {
+          listId: list.identifier,
+          listItemId: existingItem.identifier,
+          listItem: existingItem._encode(),
+        })],
+        commit: () => {
+          list.items = list.items.filter(i => i.identifier !== existingItem.identifier);
+        },
+        result,
+      });
+    }
+
+    await this._sendPreparedBatch(prepared, 'delete items');
+    return results;
+  }
+
+  /**
+   * Groups of unchecked items on the current list that look like the same thing
+   * ("Eggs", "eggs (dozen)", "Large eggs"), for the user to review before merging.
+   * @returns {Array<Array<{ name: string, quantity: string|null, notes: string|null }>>}
+   */
+  findDuplicateItems() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    const unchecked = this.targetList.items.filter(item => !item.checked);
+    return clusterSimilar(unchecked.map(item => item.name)).map(group => group.map(name => {
+      const item = unchecked.find(i => i.name === name);
+      const quantity = this._getItemQuantity(item);
+      return { name, quantity: quantity ? formatQuantity(quantity) : null, notes: item.details || null };
+    }));
+  }
+
+  /**
+   * Merge several items into one: the kept item gets the combined quantity (see
+   * combineQuantities()) and everyone's notes, and the others are deleted, all in one request.
+   * @param {string[]} itemNames - Exact names of the items to merge, at least two
+   * @param {string|null} [into] - Which of them to keep; defaults to the first
+   * @returns {Promise<{ name: string, quantity: string|null, notes: string|null, removed: string[] }>}
+   */
+  async mergeItems(itemNames, into = null) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const list = this.targetList;
+      const names = [...new Set(itemNames)];
+      if (names.length < 2) {
+        throw new Error('At least two different items are needed to merge');
+      }
+      const items = names.map(name => {
+        const item = list.getItemByName(name);
+        if (!item) throw new Error(`Item "${name}" not found in list`);
+        return item;
+      });
+      const keepName = into || names[0];
+      const kept = items.find(item => item.name === keepName);
+      if (!kept) {
+        throw new Error(`Item to keep "${keepName}" must be one of the items being merged`);
+      }
+      const others = items.filter(item => item !== kept);
+
+      const quantity = combineQuantities(items.map(item => this._getItemQuantity(item)));
+      const notes = [...new Set(items.map(item => (item.details || '').trim()).filter(Boolean))].join('; ');
+      if (quantity && formatQuantity(quantity) !== formatQuantity(this._getItemQuantity(kept))) {
+        kept._quantityPb = quantity;
+        kept.quantity = quantity.rawQuantity;
+      }
+      if (notes !== (kept.details || '')) {
+        kept.details = notes;
+      }
+      if (kept.checked) {
+        kept.checked = false;
+      }
+
+      await this._sendListOperations([
+        ...this._itemUpdateOperations(kept),
+        ...others.map(item => this._listOperation('remove-shopping-list-item', {
+          listId: list.identifier,
+          listItemId: item.identifier,
+          listItem: item._encode(),
+        })),
+      ]);
+      const removedIds = others.map(item => item.identifier);
+      list.items = list.items.filter(item => !removedIds.includes(item.identifier));
+      console.error(`Merged ${others.map(item => item.name).join(', ')} into "${kept.name}"`);
+
+      return {
+        name: kept.name,
+        quantity: quantity ? formatQuantity(quantity) : null,
+        notes: notes || null,
+        removed: others.map(item => item.name),
+      };
+    } catch (error) {
+      const wrappedError = new Error(`Failed to merge items: ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Move an item to another list, preserving its notes, category and quantity.
+   * The add and the removal are sent in the same request.
+   */
+  async moveItem(itemName, fromListName, toListName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const [result] = await this._transferItems(fromListName, toListName, [itemName], { removeFromSource: true });
+      if (!result.success) throw new Error(result.error);
+      console.error(`Moved item "${itemName}" from "${fromListName}" to "${toListName}"`);
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to move item "${itemName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Copy items to another list, preserving notes, category and quantity.
+   * @param {string} fromListName
+   * @param {string} toListName
+   * @param {string[]|null} [itemNames] - Items to copy; defaults to every unchecked item on the source list
+   * @returns {Promise<Array<{ name: string, success: boolean, status?: string, error?: string }>>}
+   */
+  async copyItems(fromListName, toListName, itemNames = null) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      return await this._transferItems(fromListName, toListName, itemNames);
+    } catch (error) {
+      throw new Error(`Failed to copy items: ${error.message}`);
+    }
+  }
+
+  async _transferItems(fromListName, toListName, itemNames = null, { removeFromSource = false } = {}) {
+    const source = this._getListByName(fromListName);
+    const destination = this._getListByName(toListName);
+    if (source.identifier === destination.identifier) {
+      throw new Error('Source and destination lists must be different');
+    }
+
+    const selected = itemNames
+      ? itemNames.map(name => ({
+        name,
+        item: source.getItemByName(name) || source.items.find(i => i.name.toLowerCase() === name.toLowerCase()) || null,
+      }))
+      : source.items.filter(i => !i.checked).map(item => ({ name: item.name, item }));
+
+    const results = [];
+    const prepared = [];
+    for (const { name, item } of selected) {
+      if (!item) {
+        results.push({ name, success: false, error: `Item "${name}" not found in list "${source.name}"` });
+        continue;
+      }
+      try {
+        const quantity = this._getItemQuantity(item);
+        const change = this._prepareAddItem(
+          item.name,
+          quantity && quantity.amount ? quantity.amount : null,
+          item.details || null,
+          item.categoryMatchId || "other",
+          { unit: quantity ? quantity.unit : null, list: destination }
+        );
+        if (removeFromSource) {
+          change.operations.push(this._listOperation('remove-shopping-list-item', {
+            listId: source.identifier,
+            listItemId: item.identifier,
+            listItem: item._encode(),
+          }));
+          const addCommit = change.commit;
+          change.commit = () => {
+            addCommit();
+            source.items = source.items.filter(i => i.identifier !== item.identifier);
+          };
+        }
+        const result = { name: change.name, success: true, status: change.status };
+        results.push(result);
+        prepared.push({ ...change, result });
+      } catch (error) {
+        results.push({ name, success: false, error: error.message });
+      }
+    }
+
+    await this._sendPreparedBatch(prepared, `${removeFromSource ? 'move' : 'copy'} items from "${source.name}" to "${destination.name}"`);
+    return results;
+  }
+
+  async uncheckItem(itemName) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const existingItem = this.targetList.getItemByName(itemName);
+
+      if (!existingItem) {
+        const error = new Error(`Item "${itemName}" not found in list, so can't uncheck it`);
+        console.error(error.message);
+        throw error;
+      }
+
+      if (existingItem.checked) {
+        existingItem.checked = false;
+        await existingItem.save();
+        console.error(`Unchecked item: ${existingItem.name}`);
+      } else {
+        console.error(`Item "${itemName}" is not checked off`);
+      }
+    } catch (error) {
+      const wrappedError = new Error(`Failed to uncheck item "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Uncheck every checked item on the current list.
+   * @returns {Promise<number>} Number of items that were unchecked
+   */
+  async uncheckAll() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const checkedItems = this.targetList.items.filter(item => item.checked);
+      if (checkedItems.length === 0) return 0;
+
+      await this.targetList.uncheckAll();
+      // uncheckAll() only sends the operation; mirror it locally without queuing per-item updates
+      for (const item of checkedItems) {
+        item._checked = false;
+      }
+      console.error(`Unchecked ${checkedItems.length} items on "${this.targetList.name}"`);
+      return checkedItems.length;
+    } catch (error) {
+      const wrappedError = new Error(`Failed to uncheck all items: ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Permanently delete every checked item on the current list in a single request.
+   * @returns {Promise<string[]>} Names of the deleted items
+   */
+  async clearChecked() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const checkedItems = this.targetList.items.filter(item => item.checked);
+      if (checkedItems.length === 0) return [];
+
+      const operations = checkedItems.map(item => this._listOperation('remove-shopping-list-item', {
+        listId: this.targetList.identifier,
+        listItemId: item.identifier,
+        listItem: item._encode(),
+      }));
+      await this._sendListOperations(operations);
+
+      const removedIds = new Set(checkedItems.map(item => item.identifier));
+      this.targetList.items = this.targetList.items.filter(item => !removedIds.has(item.identifier));
+      console.error(`Cleared ${checkedItems.length} checked items from "${this.targetList.name}"`);
+      return checkedItems.map(item => item.name);
+    } catch (error) {
+      const wrappedError = new Error(`Failed to clear checked items: ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Items on the current list, in the list's sort order (see getListSettings()).
+   * @param {boolean} [includeChecked]
+   * @param {boolean} [includeNotes]
+   * @param {{ store?: string|null, includeUnassigned?: boolean|null, listName?: string|null }} [filter] - Only
+   *   items at this store (or in this saved store filter). Items with no store are included when
+   *   includeUnassigned is true; null uses the saved filter's own setting. listName reads another
+   *   list without switching to it.
+   * Items nobody gave a quantity have quantity null rather than 1.
+   */
+  async getItems(includeChecked = false, includeNotes = false, { store = null, includeUnassigned = null, listName = null } = {}) {
+    const list = this._listOrTarget(listName);
+
+    try {
+      // Get all items from the list
+      const items = list.items || [];
+
+      // Filter based on checked status
+      let filteredItems = includeChecked
+        ? items
+        : items.filter(item => !item.checked);
+
+      let view = null;
+      if (store) {
+        view = this._resolveStoreView(list.identifier, store);
+        const withUnassigned = includeUnassigned !== null ? includeUnassigned : view.includesUnassignedItems;
+        filteredItems = filteredItems.filter(item => {
+          const storeIds = this._getItemStoreIds(item);
+          if (storeIds.length === 0) return withUnassigned;
+          return view.showsAllItems || storeIds.some(id => view.storeIds.includes(id));
+        });
+      }
+
+      // In the list's own sort order: by name, or as arranged by hand in the apps
+      const { sortOrder } = this.getListSettings(listName);
+      filteredItems = sortOrder === 'alphabetical'
+        ? [...filteredItems].sort((a, b) => a.name.localeCompare(b.name))
+        : [...filteredItems].sort((a, b) => (a.manualSortIndex || 0) - (b.manualSortIndex || 0));
+
+      const listCategories = this._getListCategories(list.identifier);
+      const stores = this._getStores(list.identifier);
+
+      // Map to a clean format
+      return filteredItems.map(item => {
+        const category = this._getItemCategory(item, listCategories);
+        const quantityPb = this._getItemQuantity(item);
+        const amount = quantityPb ? amountToNumber(quantityPb.amount) : null;
+        const result = {
+          name: item.name,
+          quantity: amount,
+          unit: quantityPb ? quantityPb.unit : null,
+          checked: item.checked || false,
+          category: category.matchId,
+          categoryName: category.name,
+          stores: this._getItemStoreIds(item)
+            .map(id => stores.find(s => s.identifier === id))
+            .filter(Boolean)
+            .map(s => s.name),
+        };
+        // When filtering by store, prefer the price at one of those stores
+        const prices = this._getItemPrices(item);
+        const price = latestPrice(view ? prices.filter(p => view.storeIds.includes(p.storeId)) : [])
+          || latestPrice(prices);
+        if (price) {
+          const priceStore = stores.find(s => s.identifier === price.storeId);
+          result.price = price.amount;
+          result.priceStore = priceStore ? priceStore.name : null;
+        }
+        if (includeNotes && item.details) {
+          result.note = item.details;
+        }
+        return result;
+      });
+    } catch (error) {
+      const wrappedError = new Error(`Failed to get items: ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  // ===== RAW LIST OPERATIONS =====
+
+  _listOperation(handlerId, fields = {}, operationClass = null) {
+    const metadata = { operationId: uuid(), handlerId, userId: this.client.uid };
+    if (operationClass !== null) metadata.operationClass = operationClass;
+    return new this.client.protobuf.PBListOperation({ metadata, ...fields });
+  }
+
+  /**
+   * Turn an item's queued field changes into PBListOperations (the same ones Item.save() sends)
+   * and clear the queue.
+   */
+  _itemUpdateOperations(item) {
+    const fields = [...new Set(item._fieldsToUpdate)];
+    item._fieldsToUpdate = [];
+    return fields.map(field => {
+      const value = item[field];
+      return this._listOperation(ITEM_FIELD_HANDLERS[field], {
+        listId: item.listId,
+        listItemId: item.identifier,
+        updatedValue: typeof value === 'boolean' ? (value ? 'y' : 'n') : String(value ?? ''),
+      });
+    });
+  }
+
+  /**
+   * Send several PBListOperations to AnyList in one request.
+   */
+  async _sendListOperations(operations, endpoint = 'data/shopping-lists/update') {
+    if (operations.length === 0) return;
+    const opList = new this.client.protobuf.PBListOperationList({ operations });
+    const form = new FormData();
+    form.append('operations', opList.toBuffer());
+    await this.client.client.post(endpoint, { body: form });
+  }
+
+  // ===== STORES =====
+
+  /**
+   * The current list's stores, in the list's order.
+   * @returns {Array<{ identifier: string, name: string, sortIndex: number }>}
+   */
+  getStores() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    return this._getStores(this.targetList.identifier).map(store => ({
+      identifier: store.identifier,
+      name: store.name,
+      sortIndex: Number(store.sortIndex) || 0,
+    }));
+  }
+
+  /**
+   * The current list's saved store filters.
+   * @returns {Array<{ identifier: string, name: string, stores: string[], includesUnassignedItems: boolean }>}
+   */
+  getStoreFilters() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    const listId = this.targetList.identifier;
+    const stores = this._getStores(listId);
+    const listResponse = this._getListResponse(listId);
+    return ((listResponse && listResponse.storeFilters) || [])
+      .slice()
+      .sort((a, b) => (Number(a.sortIndex) || 0) - (Number(b.sortIndex) || 0))
+      .map(filter => ({
+        identifier: filter.identifier,
+        name: filter.name,
+        stores: (filter.storeIds || []).map(id => stores.find(s => s.identifier === id)).filter(Boolean).map(s => s.name),
+        includesUnassignedItems: !!filter.includesUnassignedItems,
+      }));
+  }
+
+  /**
+   * Create a store on the current list.
+   * @returns {Promise<{ identifier: string, name: string }>}
+   */
+  async createStore(name) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+
+    try {
+      const listId = this.targetList.identifier;
+      const stores = this._getStores(listId);
+      if (this._findStore(listId, name)) {
+        throw new Error(`Store "${name}" already exists on list "${this.targetList.name}"`);
+      }
+
+      const store = new this.client.protobuf.PBStore({
+        identifier: uuid(),
+        listId,
+        name: name.trim(),
+        sortIndex: stores.reduce((max, s) => Math.max(max, Number(s.sortIndex) || 0), -1) + 1,
+      });
+      await this._sendListOperations([this._listOperation('new-store', {
+        listId,
+        updatedStore: store,
+      }, OPERATION_CLASS.store)]);
+
+      let listResponse = this._getListResponse(listId);
+      if (!listResponse) {
+        listResponse = { listId, stores: [] };
+        this.client._userData.shoppingListsResponse.listResponses.push(listResponse);
+      }
+      if (!listResponse.stores) listResponse.stores = [];
+      listResponse.stores.push(store);
+
+      console.error(`Created store "${store.name}" on "${this.targetList.name}"`);
+      return { identifier: store.identifier, name: store.name };
+    } catch (error) {
+      const wrappedError = new Error(`Failed to create store "${name}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
+
+  _getStores(listId) {
+    const listResponse = this._getListResponse(listId);
+    return ((listResponse && listResponse.stores) || [])
+      .slice()
+      .sort((a, b) => (Number(a.sortIndex) || 0) - (Number(b.sortIndex) || 0));
+  }
+
+  _findStore(listId, name) {
+    const lower = name.trim().toLowerCase();
+    return this._getStores(listId).find(s => (s.name || '').toLowerCase() === lower) || null;
+  }
+
+  _requireStore(listId, name) {
+    const store = this._findStore(listId, name);
+    if (!store) {
+      const names = this._getStores(listId).map(s => s.name);
+      throw new Error(`Store "${name}" not found. Available stores: ${names.length > 0 ? names.join(', ') : '(none)'}`);
+    }
+    return store;
+  }
+
+  /**
+   * Resolve a name to the set of stores it shows: a saved store filter by that name,
+   * otherwise a single store.
+   */
+  _resolveStoreView(listId, name) {
+    const lower = name.trim().toLowerCase();
+    const listResponse = this._getListResponse(listId);
+    const filter = ((listResponse && listResponse.storeFilters) || []).find(f => (f.name || '').toLowerCase() === lower);
+    if (filter) {
+      return {
+        storeIds: filter.storeIds || [],
+        includesUnassignedItems: !!filter.includesUnassignedItems,
+        showsAllItems: !!filter.showsAllItems,
+      };
+    }
+    const store = this._requireStore(listId, name);
+    return { storeIds: [store.identifier], includesUnassignedItems: false, showsAllItems: false };
+  }
+
+  _getItemStoreIds(item) {
+    if (item._storeIds) return item._storeIds;
+    const raw = this._findRawListItem(item.listId, item.identifier);
+    return raw && raw.storeIds ? [...raw.storeIds] : [];
+  }
+
+  /**
+   * Record new store IDs on an item and return the operation that saves them.
+   */
+  _setItemStores(item, storeIds) {
+    item._storeIds = storeIds;
+    return this._listOperation(SET_ITEM_STORES_HANDLER, {
+      listId: item.listId,
+      listItemId: item.identifier,
+      updatedValue: storeIds.join(','),
+      listItem: item._encode(),
+    });
+  }
+
+  // ===== PRICES =====
+
+  /**
+   * Every recorded price for an item on the current list, newest first.
+   * @returns {{ name: string, prices: Array<{ amount: number, store: string|null, date: string|null, details: string|null }> }}
+   */
+  getPriceHistory(itemName) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    const item = this.targetList.getItemByName(itemName);
+    if (!item) {
+      const error = new Error(`Item "${itemName}" not found in list`);
+      console.error(error.message);
+      throw error;
+    }
+    const stores = this._getStores(this.targetList.identifier);
+    const prices = this._getItemPrices(item)
+      .map(price => {
+        const store = stores.find(s => s.identifier === price.storeId);
+        return { amount: price.amount, store: store ? store.name : null, date: price.date, details: price.details };
+      })
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    return { name: item.name, prices };
+  }
+
+  _getItemPrices(item) {
+    if (item._prices) return item._prices;
+    const raw = this._findRawListItem(item.listId, item.identifier);
+    return ((raw && raw.prices) || [])
+      .filter(p => p.amount !== null && p.amount !== undefined)
+      .map(p => ({ amount: Number(p.amount), details: p.details || null, storeId: p.storeId || null, date: p.date || null }));
+  }
+
+  _buildPrice(amount, storeId = null) {
+    return { amount, details: null, storeId: storeId || null, date: new Date().toISOString().slice(0, 10) };
+  }
+
+  /**
+   * Record a price on an item and return the operation that saves it. Earlier prices are
+   * kept as history; a second price for the same store on the same day replaces the first.
+   */
+  _recordItemPrice(item, amount, storeId = null) {
+    const price = this._buildPrice(amount, storeId);
+    item._prices = [
+      ...this._getItemPrices(item).filter(p => !(p.storeId === price.storeId && p.date === price.date)),
+      price,
+    ];
+    return this._listOperation(SET_ITEM_PRICE_HANDLER, {
+      listId: item.listId,
+      listItemId: item.identifier,
+      itemPrice: new this.client.protobuf.PBItemPrice(price),
+      listItem: item._encode(),
+    });
+  }
+
+  // ===== NOTIFICATION LOCATIONS =====
+
+  /**
+   * The places the current list reminds you about when you're near them.
+   * @returns {Array<{ identifier: string, name: string, address: string|null, latitude: number, longitude: number }>}
+   */
+  getNotificationLocations() {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
+    }
+    return this._getNotificationLocations(this.targetList.identifier).map(location => ({
+      identifier: location.identifier,
+      name: location.name || '',
+      address: location.address || null,
+      latitude: Number(location.latitude),
+      longitude: Number(location.longitude),
+    }));
+  }
+
+  /**
+   * Add a geo-fenced reminder location to the current list.
+   * @param {{ name: string, address?: string|null, latitude: number, longitude: number }} location
+   * @returns {Promise<{ identifier: string, name: string, address: string|null, latitude: number, longitude: number }>}
+   */
+  async addNotificationLocation({ name, address = null, latitude, longitude }) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
     }
 
     try {
-      // Create AnyList client if not already authenticated
-      if (!this.client) {
-        this.client = new AnyList({
-          email: username,
-          password: password
-        });
-
-        // Authenticate
-        console.error(`Connecting to AnyList as ${username}...`);
-        await this.client.login();
-        console.error('Successfully authenticated with AnyList');
-
-        await this.client.getLists();
+      if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        throw new Error('Latitude must be a number between -90 and 90');
       }
-
-      // Find the target list
-      console.error(`Looking for list: "${targetListName}"`);
-      this.targetList = this.client.getListByName(targetListName);
-
-      if (!this.targetList) {
-        const error = new Error(`List "${targetListName}" not found. Available lists: ${this.getAvailableListNames().join(', ')}`);
-        console.error(error.message);
-        throw error;
+      if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        throw new Error('Longitude must be a number between -180 and 180');
+      }
+      const listId = this.targetList.identifier;
+      if (this._findNotificationLocation(listId, name)) {
+        throw new Error(`List "${this.targetList.name}" already has a location named "${name}"`);
       }
 
-      console.error(`Connected to list: "${this.targetList.name}"`);
-
-      return true;
-
+      const location = new this.client.protobuf.PBNotificationLocation({
+        identifier: uuid(),
+        name: name.trim(),
+        address: address || null,
+        latitude,
+        longitude,
+      });
+      await this._sendListOperations([this._listOperation('add-notification-location', {
+        listId,
+        notificationLocation: location,
+      })]);
+
+      const rawList = this._findRawList(listId);
+      if (rawList) {
+        rawList.notificationLocations = [...(rawList.notificationLocations || []), location];
+      }
+      console.error(`Added location "${location.name}" to "${this.targetList.name}"`);
+      return { identifier: location.identifier, name: location.name, address: location.address || null, latitude, longitude };
     } catch (error) {
-      const wrappedError = new Error(`Failed to connect to AnyList: ${error.message}`);
+      const wrappedError = new Error(`Failed to add location "${name}": ${error.message}`);
       console.error(wrappedError.message);
       throw wrappedError;
     }
   }
 
-  getAvailableListNames() {
-    if (!this.client || !this.client.lists) return [];
-    return this.client.lists.map(list => list.name);
-  }
-
-  getLists() {
-    if (!this.client || !this.client.lists) return [];
-    return this.client.lists.map(list => ({
-      name: list.name,
-      uncheckedCount: list.items ? list.items.filter(item => !item.checked).length : 0
-    }));
-  }
-
-  // TODO: Update quantity
-  async addItem(itemName, quantity = 1, notes = null, category = "other") {
+  /**
+   * Remove a reminder location from the current list.
+   * @param {string} name - Location name (case-insensitive) or identifier
+   * @returns {Promise<{ identifier: string, name: string }>}
+   */
+  async removeNotificationLocation(name) {
     if (!this.targetList) {
       const error = new Error('Not connected to any list. Call connect() first.');
       console.error(error.message);
@@ -112,68 +1785,97 @@ class AnyListClient {
     }
 
     try {
-      // First, check if item already exists
-      const existingItem = this.targetList.getItemByName(itemName);
-
-      if (existingItem) {
-        // Item exists - check if it's checked (completed)
-        if (existingItem.checked) {
-          // Uncheck the item to make it active again
-          existingItem.checked = false;
-          existingItem.quantity = quantity; // Update quantity if needed
-          if (notes !== null) {
-            existingItem.details = notes;
-          }
+      const listId = this.targetList.identifier;
+      const location = this._findNotificationLocation(listId, name);
+      if (!location) {
+        const names = this._getNotificationLocations(listId).map(l => l.name);
+        throw new Error(`Location "${name}" not found on list "${this.targetList.name}". Locations: ${names.join(', ') || '(none)'}`);
+      }
 
-          console.error(`Unchecked existing item: ${existingItem.name}`);
-          existingItem.save();
-        } else {
+      await this._sendListOperations([this._listOperation('remove-notification-location', {
+        listId,
+        notificationLocation: location,
+      })]);
 
-          // Item already exists and is unchecked, no action needed
-          console.error(`Item "${itemName}" already exists and is active`);
-          existingItem.quantity = quantity;
-          if (notes !== null) {
-            existingItem.details = notes;
-          }
-          // Category not used if item already has a category
+      const rawList = this._findRawList(listId);
+      rawList.notificationLocations = rawList.notificationLocations.filter(l => l.identifier !== location.identifier);
+      console.error(`Removed location "${location.name}" from "${this.targetList.name}"`);
+      return { identifier: location.identifier, name: location.name };
+    } catch (error) {
+      const wrappedError = new Error(`Failed to remove location "${name}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
+    }
+  }
 
-          existingItem.save();
-        }
-      } else {
-        // Item doesn't exist, create new one
-        const itemOptions = { name: itemName };
-        if (notes !== null) {
-          itemOptions.details = notes;
-        }
-        if (category !== "other") {
-          itemOptions.categoryMatchId = category;
-        }
+  _getNotificationLocations(listId) {
+    const rawList = this._findRawList(listId);
+    return (rawList && rawList.notificationLocations) || [];
+  }
 
-        const newItem = this.client.createItem(itemOptions);
-        await this.targetList.addItem(newItem);
+  _findNotificationLocation(listId, name) {
+    const lower = name.trim().toLowerCase();
+    return this._getNotificationLocations(listId)
+      .find(l => l.identifier === name || (l.name || '').toLowerCase() === lower) || null;
+  }
 
-        // Set quantity and notes after adding (can't be done via _encode)
-        if (quantity !== 1 || notes !== null) {
-          if (quantity !== 1) {
-            newItem.quantity = quantity;
-          }
-          if (notes !== null) {
-            newItem.details = notes;
-          }
-          await newItem.save();
-        }
+  // ===== PRODUCT LOOKUP =====
 
-        console.error(`Added new item: ${newItem.name}`);
+  /**
+   * Look a barcode up in AnyList's product database.
+   * @param {string} barcode - UPC or EAN digits (see normalizeBarcode())
+   * @returns {Promise<{ barcode: string, name: string, category: string|null }|null>} category is the
+   *   product's category match ID (e.g. 'dairy'); null when AnyList doesn't know the barcode
+   */
+  async lookupBarcode(barcode) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      const form = new FormData();
+      form.append('upc', barcode);
+      const result = await this.client.client.post('data/product-lookup', { body: form });
+      const decoded = this.client.protobuf.PBProductLookupResponse.decode(result.body);
+      const item = decoded.listItem;
+      if (!item || !item.name) {
+        console.error(`No product found for barcode ${barcode}`);
+        return null;
       }
-
+      console.error(`Barcode ${barcode} is "${item.name}"`);
+      return { barcode, name: item.name, category: item.categoryMatchId || null };
     } catch (error) {
-      const wrappedError = new Error(`Failed to add item "${itemName}": ${error.message}`);
+      const wrappedError = new Error(`Failed to look up barcode ${barcode}: ${error.message}`);
       console.error(wrappedError.message);
       throw wrappedError;
     }
   }
 
-  async deleteItem(itemName) {
+  // ===== LIST SETTINGS =====
+
+  /**
+   * The current list's display settings. Lists nobody has changed the settings of get
+   * AnyList's defaults.
+   * @param {string|null} [listName] - Another list, read without switching to it
+   * @returns {{ sortOrder: 'manual'|'alphabetical', hideCategories: boolean, hidePrices: boolean, hideRunningTotals: boolean, badgeMode: string }}
+   */
+  getListSettings(listName = null) {
+    const settings = this._getListSettings(this._listOrTarget(listName).identifier);
+    return {
+      sortOrder: settings && settings.listItemSortOrder === 'alphabetical' ? 'alphabetical' : 'manual',
+      hideCategories: !!(settings && settings.shouldHideCategories),
+      hidePrices: !!(settings && settings.shouldHidePrices),
+      hideRunningTotals: !!(settings && settings.shouldHideRunningTotals),
+      badgeMode: (settings && settings.badgeMode) || 'none',
+    };
+  }
+
+  /**
+   * Change the current list's display settings. Settings left null are unchanged.
+   * @param {{ sortOrder?: string, hideCategories?: boolean, hidePrices?: boolean, hideRunningTotals?: boolean, badgeMode?: string }} changes
+   * @returns {Promise<{ settings: object, changed: string[] }>} The new settings (as getListSettings()) and
+   *   which of them actually changed
+   */
+  async updateListSettings({ sortOrder = null, hideCategories = null, hidePrices = null, hideRunningTotals = null, badgeMode = null } = {}) {
     if (!this.targetList) {
       const error = new Error('Not connected to any list. Call connect() first.');
       console.error(error.message);
@@ -181,112 +1883,296 @@ class AnyListClient {
     }
 
     try {
-      const existingItem = this.targetList.getItemByName(itemName);
+      if (sortOrder !== null && !LIST_SORT_ORDERS.includes(sortOrder)) {
+        throw new Error(`Unknown sort order "${sortOrder}". Use one of: ${LIST_SORT_ORDERS.join(', ')}`);
+      }
+      if (badgeMode !== null && !BADGE_MODES.includes(badgeMode)) {
+        throw new Error(`Unknown badge mode "${badgeMode}". Use one of: ${BADGE_MODES.join(', ')}`);
+      }
 
-      if (!existingItem) {
-        const error = new Error(`Item "${itemName}" not found in list, so can't delete it`);
-        console.error(error.message);
+      const current = this.getListSettings();
+      const fields = {
+        sortOrder: ['listItemSortOrder', sortOrder],
+        hideCategories: ['shouldHideCategories', hideCategories],
+        hidePrices: ['shouldHidePrices', hidePrices],
+        hideRunningTotals: ['shouldHideRunningTotals', hideRunningTotals],
+        badgeMode: ['badgeMode', badgeMode],
+      };
+      const changed = Object.keys(fields).filter(key => fields[key][1] !== null && fields[key][1] !== current[key]);
+      if (changed.length === 0) return { settings: current, changed };
+
+      const listId = this.targetList.identifier;
+      const settings = this._getListSettings(listId) || this._addListSettings(listId);
+      const previous = {};
+      for (const key of changed) {
+        const [field, value] = fields[key];
+        previous[field] = settings[field];
+        settings[field] = value;
+      }
+      try {
+        const operation = new this.client.protobuf.PBListSettingsOperation({
+          metadata: { operationId: uuid(), handlerId: 'save-list-settings', userId: this.client.uid },
+          updatedSettings: settings,
+        });
+        const opList = new this.client.protobuf.PBListSettingsOperationList({ operations: [operation] });
+        const form = new FormData();
+        form.append('operations', opList.toBuffer());
+        await this.client.client.post('data/list-settings/update', { body: form });
+      } catch (error) {
+        // Keep the cached settings in step with AnyList when the update didn't go through
+        Object.assign(settings, previous);
         throw error;
       }
 
-      await this.targetList.removeItem(existingItem);
-      console.error(`Deleted item: ${existingItem.name}`);
-
+      console.error(`Updated settings for "${this.targetList.name}": ${changed.join(', ')}`);
+      return { settings: this.getListSettings(), changed };
     } catch (error) {
-      const wrappedError = new Error(`Failed to delete item "${itemName}": ${error.message}`);
+      const wrappedError = new Error(`Failed to update list settings: ${error.message}`);
       console.error(wrappedError.message);
       throw wrappedError;
     }
   }
 
-  async removeItem(itemName) {
+  // Settings for a list that has none yet, added to the cached user data
+  _addListSettings(listId) {
+    const settings = new this.client.protobuf.PBListSettings({
+      identifier: uuid(),
+      userId: this.client.uid,
+      listId,
+      timestamp: Date.now() / 1000,
+    });
+    const userData = this.client._userData;
+    if (userData && userData.listSettingsResponse) {
+      userData.listSettingsResponse.settings = [...(userData.listSettingsResponse.settings || []), settings];
+    }
+    return settings;
+  }
+
+  // ===== CATEGORIES =====
+
+  /**
+   * The categories of the current list, in the list's own order. Lists without
+   * category group data fall back to AnyList's built-in categories.
+   * @param {string|null} [listName] - Another list, read without switching to it
+   * @returns {Array<{ identifier: string|null, matchId: string, name: string, sortIndex: number }>}
+   */
+  getCategories(listName = null) {
+    return this._getListCategories(this._listOrTarget(listName).identifier).categories;
+  }
+
+  /**
+   * Resolve a user-supplied category (name, slug or identifier) to the categoryMatchId
+   * items on the current list should carry.
+   * @returns {string|null} null when the list has no such category
+   */
+  resolveCategory(input) {
+    const category = findCategory(this.getCategories(), input) || findCategory(DEFAULT_CATEGORIES, input);
+    return category ? category.matchId : null;
+  }
+
+  /**
+   * AnyList's saved category orderings for the current list (the aisle orders set up in
+   * the app, often one per store), with their entries resolved to category names.
+   * @returns {{ selected: string|null, orderings: Array<{ identifier: string, name: string, categories: string[] }> }}
+   *   selected is the identifier of the ordering the list currently uses, if any
+   */
+  getCategoryOrderings() {
     if (!this.targetList) {
       const error = new Error('Not connected to any list. Call connect() first.');
       console.error(error.message);
       throw error;
     }
+    const settings = this._getListSettings(this.targetList.identifier);
+    const categories = this.getCategories();
+    const orderings = ((settings && settings.categoryOrderings) || []).map(ordering => ({
+      identifier: ordering.identifier,
+      name: ordering.name || '',
+      categories: (ordering.categories || []).map(entry => {
+        const category = findCategory(categories, entry) || findCategory(DEFAULT_CATEGORIES, entry);
+        return category ? category.name : entry;
+      }),
+    }));
+    const selected = settings && settings.selectedCategoryOrdering;
+    return {
+      selected: orderings.some(o => o.identifier === selected) ? selected : null,
+      orderings,
+    };
+  }
 
-    try {
-      // Find the item by name
-      const existingItem = this.targetList.getItemByName(itemName);
+  /**
+   * The PBListSettings for a list from the cached user data.
+   */
+  _getListSettings(listId) {
+    const userData = this.client && this.client._userData;
+    const allSettings = (userData && userData.listSettingsResponse && userData.listSettingsResponse.settings) || [];
+    return allSettings.find(s => s.listId === listId) || null;
+  }
 
-      if (!existingItem) {
-        const error = new Error(`Item "${itemName}" not found in list, so can't check it`);
-        console.error(error.message);
-        throw error;
-      }
+  /**
+   * The PBListResponse (category groups, rules, stores) for a list from the cached user data.
+   */
+  _getListResponse(listId) {
+    const userData = this.client && this.client._userData;
+    const listResponses = (userData && userData.shoppingListsResponse && userData.shoppingListsResponse.listResponses) || [];
+    return listResponses.find(r => r.listId === listId) || null;
+  }
 
-      // Check the item (mark as completed) instead of deleting
-      if (!existingItem.checked) {
-        existingItem.checked = true;
-        await existingItem.save();
-        console.error(`Checked off item: ${existingItem.name}`);
-      } else {
-        console.error(`Item "${itemName}" is already checked off`);
-      }
-    } catch (error) {
-      const wrappedError = new Error(`Failed to remove item "${itemName}": ${error.message}`);
-      console.error(wrappedError.message);
-      throw wrappedError;
+  /**
+   * Find the category group a list uses (the one chosen in its list settings, else
+   * the first) and flatten it into sorted categories.
+   */
+  _getListCategories(listId) {
+    const listResponse = this._getListResponse(listId);
+    const groups = ((listResponse && listResponse.categoryGroupResponses) || [])
+      .map(r => r.categoryGroup)
+      .filter(g => g && g.categories && g.categories.length > 0);
+
+    const settings = this._getListSettings(listId);
+    const group = (settings && groups.find(g => g.identifier === settings.listCategoryGroupId)) || groups[0];
+
+    if (!group) {
+      return {
+        groupId: null,
+        categories: DEFAULT_CATEGORIES.map((c, index) => ({ identifier: null, matchId: c.matchId, name: c.name, sortIndex: index })),
+      };
     }
+
+    const categories = group.categories
+      .filter(c => c.name)
+      .map(c => ({
+        identifier: c.identifier,
+        matchId: c.systemCategory || c.identifier,
+        name: c.name,
+        sortIndex: Number(c.sortIndex) || 0,
+      }))
+      .sort((a, b) => a.sortIndex - b.sortIndex);
+    return { groupId: group.identifier, categories };
+  }
+
+  /**
+   * The category an item is filed under on its list: its explicit assignment for the
+   * list's category group if it has one, otherwise whichever category matches its
+   * categoryMatchId.
+   */
+  _getItemCategory(item, listCategories) {
+    const { groupId, categories } = listCategories;
+    const raw = this._findRawListItem(item.listId, item.identifier);
+    const assignment = groupId && raw && raw.categoryAssignments
+      ? raw.categoryAssignments.find(a => a.categoryGroupId === groupId)
+      : null;
+    const assigned = assignment ? categories.find(c => c.identifier === assignment.categoryId) : null;
+    const matchId = item.categoryMatchId || 'other';
+    const category = assigned || categories.find(c => c.matchId === matchId);
+    return {
+      matchId: category ? category.matchId : matchId,
+      name: category ? category.name : defaultCategoryName(matchId),
+    };
   }
 
-  async getItems(includeChecked = false, includeNotes = false) {
+  // ===== CATEGORIZATION RULES =====
+
+  /**
+   * The current list's categorization rules (item name → category).
+   * @returns {Array<{ identifier: string, itemName: string, categoryId: string, category: string|null }>}
+   */
+  getCategorizationRules() {
     if (!this.targetList) {
       const error = new Error('Not connected to any list. Call connect() first.');
       console.error(error.message);
       throw error;
     }
+    const listId = this.targetList.identifier;
+    const { groupId, categories } = this._getListCategories(listId);
+    const listResponse = this._getListResponse(listId);
+    return ((listResponse && listResponse.categorizationRules) || [])
+      .filter(rule => !groupId || rule.categoryGroupId === groupId)
+      .map(rule => {
+        const category = categories.find(c => c.identifier === rule.categoryId);
+        return {
+          identifier: rule.identifier,
+          itemName: rule.itemName,
+          categoryId: rule.categoryId,
+          category: category ? category.name : null,
+        };
+      })
+      .sort((a, b) => a.itemName.localeCompare(b.itemName));
+  }
 
-    try {
-      // Get all items from the list
-      const items = this.targetList.items || [];
-
-      // Filter based on checked status
-      const filteredItems = includeChecked
-        ? items
-        : items.filter(item => !item.checked);
+  /**
+   * Pick a category for a new item: the list's categorization rule for that name if
+   * there is one, otherwise the bundled keyword dictionary.
+   * @returns {string|null} A categoryMatchId, or null when nothing matches
+   */
+  suggestCategory(itemName, listId = this.targetList && this.targetList.identifier) {
+    const key = (itemName || '').trim().toLowerCase();
+    if (!key) return null;
+
+    const { groupId, categories } = this._getListCategories(listId);
+    const listResponse = this._getListResponse(listId);
+    const rule = ((listResponse && listResponse.categorizationRules) || [])
+      .find(r => (!groupId || r.categoryGroupId === groupId) && (r.itemName || '').toLowerCase() === key);
+    const ruleCategory = rule ? categories.find(c => c.identifier === rule.categoryId) : null;
+    if (ruleCategory) return ruleCategory.matchId;
+
+    return guessCategory(key);
+  }
 
-      // Map to a clean format
-      return filteredItems.map(item => {
-        const result = {
-          name: item.name,
-          quantity: typeof item.quantity === 'number' ? item.quantity : 1,
-          checked: item.checked || false,
-          category: item.categoryMatchId || 'other'
-        };
-        if (includeNotes && item.details) {
-          result.note = item.details;
-        }
-        return result;
-      });
-    } catch (error) {
-      const wrappedError = new Error(`Failed to get items: ${error.message}`);
-      console.error(wrappedError.message);
-      throw wrappedError;
+  /**
+   * Create or update the current list's categorization rule for an item name, so
+   * items with that name are filed under the given category from now on.
+   * @param {string} itemName
+   * @param {string} category - Category name or slug on the current list
+   * @returns {Promise<{ itemName: string, category: string, status: 'created'|'updated' }>}
+   */
+  async setCategorizationRule(itemName, category) {
+    if (!this.targetList) {
+      const error = new Error('Not connected to any list. Call connect() first.');
+      console.error(error.message);
+      throw error;
     }
-  }
 
-  _buildCategoryMap() {
-    const categoryMap = {};
     try {
-      // Access the raw user data from the client to get category groups
-      const userData = this.client._userData;
-      if (userData && userData.shoppingListsResponse && userData.shoppingListsResponse.categoryGroupResponses) {
-        for (const groupResponse of userData.shoppingListsResponse.categoryGroupResponses) {
-          if (groupResponse.categoryGroup && groupResponse.categoryGroup.categories) {
-            for (const category of groupResponse.categoryGroup.categories) {
-              if (category.identifier && category.name) {
-                categoryMap[category.identifier] = category.name;
-              }
-            }
-          }
-        }
+      const listId = this.targetList.identifier;
+      const { groupId, categories } = this._getListCategories(listId);
+      const listResponse = this._getListResponse(listId);
+      if (!groupId || !listResponse) {
+        throw new Error(`List "${this.targetList.name}" has no category data to attach rules to`);
       }
+      const target = findCategory(categories, category);
+      if (!target) {
+        throw new Error(`Category "${category}" not found. Available categories: ${categories.map(c => c.name).join(', ')}`);
+      }
+
+      const name = itemName.trim();
+      if (!listResponse.categorizationRules) listResponse.categorizationRules = [];
+      const existing = listResponse.categorizationRules
+        .find(r => r.categoryGroupId === groupId && (r.itemName || '').toLowerCase() === name.toLowerCase());
+      const rule = new this.client.protobuf.PBListCategorizationRule({
+        identifier: existing ? existing.identifier : uuid(),
+        listId,
+        categoryGroupId: groupId,
+        itemName: name,
+        categoryId: target.identifier,
+      });
+
+      await this._sendListOperations([this._listOperation('save-categorization-rule', {
+        listId,
+        updatedCategorizationRule: rule,
+      }, OPERATION_CLASS.listCategorizationRule)]);
+
+      if (existing) {
+        existing.itemName = name;
+        existing.categoryId = target.identifier;
+      } else {
+        listResponse.categorizationRules.push(rule);
+      }
+      console.error(`Categorization rule on "${this.targetList.name}": ${name} → ${target.name}`);
+      return { itemName: name, category: target.name, status: existing ? 'updated' : 'created' };
     } catch (error) {
-      console.error(`Failed to build category map: ${error.message}`);
+      const wrappedError = new Error(`Failed to set categorization rule for "${itemName}": ${error.message}`);
+      console.error(wrappedError.message);
+      throw wrappedError;
     }
-    return categoryMap;
   }
 
   // ===== RECIPES =====
@@ -581,6 +2467,117 @@ class AnyListClient {
     }
   }
 
+  /**
+   * Add an item to a list's favorites (its starter list).
+   * @returns {Promise<{ name: string, status: 'added'|'exists' }>}
+   */
+  async addFavoriteItem(listName, itemName, notes = null) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      await this.connect(listName);
+      const favList = this._requireFavoritesList();
+      const existing = this._findFavorite(favList, itemName);
+      if (existing) {
+        return { name: existing.name, status: 'exists' };
+      }
+
+      const itemOptions = { name: itemName.trim() };
+      if (notes) itemOptions.details = notes;
+      const categoryMatchId = this.suggestCategory(itemName);
+      if (categoryMatchId && categoryMatchId !== 'other') itemOptions.categoryMatchId = categoryMatchId;
+
+      const item = this.client.createItem(itemOptions);
+      await favList.addItem(item, true);
+      return { name: item.name, status: 'added' };
+    } catch (error) {
+      throw new Error(`Failed to add favorite "${itemName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Remove an item from a list's favorites. The name must match exactly (ignoring case), so
+   * a similar favorite is suggested rather than removed.
+   * @returns {Promise<{ name: string }>}
+   */
+  async removeFavoriteItem(listName, itemName) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      await this.connect(listName);
+      const favList = this._requireFavoritesList();
+      const favorite = this._findFavorite(favList, itemName, { fuzzy: false });
+      if (!favorite) {
+        const similar = this._findFavorite(favList, itemName);
+        const suggestion = similar ? `. Did you mean "${similar.name}"?` : '';
+        throw new Error(`"${itemName}" is not a favorite of list "${this.targetList.name}"${suggestion}`);
+      }
+      await favList.removeItem(favorite, true);
+      return { name: favorite.name };
+    } catch (error) {
+      throw new Error(`Failed to remove favorite "${itemName}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Put favorite items onto the list itself in a single request, keeping their notes,
+   * category and quantity.
+   * @param {string|null} listName
+   * @param {string[]|null} [itemNames] - Favorites to add; null adds all of them
+   * @returns {Promise<Array<{ name: string, success: boolean, status?: string, error?: string }>>}
+   *   One result per favorite, in request order
+   */
+  async addFavoritesToList(listName, itemNames = null) {
+    if (!this.client) {
+      throw new Error('Not connected. Call connect() first.');
+    }
+    try {
+      await this.connect(listName);
+      const favList = this._requireFavoritesList();
+      const selected = itemNames
+        ? itemNames.map(name => ({ name, favorite: this._findFavorite(favList, name) }))
+        : favList.items.map(favorite => ({ name: favorite.name, favorite }));
+
+      const entries = selected.filter(s => s.favorite).map(({ favorite }) => {
+        const quantity = this._getItemQuantity(favorite);
+        return {
+          name: favorite.name,
+          quantity: quantity && quantity.amount ? quantity.amount : null,
+          unit: quantity ? quantity.unit : null,
+          notes: favorite.details || null,
+          category: favorite.categoryMatchId || null,
+        };
+      });
+      const added = entries.length > 0 ? await this.addItems(entries, { parse: false }) : [];
+
+      return selected.map(s => (s.favorite
+        ? added.shift()
+        : { name: s.name, success: false, error: `"${s.name}" is not a favorite of list "${this.targetList.name}"` }));
+    } catch (error) {
+      throw new Error(`Failed to add favorites to list: ${error.message}`);
+    }
+  }
+
+  _requireFavoritesList() {
+    const favList = this.client.getFavoriteItemsByListId(this.targetList.identifier);
+    if (!favList) {
+      throw new Error(`List "${this.targetList.name}" has no favorites list`);
+    }
+    return favList;
+  }
+
+  // The favorite named itemName (ignoring case), or with `fuzzy` the same item spelled differently
+  _findFavorite(favList, itemName, { fuzzy = true } = {}) {
+    const lower = itemName.trim().toLowerCase();
+    const items = favList.items || [];
+    const exact = items.find(i => i.name.toLowerCase() === lower);
+    if (exact || !fuzzy) return exact || null;
+    const match = findDuplicate(itemName, items.map(i => i.name));
+    return match ? items.find(i => i.name === match) : null;
+  }
+
   async getRecentItems(listName) {
     if (!this.client) {
       throw new Error('Not connected. Call connect() first.');
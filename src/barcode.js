@@ -0,0 +1,38 @@
+/**
+ * Barcode helpers for add_by_barcode: clean up what a scanner (or a person) typed and
+ * reject codes that can't be a product barcode, before spending a lookup on them.
+ */
+
+// EAN-8, UPC-A, EAN-13 and GTIN-14
+const BARCODE_LENGTHS = [8, 12, 13, 14];
+
+/** Whether the last digit is the GS1 check digit of the others. */
+function hasValidCheckDigit(digits) {
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    // Weights alternate 3, 1, 3... starting from the digit next to the check digit
+    const weight = (body.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(body[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/**
+ * Strip spaces and dashes from a barcode and check it.
+ * @param {string} code - e.g. "0 12345 67890 5"
+ * @returns {string} The digits, e.g. "012345678905"
+ * @throws {Error} when the code isn't an 8, 12, 13 or 14 digit barcode, or a longer code's check
+ *   digit is wrong
+ */
+export function normalizeBarcode(code) {
+  const digits = String(code ?? '').replace(/[\s-]/g, '');
+  if (!/^\d+$/.test(digits) || !BARCODE_LENGTHS.includes(digits.length)) {
+    throw new Error(`"${code}" is not a barcode. Expected 8, 12, 13 or 14 digits (UPC or EAN)`);
+  }
+  // 8-digit codes may be UPC-E, whose check digit is computed on the expanded UPC-A code
+  if (digits.length > 8 && !hasValidCheckDigit(digits)) {
+    throw new Error(`Barcode "${digits}" has an invalid check digit; it may have been misread`);
+  }
+  return digits;
+}
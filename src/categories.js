@@ -0,0 +1,63 @@
+/**
+ * AnyList's built-in grocery categories, in AnyList's default order, keyed by the
+ * categoryMatchId slug that list items carry. Used when a list has no category
+ * group data of its own.
+ */
+export const DEFAULT_CATEGORIES = [
+  { matchId: 'produce', name: 'Produce' },
+  { matchId: 'meat', name: 'Meat' },
+  { matchId: 'seafood', name: 'Seafood' },
+  { matchId: 'dairy', name: 'Dairy' },
+  { matchId: 'bakery', name: 'Bakery' },
+  { matchId: 'breakfast-and-cereal', name: 'Breakfast & Cereal' },
+  { matchId: 'grains-pasta-and-side-dishes', name: 'Grains, Pasta & Side Dishes' },
+  { matchId: 'soups-and-canned-goods', name: 'Soups & Canned Goods' },
+  { matchId: 'condiments-oils-and-salad-dressings', name: 'Condiments, Oils & Salad Dressings' },
+  { matchId: 'cooking-and-baking', name: 'Cooking & Baking' },
+  { matchId: 'snacks-cookies-and-candy', name: 'Snacks, Cookies & Candy' },
+  { matchId: 'frozen-foods', name: 'Frozen Foods' },
+  { matchId: 'beverages', name: 'Beverages' },
+  { matchId: 'wine-beer-spirits', name: 'Wine, Beer & Spirits' },
+  { matchId: 'baby', name: 'Baby' },
+  { matchId: 'health-and-personal-care', name: 'Health & Personal Care' },
+  { matchId: 'household-and-cleaning', name: 'Household & Cleaning' },
+  { matchId: 'pet-supplies', name: 'Pet Supplies' },
+  { matchId: 'other', name: 'Other' },
+];
+
+/**
+ * Turn a category name into AnyList's slug form ('Breakfast & Cereal' → 'breakfast-and-cereal').
+ * @param {string} name
+ */
+export function slugifyCategory(name) {
+  return name
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Find a category by match ID, identifier or (case-insensitive) name.
+ * @param {Array<{ matchId: string, name: string, identifier?: string|null }>} categories
+ * @param {string} input - What the user typed, e.g. 'produce', 'Produce' or 'Breakfast & Cereal'
+ * @returns {object|null}
+ */
+export function findCategory(categories, input) {
+  if (!input) return null;
+  const lower = input.trim().toLowerCase();
+  const slug = slugifyCategory(input);
+  return categories.find(c => c.matchId === input || (c.identifier && c.identifier === input))
+    || categories.find(c => c.name.toLowerCase() === lower)
+    || categories.find(c => c.matchId === slug || slugifyCategory(c.name) === slug)
+    || null;
+}
+
+/**
+ * Display name for a category match ID that isn't in the list's own categories.
+ * @param {string|null} matchId
+ */
+export function defaultCategoryName(matchId) {
+  const known = DEFAULT_CATEGORIES.find(c => c.matchId === (matchId || 'other'));
+  return known ? known.name : matchId;
+}
@@ -0,0 +1,93 @@
+/**
+ * Bundled keyword dictionary for guessing a grocery category from an item name
+ * when the account has no categorization rule for it. Keys are AnyList's built-in
+ * category match IDs (see DEFAULT_CATEGORIES in categories.js).
+ */
+const CATEGORY_KEYWORDS = {
+  'produce': [
+    'apple', 'avocado', 'banana', 'basil', 'berry', 'blueberry', 'broccoli', 'cabbage', 'carrot',
+    'cauliflower', 'celery', 'cilantro', 'cucumber', 'garlic', 'ginger', 'grape', 'herb', 'kale',
+    'lemon', 'lettuce', 'lime', 'mango', 'melon', 'mushroom', 'onion', 'orange', 'parsley', 'peach',
+    'pear', 'pepper', 'potato', 'raspberry', 'salad', 'scallion', 'spinach', 'squash', 'strawberry',
+    'tofu', 'tomato', 'zucchini', 'green onion', 'sweet potato', 'bell pepper',
+  ],
+  'meat': [
+    'bacon', 'beef', 'brisket', 'chicken', 'chorizo', 'ham', 'lamb', 'meatball', 'pork', 'prosciutto',
+    'salami', 'sausage', 'steak', 'turkey', 'ground beef', 'hot dog', 'chicken breast', 'chicken thigh',
+  ],
+  'seafood': ['clam', 'cod', 'crab', 'fish', 'halibut', 'lobster', 'mussel', 'salmon', 'scallop', 'shrimp', 'tilapia', 'tuna steak'],
+  'dairy': [
+    'butter', 'cheddar', 'cheese', 'cream', 'egg', 'feta', 'half and half', 'kefir', 'milk', 'mozzarella',
+    'parmesan', 'sour cream', 'yogurt', 'cream cheese', 'cottage cheese', 'oat milk', 'almond milk',
+  ],
+  'bakery': ['bagel', 'baguette', 'bread', 'bun', 'croissant', 'muffin', 'pita', 'roll', 'sourdough', 'tortilla'],
+  'breakfast-and-cereal': ['cereal', 'granola', 'oatmeal', 'oat', 'pancake mix', 'syrup', 'maple syrup'],
+  'grains-pasta-and-side-dishes': ['couscous', 'lentil', 'macaroni', 'noodle', 'pasta', 'quinoa', 'rice', 'spaghetti', 'penne'],
+  'soups-and-canned-goods': ['bean', 'broth', 'canned', 'chickpea', 'soup', 'stock', 'tomato paste', 'tomato sauce', 'tuna'],
+  'condiments-oils-and-salad-dressings': [
+    'dressing', 'hot sauce', 'jam', 'ketchup', 'mayo', 'mayonnaise', 'mustard', 'oil', 'olive oil',
+    'peanut butter', 'pickle', 'relish', 'salsa', 'soy sauce', 'vinegar',
+  ],
+  'cooking-and-baking': [
+    'baking powder', 'baking soda', 'brown sugar', 'chocolate chip', 'cinnamon', 'cocoa', 'cornstarch',
+    'flour', 'paprika', 'salt', 'spice', 'sugar', 'vanilla', 'yeast', 'black pepper',
+  ],
+  'snacks-cookies-and-candy': ['candy', 'chip', 'chocolate', 'cookie', 'cracker', 'nut', 'popcorn', 'pretzel', 'almond'],
+  'frozen-foods': ['frozen', 'ice cream', 'pizza', 'popsicle', 'waffle', 'frozen peas'],
+  'beverages': ['coffee', 'juice', 'kombucha', 'lemonade', 'soda', 'sparkling water', 'tea', 'water'],
+  'wine-beer-spirits': ['beer', 'bourbon', 'gin', 'rum', 'tequila', 'vodka', 'whiskey', 'wine'],
+  'baby': ['baby food', 'baby wipe', 'diaper', 'formula'],
+  'health-and-personal-care': [
+    'deodorant', 'floss', 'lotion', 'razor', 'shampoo', 'soap', 'sunscreen', 'tampon', 'toothbrush',
+    'toothpaste', 'vitamin', 'conditioner', 'ibuprofen',
+  ],
+  'household-and-cleaning': [
+    'aluminum foil', 'battery', 'bleach', 'detergent', 'dish soap', 'foil', 'light bulb', 'napkin',
+    'paper towel', 'sponge', 'toilet paper', 'trash bag', 'plastic wrap', 'cleaner',
+  ],
+  'pet-supplies': ['cat food', 'cat litter', 'dog food', 'dog treat', 'kitty litter', 'litter'],
+};
+
+const KEYWORD_INDEX = new Map();
+for (const [matchId, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+  for (const keyword of keywords) KEYWORD_INDEX.set(keyword, matchId);
+}
+
+/** Candidate singular forms of a word ("tomatoes" → tomatoes, tomatoe, tomato). */
+function wordForms(word) {
+  const forms = [word];
+  if (word.endsWith('ies')) forms.push(`${word.slice(0, -3)}y`);
+  if (word.endsWith('ves')) forms.push(`${word.slice(0, -3)}f`);
+  if (word.endsWith('es')) forms.push(word.slice(0, -2));
+  if (word.endsWith('s')) forms.push(word.slice(0, -1));
+  return forms;
+}
+
+function lookup(phrase) {
+  const words = phrase.split(' ');
+  const last = words.pop();
+  for (const form of wordForms(last)) {
+    const matchId = KEYWORD_INDEX.get([...words, form].join(' '));
+    if (matchId) return matchId;
+  }
+  return null;
+}
+
+/**
+ * Guess the category for an item name from the bundled keyword dictionary.
+ * Longer phrases win over single words, and later words (usually the noun —
+ * "chicken broth") win over earlier ones.
+ * @param {string} itemName
+ * @returns {string|null} A built-in category match ID, or null when nothing matches
+ */
+export function guessCategory(itemName) {
+  if (!itemName) return null;
+  const words = itemName.toLowerCase().replace(/[^a-z\s]/g, ' ').split(/\s+/).filter(Boolean);
+  for (let size = Math.min(words.length, 3); size >= 1; size--) {
+    for (let start = words.length - size; start >= 0; start--) {
+      const matchId = lookup(words.slice(start, start + size).join(' '));
+      if (matchId) return matchId;
+    }
+  }
+  return null;
+}
@@ -89,6 +89,61 @@ function migrate(db) {
       created_at   INTEGER NOT NULL DEFAULT (unixepoch())
     );
 
+    CREATE TABLE IF NOT EXISTS category_orders (
+      user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      list_id    TEXT NOT NULL,
+      store_id   TEXT NOT NULL DEFAULT '',
+      categories TEXT NOT NULL,
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (user_id, list_id, store_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS barcode_products (
+      user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      barcode    TEXT NOT NULL,
+      name       TEXT NOT NULL,
+      category   TEXT,
+      updated_at INTEGER NOT NULL DEFAULT (unixepoch()),
+      PRIMARY KEY (user_id, barcode)
+    );
+
+    CREATE TABLE IF NOT EXISTS purchases (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      list_id      TEXT NOT NULL,
+      item_name    TEXT NOT NULL,
+      purchased_at INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS purchases_user_list ON purchases (user_id, list_id);
+
+    CREATE TABLE IF NOT EXISTS pantry_items (
+      user_id    TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name_key   TEXT NOT NULL,
+      name       TEXT NOT NULL,
+      quantity   REAL,
+      unit       TEXT,
+      expires_on TEXT,
+      added_at   TEXT NOT NULL,
+      PRIMARY KEY (user_id, name_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS schedules (
+      id           INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id      TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      item         TEXT NOT NULL,
+      list_name    TEXT,
+      every_days   INTEGER,
+      weekday      INTEGER,
+      day_of_month INTEGER,
+      hour         INTEGER NOT NULL,
+      paused       INTEGER NOT NULL DEFAULT 0,
+      next_run_at  INTEGER NOT NULL,
+      last_run_at  INTEGER,
+      last_error   TEXT,
+      created_at   INTEGER NOT NULL DEFAULT (unixepoch())
+    );
+    CREATE INDEX IF NOT EXISTS schedules_due ON schedules (paused, next_run_at);
+
     CREATE TABLE IF NOT EXISTS oauth_tokens (
       access_token   TEXT PRIMARY KEY,
       refresh_token  TEXT UNIQUE NOT NULL,
@@ -281,3 +336,158 @@ export function deleteExpiredTokens() {
   getDb().prepare("DELETE FROM oauth_tokens WHERE refresh_expires_at < ?").run(now);
   getDb().prepare("DELETE FROM oauth_codes WHERE expires_at < ?").run(now);
 }
+
+// ── Category order queries ────────────────────────────────────────────────────
+
+export function getCategoryOrder(userId, listId, storeId = null) {
+  const row = getDb().prepare(
+    "SELECT categories FROM category_orders WHERE user_id = ? AND list_id = ? AND store_id = ?"
+  ).get(userId, listId, storeId || "");
+  return row ? JSON.parse(row.categories) : null;
+}
+
+export function setCategoryOrder(userId, listId, storeId, categories) {
+  getDb().prepare(`
+    INSERT INTO category_orders (user_id, list_id, store_id, categories, updated_at)
+    VALUES (?, ?, ?, ?, unixepoch())
+    ON CONFLICT(user_id, list_id, store_id) DO UPDATE SET
+      categories = excluded.categories,
+      updated_at = unixepoch()
+  `).run(userId, listId, storeId || "", JSON.stringify(categories));
+}
+
+export function deleteCategoryOrder(userId, listId, storeId = null) {
+  return getDb().prepare(
+    "DELETE FROM category_orders WHERE user_id = ? AND list_id = ? AND store_id = ?"
+  ).run(userId, listId, storeId || "").changes > 0;
+}
+
+export function getBarcodeProduct(userId, barcode) {
+  const row = getDb().prepare(
+    "SELECT name, category FROM barcode_products WHERE user_id = ? AND barcode = ?"
+  ).get(userId, barcode);
+  return row ? { name: row.name, category: row.category } : null;
+}
+
+export function setBarcodeProduct(userId, barcode, { name, category = null }) {
+  getDb().prepare(`
+    INSERT INTO barcode_products (user_id, barcode, name, category, updated_at)
+    VALUES (?, ?, ?, ?, unixepoch())
+    ON CONFLICT(user_id, barcode) DO UPDATE SET
+      name = excluded.name,
+      category = excluded.category,
+      updated_at = unixepoch()
+  `).run(userId, barcode, name, category);
+}
+
+export function recordPurchases(userId, listId, names, purchasedAt = new Date()) {
+  const db = getDb();
+  const insert = db.prepare(
+    "INSERT INTO purchases (user_id, list_id, item_name, purchased_at) VALUES (?, ?, ?, ?)"
+  );
+  const seconds = Math.floor(purchasedAt.getTime() / 1000);
+  db.transaction(() => {
+    for (const name of names) insert.run(userId, listId, name, seconds);
+  })();
+}
+
+export function getPurchases(userId, listId) {
+  return getDb().prepare(
+    "SELECT item_name, purchased_at FROM purchases WHERE user_id = ? AND list_id = ? ORDER BY purchased_at, id"
+  ).all(userId, listId).map(row => ({
+    name: row.item_name,
+    purchasedAt: new Date(row.purchased_at * 1000).toISOString(),
+  }));
+}
+
+export function getPantryItems(userId) {
+  return getDb().prepare(
+    "SELECT name, quantity, unit, expires_on, added_at FROM pantry_items WHERE user_id = ? ORDER BY name"
+  ).all(userId).map(row => ({
+    name: row.name,
+    quantity: row.quantity,
+    unit: row.unit,
+    expiresOn: row.expires_on,
+    addedAt: row.added_at,
+  }));
+}
+
+export function setPantryItem(userId, { name, quantity = null, unit = null, expiresOn = null, addedAt }) {
+  getDb().prepare(`
+    INSERT INTO pantry_items (user_id, name_key, name, quantity, unit, expires_on, added_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(user_id, name_key) DO UPDATE SET
+      name = excluded.name,
+      quantity = excluded.quantity,
+      unit = excluded.unit,
+      expires_on = excluded.expires_on
+  `).run(userId, name.toLowerCase(), name, quantity, unit, expiresOn, addedAt);
+}
+
+export function deletePantryItem(userId, name) {
+  return getDb().prepare(
+    "DELETE FROM pantry_items WHERE user_id = ? AND name_key = ?"
+  ).run(userId, name.toLowerCase()).changes > 0;
+}
+
+// ── Schedule queries ──────────────────────────────────────────────────────────
+
+const toSeconds = date => Math.floor(date.getTime() / 1000);
+const toIso = seconds => (seconds === null ? null : new Date(seconds * 1000).toISOString());
+
+function scheduleFromRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    item: row.item,
+    listName: row.list_name,
+    everyDays: row.every_days,
+    weekday: row.weekday,
+    dayOfMonth: row.day_of_month,
+    hour: row.hour,
+    paused: row.paused === 1,
+    nextRunAt: toIso(row.next_run_at),
+    lastRunAt: toIso(row.last_run_at),
+    lastError: row.last_error,
+  };
+}
+
+export function createSchedule(userId, { item, listName = null, everyDays = null, weekday = null, dayOfMonth = null, hour, nextRunAt }) {
+  const { lastInsertRowid } = getDb().prepare(`
+    INSERT INTO schedules (user_id, item, list_name, every_days, weekday, day_of_month, hour, next_run_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(userId, item, listName, everyDays, weekday, dayOfMonth, hour, toSeconds(nextRunAt));
+  return scheduleFromRow(getDb().prepare("SELECT * FROM schedules WHERE id = ?").get(lastInsertRowid));
+}
+
+export function getSchedules(userId) {
+  return getDb().prepare(
+    "SELECT * FROM schedules WHERE user_id = ? ORDER BY id"
+  ).all(userId).map(scheduleFromRow);
+}
+
+export function setSchedulePaused(userId, id, paused, nextRunAt = null) {
+  return getDb().prepare(`
+    UPDATE schedules SET paused = ?, next_run_at = COALESCE(?, next_run_at)
+    WHERE user_id = ? AND id = ?
+  `).run(paused ? 1 : 0, nextRunAt ? toSeconds(nextRunAt) : null, userId, id).changes > 0;
+}
+
+export function deleteSchedule(userId, id) {
+  return getDb().prepare(
+    "DELETE FROM schedules WHERE user_id = ? AND id = ?"
+  ).run(userId, id).changes > 0;
+}
+
+/** Every user's active schedules that are due at `now`, for the scheduler. */
+export function getDueSchedules(now = new Date()) {
+  return getDb().prepare(
+    "SELECT * FROM schedules WHERE paused = 0 AND next_run_at <= ? ORDER BY next_run_at, id"
+  ).all(toSeconds(now)).map(scheduleFromRow);
+}
+
+export function recordScheduleRun(id, { ranAt, nextRunAt, error = null }) {
+  getDb().prepare(
+    "UPDATE schedules SET last_run_at = ?, next_run_at = ?, last_error = ? WHERE id = ?"
+  ).run(toSeconds(ranAt), toSeconds(nextRunAt), error, id);
+}
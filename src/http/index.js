@@ -14,9 +14,12 @@ import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
 
 import { getDb, loadAllowedEmails, deleteExpiredTokens } from "./db.js";
 import { getOrCreateSession } from "./session-manager.js";
+import { createUserStore } from "./user-store.js";
+import { startScheduler } from "./scheduler.js";
 import oauthRouter, { requireBearerToken } from "./auth/oauth.js";
 import onboardingRouter from "./onboarding.js";
 import { registerAllTools } from "../tools/index.js";
+import { EXPORT_FORMATS, exportList } from "../list-exporter.js";
 import { isGoogleEnabled } from "./auth/providers/google.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -128,6 +131,31 @@ app.get("/health", (req, res) => {
   res.json({ status: "ok" });
 });
 
+// ── List export downloads ─────────────────────────────────────────────────────
+//
+// GET /export?list=Groceries&format=csv downloads the same rendering as the
+// shopping tool's export_list action. Omit list for the user's default list.
+
+app.get("/export", requireBearerToken, async (req, res) => {
+  const format = req.query.format || "markdown";
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `Unknown format "${format}". Use one of: ${EXPORT_FORMATS.join(", ")}` });
+  }
+  try {
+    const client = await getOrCreateSession(req.userId);
+    const exported = await exportList(client, req.query.list || null, format, {
+      includeChecked: req.query.include_checked !== "false",
+    });
+    res.setHeader("Content-Type", exported.mimeType);
+    res.setHeader("Content-Disposition", `attachment; filename="${exported.filename}"`);
+    res.send(exported.content);
+  } catch (err) {
+    console.error("List export error:", err);
+    const status = /not found/.test(err.message) ? 404 : 500;
+    res.status(status).json({ error: status === 404 ? err.message : "Internal server error" });
+  }
+});
+
 // ── OAuth + onboarding routes ─────────────────────────────────────────────────
 
 app.use(oauthRouter);
@@ -144,7 +172,7 @@ const mcpSessions = new Map(); // sessionId → { server, transport }
 
 function createMcpServer(userId) {
   const mcpServer = new McpServer({ name: "anylist-mcp-server", version: "2.0.0" });
-  registerAllTools(mcpServer, () => getOrCreateSession(userId));
+  registerAllTools(mcpServer, () => getOrCreateSession(userId), () => createUserStore(userId), { schedules: true });
   return mcpServer;
 }
 
@@ -240,6 +268,7 @@ setInterval(deleteExpiredTokens, 60 * 60 * 1000); // hourly
 
 validateEnv();
 getDb(); // Initialize DB (runs migrations)
+startScheduler(); // Recurring list additions from the schedules tool
 
 app.listen(PORT, () => {
   console.log(`anylist-mcp HTTP server listening on port ${PORT}`);
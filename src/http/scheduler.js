@@ -0,0 +1,54 @@
+import { getDueSchedules, recordScheduleRun } from "./db.js";
+import { getOrCreateSession } from "./session-manager.js";
+import { nextRunAt } from "../schedule.js";
+
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+let running = false;
+
+/**
+ * Add the item of every schedule that's due to its list, through the owner's AnyList session,
+ * then move each schedule on to its next run. A failed run is recorded on the schedule (the
+ * schedules tool shows it) and not retried, so a broken rule can't add an item over and over.
+ *
+ * @param {Date} [now]
+ * @returns {Promise<number>} How many schedules ran
+ */
+export async function runDueSchedules(now = new Date()) {
+  // A slow AnyList call shouldn't let the next tick run the same schedules again
+  if (running) return 0;
+  running = true;
+  try {
+    const due = getDueSchedules(now);
+    for (const schedule of due) {
+      let error = null;
+      try {
+        // The session client is shared with the user's tool calls, so the item goes straight
+        // to the schedule's list instead of switching the client's target list under them
+        const client = await getOrCreateSession(schedule.userId);
+        await client.ensureConnected(schedule.listName);
+        await client.addItem(schedule.item, null, null, null, { listName: schedule.listName });
+      } catch (err) {
+        error = err.message;
+        console.error(`Schedule ${schedule.id} ("${schedule.item}") failed: ${err.message}`);
+      }
+      recordScheduleRun(schedule.id, {
+        ranAt: now,
+        nextRunAt: nextRunAt(schedule, now, new Date(schedule.nextRunAt)),
+        error,
+      });
+    }
+    return due.length;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check for due schedules every minute, starting now.
+ */
+export function startScheduler() {
+  const tick = () => runDueSchedules().catch(err => console.error("Scheduler error:", err));
+  tick();
+  return setInterval(tick, CHECK_INTERVAL_MS);
+}
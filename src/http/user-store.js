@@ -0,0 +1,42 @@
+import {
+  getCategoryOrder,
+  setCategoryOrder,
+  deleteCategoryOrder,
+  getBarcodeProduct,
+  setBarcodeProduct,
+  recordPurchases,
+  getPurchases,
+  getPantryItems,
+  setPantryItem,
+  deletePantryItem,
+  createSchedule,
+  getSchedules,
+  setSchedulePaused,
+  deleteSchedule,
+} from "./db.js";
+
+/**
+ * A user's local data in the HTTP server's SQLite database, with the same methods as
+ * the stdio server's file store (see ../local-store.js), plus the recurring-item schedules
+ * only this server runs (see scheduler.js).
+ *
+ * @param {string} userId
+ */
+export function createUserStore(userId) {
+  return {
+    getCategoryOrder: (listId, storeId = null) => getCategoryOrder(userId, listId, storeId),
+    setCategoryOrder: (listId, storeId, categories) => setCategoryOrder(userId, listId, storeId, categories),
+    deleteCategoryOrder: (listId, storeId = null) => deleteCategoryOrder(userId, listId, storeId),
+    getBarcodeProduct: (barcode) => getBarcodeProduct(userId, barcode),
+    setBarcodeProduct: (barcode, product) => setBarcodeProduct(userId, barcode, product),
+    recordPurchases: (listId, names, purchasedAt = new Date()) => recordPurchases(userId, listId, names, purchasedAt),
+    getPurchases: (listId) => getPurchases(userId, listId),
+    getPantryItems: () => getPantryItems(userId),
+    setPantryItem: (item) => setPantryItem(userId, item),
+    deletePantryItem: (name) => deletePantryItem(userId, name),
+    createSchedule: (schedule) => createSchedule(userId, schedule),
+    getSchedules: () => getSchedules(userId),
+    setSchedulePaused: (id, paused, nextRunAt = null) => setSchedulePaused(userId, id, paused, nextRunAt),
+    deleteSchedule: (id) => deleteSchedule(userId, id),
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Turn a pasted block of text into item entries for AnyListClient.addItems(). Accepts
+ * CSV with a header row (name, quantity, unit, notes, category columns), one item per
+ * line (bullets, numbers and checkboxes are stripped; "## Produce" or "Produce:"
+ * headings set the category of the items below them), or a single comma-separated line.
+ */
+import { parseQuantity } from './item-quantity.js';
+
+const CSV_COLUMNS = {
+  name: ['name', 'item', 'item name'],
+  quantity: ['quantity', 'qty', 'amount'],
+  unit: ['unit', 'units'],
+  notes: ['notes', 'note', 'details'],
+  category: ['category', 'aisle'],
+};
+
+const LIST_MARKER = /^(?:[-*•+]|\d+[.)])\s+/;
+const CHECKBOX = /^\[[ xX]?\]\s*/;
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields with commas, doubled
+ * quotes and line breaks.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Map each known column to its index in the header row, or null when the first line isn't a header
+function csvHeader(firstLine) {
+  const headers = parseCsv(firstLine)[0] || [];
+  const normalized = headers.map(h => h.trim().toLowerCase());
+  const columns = {};
+  for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+    const index = normalized.findIndex(h => aliases.includes(h));
+    if (index !== -1) columns[field] = index;
+  }
+  return columns.name !== undefined && headers.length > 1 ? columns : null;
+}
+
+function csvEntries(text, columns) {
+  const [, ...rows] = parseCsv(text);
+  return rows.map(row => {
+    const value = field => (columns[field] !== undefined ? (row[columns[field]] || '').trim() : '');
+    const entry = { name: value('name') };
+    const quantity = parseQuantity(value('quantity'));
+    if (quantity && quantity.amount) {
+      entry.quantity = quantity.amount;
+      if (quantity.unit) entry.unit = quantity.unit;
+    }
+    if (value('unit')) entry.unit = value('unit');
+    if (value('notes')) entry.notes = value('notes');
+    if (value('category')) entry.category = value('category');
+    return entry;
+  }).filter(entry => entry.name);
+}
+
+function lineEntries(lines) {
+  const entries = [];
+  let category = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Plain-text titles are underlined ("Groceries" / "=========")
+    if (/^[=-]{3,}$/.test(line) || /^[=-]{3,}$/.test((lines[i + 1] || '').trim())) continue;
+    const heading = line.match(/^#+\s*(.+)$/) || line.match(/^([^,:]+):$/);
+    if (heading) {
+      category = heading[1].trim();
+      continue;
+    }
+    const name = line.replace(LIST_MARKER, '').replace(CHECKBOX, '').trim();
+    if (!name) continue;
+    entries.push(category ? { name, category, categoryFromHeading: true } : { name });
+  }
+  return entries;
+}
+
+/**
+ * Parse pasted text into item entries. Item names are left as written ("2 lbs chicken
+ * for the curry") for addItems() to interpret.
+ * @param {string} text
+ * @returns {Array<{ name: string, quantity?: string, unit?: string, notes?: string, category?: string, categoryFromHeading?: boolean }>}
+ *   categoryFromHeading marks categories taken from a heading rather than a CSV column, which
+ *   callers may ignore when they don't match a category on the list
+ */
+export function parseImportText(text) {
+  const lines = (text || '').split(/\r?\n/).filter(line => line.trim() !== '');
+  if (lines.length === 0) return [];
+
+  const columns = csvHeader(lines[0]);
+  if (columns) return csvEntries(text, columns);
+
+  // A single line with commas is a list of items: "milk, eggs, 2 lbs chicken"
+  if (lines.length === 1 && lines[0].includes(',')) {
+    return lines[0].split(',').map(part => part.replace(LIST_MARKER, '').trim()).filter(Boolean).map(name => ({ name }));
+  }
+  return lineEntries(lines);
+}
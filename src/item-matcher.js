@@ -0,0 +1,189 @@
+/**
+ * Fuzzy matching of item names, so "tomato", "Tomatoes" and "yoghurt" / "yogurt" resolve
+ * to the item already on a list.
+ *
+ * Scores are 0–1. Only the same name — up to case, plurals and spelling variants — scores
+ * 1 (CONFIDENT_MATCH) and can be used without asking. A query whose words all appear in a
+ * longer name ("milk" in "Oat milk") scores CONTAINED_MATCH; typos and prefixes ("custard"
+ * for "Mustard", "corn" for "Cornstarch") score lower still. Those are offered as
+ * candidates but never picked on their own, since one letter can be a different item.
+ */
+
+/** Below this a candidate isn't offered at all. */
+export const MATCH_THRESHOLD = 0.5;
+/** Only a match this good (and the only one) is used without asking. */
+export const CONFIDENT_MATCH = 1;
+/** Score for a query whose words all appear in a longer name ("milk" in "Oat milk"). */
+export const CONTAINED_MATCH = 0.8;
+/** Highest score a typo or partial match can get, so it always ranks below CONTAINED_MATCH. */
+const FUZZY_MAX = 0.75;
+
+/** Alternate spellings of the same word, by stem. */
+const SPELLING_VARIANTS = { yoghurt: 'yogurt', doughnut: 'donut', catsup: 'ketchup' };
+
+/** Lowercase, drop punctuation and collapse whitespace. */
+export function normalizeName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Reduce an English word to a rough stem shared by its singular and plural forms
+ * ("tomatoes" and "tomato" → "tomato"; "berries" and "berry" → "berri";
+ * "cookies" and "cookie" → "cooki").
+ */
+export function stemWord(word) {
+  if (word.length <= 2) return word;
+  let stem = word;
+  if (stem.endsWith('ies')) stem = stem.slice(0, -2);
+  else if (/(oes|ches|shes|sses|xes|zes)$/.test(stem)) stem = stem.slice(0, -2);
+  else if (stem.endsWith('s') && !stem.endsWith('ss') && !stem.endsWith('us')) stem = stem.slice(0, -1);
+  if (stem.endsWith('ie')) return stem.slice(0, -1);
+  if (stem.endsWith('y')) return `${stem.slice(0, -1)}i`;
+  return stem;
+}
+
+/**
+ * The spelling-independent form of a stemmed word: known variants mapped to one spelling
+ * and doubled letters collapsed ("bananna" → "banana").
+ */
+function spellingKey(stem) {
+  return (SPELLING_VARIANTS[stem] || stem).replace(/(\p{L})\1+/gu, '$1');
+}
+
+function stemTokens(name) {
+  return normalizeName(name).split(' ').filter(Boolean).map(word => spellingKey(stemWord(word)));
+}
+
+/** Whether two stemmed names are the same item, allowing different spacing ("ice cream" / "Icecream"). */
+function sameName(tokens, candidateTokens) {
+  return tokens.join('') === candidateTokens.join('');
+}
+
+/** Classic Levenshtein edit distance. */
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function editRatio(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshtein(a, b) / longest;
+}
+
+/** Minimum edit ratio for two different words to count as a typo of each other. */
+const TYPO_RATIO = 0.8;
+
+/** Score for a query word that is the start of a longer word ("cream" in "creamer"). */
+const PREFIX_SCORE = 0.7;
+
+/**
+ * How well one query word matches one candidate word: 1 for the same word, the edit
+ * ratio for a likely typo, PREFIX_SCORE for a typed prefix, else 0.
+ */
+function tokenScore(queryToken, candidateToken) {
+  if (queryToken === candidateToken) return 1;
+  const ratio = editRatio(queryToken, candidateToken);
+  if (ratio >= TYPO_RATIO) return ratio;
+  return queryToken.length >= 3 && candidateToken.startsWith(queryToken) ? PREFIX_SCORE : 0;
+}
+
+/**
+ * How well a candidate item name matches what the user asked for.
+ * @param {string} query
+ * @param {string} candidate
+ * @returns {number} 0–1
+ */
+export function similarity(query, candidate) {
+  const queryTokens = stemTokens(query);
+  const candidateTokens = stemTokens(candidate);
+  if (queryTokens.length === 0 || candidateTokens.length === 0) return 0;
+
+  if (sameName(queryTokens, candidateTokens)) return CONFIDENT_MATCH;
+
+  const tokenScores = queryTokens.map(q => Math.max(...candidateTokens.map(c => tokenScore(q, c))));
+  if (tokenScores.every(score => score === 1)) return CONTAINED_MATCH;
+  const edit = editRatio(queryTokens.join(' '), candidateTokens.join(' '));
+  const overlap = tokenScores.reduce((sum, score) => sum + score, 0) / Math.max(queryTokens.length, candidateTokens.length);
+  return Math.min(Math.max(edit, overlap), FUZZY_MAX);
+}
+
+/**
+ * Rank candidate names against a query, best first, dropping anything below the threshold.
+ * @param {string} query
+ * @param {string[]} candidates
+ * @param {{ threshold?: number }} [options]
+ * @returns {Array<{ name: string, score: number }>}
+ */
+export function rankMatches(query, candidates, { threshold = MATCH_THRESHOLD } = {}) {
+  return candidates
+    .map(name => ({ name, score: similarity(query, name) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+/**
+ * The single candidate a query confidently refers to, or null when no candidate is the
+ * same name or several are (the caller should ask the user instead).
+ * @param {Array<{ name: string, score: number }>} ranked - Output of rankMatches()
+ * @returns {string|null}
+ */
+export function confidentMatch(ranked) {
+  if (ranked.length === 0 || ranked[0].score < CONFIDENT_MATCH) return null;
+  if (ranked.length > 1 && ranked[1].score >= CONFIDENT_MATCH) return null;
+  return ranked[0].name;
+}
+
+/**
+ * Find an existing name that is the same item as `name` written differently — a plural,
+ * an alternate spelling or different spacing, but not a different item that merely shares
+ * a word ("Red onions" is not "Onions") or is a letter away ("Custard" is not "Mustard").
+ * @param {string} name
+ * @param {string[]} candidates
+ * @returns {string|null}
+ */
+export function findDuplicate(name, candidates) {
+  const tokens = stemTokens(name);
+  if (tokens.length === 0) return null;
+  return candidates.find(candidate => sameName(tokens, stemTokens(candidate))) || null;
+}
+
+/**
+ * Group names that look like the same item ("Eggs", "eggs (dozen)", "Large eggs"). Looser
+ * than findDuplicate(): a name whose words all appear in another also groups with it, so
+ * results are candidates for the user to confirm rather than certain duplicates. Typos
+ * don't group ("Custard" and "Mustard" are different items).
+ * @param {string[]} names
+ * @returns {string[][]} Groups of two or more names, each in input order
+ */
+export function clusterSimilar(names) {
+  const parent = names.map((_, i) => i);
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const score = Math.max(similarity(names[i], names[j]), similarity(names[j], names[i]));
+      if (score >= CONTAINED_MATCH) parent[root(j)] = root(i);
+    }
+  }
+  const groups = new Map();
+  names.forEach((name, i) => {
+    const key = root(i);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(name);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+}
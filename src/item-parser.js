@@ -0,0 +1,122 @@
+/**
+ * Parse free-form item text, as dictated to a voice assistant, into AnyList item fields:
+ * "2 lbs boneless chicken thighs for the curry" →
+ * { name: "boneless chicken thighs", quantity: "2", unit: "lb", notes: "for the curry" }.
+ */
+import { isKnownUnit, normalizeUnit } from './item-quantity.js';
+
+const NUMBER_WORDS = {
+  one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', ten: '10', eleven: '11', twelve: '12', half: '1/2',
+};
+
+const ARTICLES = new Set(['a', 'an']);
+
+const UNICODE_FRACTIONS = { '¼': '1/4', '½': '1/2', '¾': '3/4', '⅓': '1/3', '⅔': '2/3', '⅛': '1/8' };
+
+const AMOUNT = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+)$/;
+
+// "for the curry", "to make pesto": purpose phrases that become the note. "for" needs a
+// following word like these, so names such as "Food for thought" stay whole.
+const PURPOSE_NOTE = /\s+((?:for\s+(?:the|a|an|my|our|your|his|her|their|this|that|these|those|tonight|tomorrow|breakfast|lunch|dinner)|to make|to use in)\s+.+)$/i;
+
+function replaceUnicodeFractions(text) {
+  return text
+    .replace(/(\d)\s*([¼½¾⅓⅔⅛])/g, (_, whole, fraction) => `${whole} ${UNICODE_FRACTIONS[fraction]}`)
+    .replace(/[¼½¾⅓⅔⅛]/g, fraction => UNICODE_FRACTIONS[fraction]);
+}
+
+/**
+ * Take a leading amount ("2 lb", "1 1/2 cups", "two bags", "2x") off a list of words. A
+ * number or number word only counts before a unit, since product names start with them too
+ * ("7 Up", "Three Musketeers bar", "Four Roses bourbon"); multipliers ("2x") are amounts on
+ * their own. "a"/"an" is an article: dropped, and only an amount before a unit ("a lb of ham").
+ * @returns {{ amount: string|null, rest: string[] }}
+ */
+function takeAmount(words) {
+  if (words.length < 2) return { amount: null, rest: words };
+  const [first, second] = words;
+  const multiplier = first.match(/^(\d+)x$/i);
+  if (multiplier) return { amount: multiplier[1], rest: words.slice(1) };
+  const lower = first.toLowerCase();
+  if (ARTICLES.has(lower)) {
+    const rest = words.slice(1);
+    return { amount: rest.length > 1 && isKnownUnit(second) ? '1' : null, rest };
+  }
+  let number = null;
+  if (AMOUNT.test(`${first} ${second}`) && words.length > 2) number = `${first} ${second}`;
+  else if (AMOUNT.test(first)) number = first;
+  else if (NUMBER_WORDS[lower]) number = first;
+  if (!number) return { amount: null, rest: words };
+  const rest = words.slice(number.split(' ').length);
+  const unitFollows = rest.length > 1 && isKnownUnit(rest[0]);
+  // A unit followed by another is a package size ("12 oz can tomato paste"), not the amount wanted
+  const packageSize = unitFollows && rest.length > 2 && isKnownUnit(rest[1]);
+  if (!unitFollows || packageSize) return { amount: null, rest: words };
+  return { amount: NUMBER_WORDS[lower] || number, rest };
+}
+
+/**
+ * Split free-form item text into name, quantity, unit and notes. Parts that aren't
+ * present come back as null; text that doesn't parse is returned whole as the name.
+ * @param {string} text
+ * @returns {{ name: string, quantity: string|null, unit: string|null, notes: string|null }}
+ */
+export function parseItemText(text) {
+  let rest = replaceUnicodeFractions((text || '').trim()).replace(/\s+/g, ' ');
+  const notes = [];
+  let quantity = null;
+  let unit = null;
+
+  // Notes: "(organic)", "bananas - ripe ones", "... for the curry". A comma doesn't start a
+  // note, so "Salt, pepper" stays one name.
+  // A parenthetical that is just an amount ("Milk (2 gal)", as list_items shows it) is the quantity.
+  const parenthetical = rest.match(/\s*\(([^)]+)\)\s*$/);
+  if (parenthetical) {
+    const inner = parenthetical[1].trim().split(' ');
+    const amount = AMOUNT.test(inner[0]) && (inner.length === 1 || (inner.length === 2 && isKnownUnit(inner[1])));
+    if (amount) {
+      quantity = inner[0];
+      unit = inner.length === 2 ? normalizeUnit(inner[1]) : null;
+    } else {
+      notes.unshift(parenthetical[1].trim());
+    }
+    rest = rest.slice(0, parenthetical.index);
+  }
+  const purpose = rest.match(PURPOSE_NOTE);
+  if (purpose) {
+    notes.unshift(purpose[1].trim());
+    rest = rest.slice(0, purpose.index);
+  }
+  const separator = rest.match(/\s[-–—]\s+(.+)$/);
+  if (separator) {
+    notes.unshift(separator[1].trim());
+    rest = rest.slice(0, separator.index);
+  }
+
+  let words = rest.split(' ').filter(Boolean);
+
+  const leading = quantity === null ? takeAmount(words) : { amount: null, rest: words };
+  words = leading.rest;
+  if (leading.amount) {
+    quantity = leading.amount;
+    if (words.length > 1 && isKnownUnit(words[0])) {
+      unit = normalizeUnit(words[0]);
+      words = words.slice(1);
+    }
+    if (words.length > 1 && words[0].toLowerCase() === 'of') words = words.slice(1);
+  } else if (quantity === null) {
+    // Trailing multiplier: "milk x2"
+    const trailing = words.length > 1 && words[words.length - 1].match(/^x(\d+)$/i);
+    if (trailing) {
+      quantity = trailing[1];
+      words = words.slice(0, -1);
+    }
+  }
+
+  const name = words.join(' ');
+  if (!name) {
+    return { name: (text || '').trim(), quantity: null, unit: null, notes: null };
+  }
+  return { name, quantity, unit, notes: notes.length > 0 ? notes.join('; ') : null };
+}
@@ -0,0 +1,147 @@
+/**
+ * Helpers for AnyList's structured item quantities (PBItemQuantity).
+ *
+ * A quantity is represented as { amount, unit, rawQuantity }, mirroring the
+ * protobuf message: amount and unit are strings ("1/2", "lb"), rawQuantity is
+ * the human-readable form AnyList displays ("1/2 lb").
+ */
+
+const UNIT_ALIASES = {
+  lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb',
+  oz: 'oz', ounce: 'oz', ounces: 'oz',
+  g: 'g', gram: 'g', grams: 'g',
+  kg: 'kg', kilo: 'kg', kilos: 'kg', kilogram: 'kg', kilograms: 'kg',
+  ml: 'ml', milliliter: 'ml', milliliters: 'ml',
+  l: 'l', liter: 'l', liters: 'l', litre: 'l', litres: 'l',
+  gal: 'gal', gallon: 'gal', gallons: 'gal',
+  qt: 'qt', quart: 'qt', quarts: 'qt',
+  pt: 'pt', pint: 'pt', pints: 'pt',
+  cup: 'cup', cups: 'cup',
+  tbsp: 'tbsp', tablespoon: 'tbsp', tablespoons: 'tbsp',
+  tsp: 'tsp', teaspoon: 'tsp', teaspoons: 'tsp',
+  can: 'can', cans: 'can',
+  jar: 'jar', jars: 'jar',
+  bottle: 'bottle', bottles: 'bottle',
+  box: 'box', boxes: 'box',
+  bag: 'bag', bags: 'bag',
+  pack: 'pack', packs: 'pack', package: 'pack', packages: 'pack',
+  bunch: 'bunch', bunches: 'bunch',
+  head: 'head', heads: 'head',
+  loaf: 'loaf', loaves: 'loaf',
+  dozen: 'dozen', dozens: 'dozen',
+  clove: 'clove', cloves: 'clove',
+  stick: 'stick', sticks: 'stick',
+  carton: 'carton', cartons: 'carton',
+  roll: 'roll', rolls: 'roll',
+};
+
+const AMOUNT_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+)\s*(.*)$/;
+
+/**
+ * Canonicalize a unit ("Pounds" → "lb"). Unknown units are returned trimmed and lowercased.
+ * @param {string|null} unit
+ * @returns {string|null}
+ */
+export function normalizeUnit(unit) {
+  if (!unit) return null;
+  const key = unit.trim().toLowerCase().replace(/\.$/, '');
+  if (!key) return null;
+  return UNIT_ALIASES[key] || key;
+}
+
+/**
+ * Whether a word is a recognized unit of measure or packaging.
+ * @param {string} word
+ */
+export function isKnownUnit(word) {
+  return !!word && Object.prototype.hasOwnProperty.call(UNIT_ALIASES, word.toLowerCase().replace(/\.$/, ''));
+}
+
+/**
+ * Convert an amount string ("2", "1.5", "1/2", "1 1/2") to a number.
+ * @param {string|number|null} amount
+ * @returns {number|null} null when the amount can't be parsed
+ */
+export function amountToNumber(amount) {
+  if (typeof amount === 'number') return amount;
+  if (!amount) return null;
+  const text = String(amount).trim();
+  const mixed = text.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+  const fraction = text.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Build a structured quantity from an amount and optional unit.
+ * @param {string|number} amount
+ * @param {string|null} [unit]
+ * @returns {{ amount: string, unit: string|null, rawQuantity: string }}
+ */
+export function buildQuantity(amount, unit = null) {
+  const amountText = String(amount).trim();
+  const normalizedUnit = normalizeUnit(unit);
+  return {
+    amount: amountText,
+    unit: normalizedUnit,
+    rawQuantity: normalizedUnit ? `${amountText} ${normalizedUnit}` : amountText,
+  };
+}
+
+/**
+ * Parse a free-form quantity string ("2 lb", "3 cans", "1/2") into a structured quantity.
+ * Strings without a leading amount are kept as rawQuantity only.
+ * @param {string|null} raw
+ * @returns {{ amount: string|null, unit: string|null, rawQuantity: string }|null}
+ */
+export function parseQuantity(raw) {
+  if (raw === null || raw === undefined) return null;
+  const text = String(raw).trim();
+  if (!text) return null;
+  const match = text.match(AMOUNT_PATTERN);
+  if (!match) return { amount: null, unit: null, rawQuantity: text };
+  return buildQuantity(match[1].replace(/\s+/g, ' '), match[2] || null);
+}
+
+/**
+ * Human-readable form of a structured quantity.
+ * @param {{ amount?: string|number|null, unit?: string|null, rawQuantity?: string|null }|null} quantity
+ * @returns {string}
+ */
+export function formatQuantity(quantity) {
+  if (!quantity) return '';
+  if (quantity.amount === null || quantity.amount === undefined || quantity.amount === '') {
+    return quantity.rawQuantity || '';
+  }
+  return quantity.unit ? `${quantity.amount} ${quantity.unit}` : String(quantity.amount);
+}
+
+/**
+ * Combine several items' quantities into one, as when merging duplicate items.
+ * Amounts in the same unit are added up ("2 lb" + "1 lb" → "3 lb"); anything else is
+ * kept side by side as rawQuantity ("2 lb + 1 bag"). Missing quantities are ignored.
+ * @param {Array<{ amount: string|null, unit: string|null, rawQuantity: string }|null>} quantities
+ * @returns {{ amount: string|null, unit: string|null, rawQuantity: string }|null}
+ */
+export function combineQuantities(quantities) {
+  const present = quantities.filter(q => q && (q.amount || q.rawQuantity));
+  if (present.length === 0) return null;
+  if (present.length === 1) return present[0];
+
+  const totals = new Map();
+  const unparsed = [];
+  for (const quantity of present) {
+    const amount = amountToNumber(quantity.amount);
+    if (amount === null) {
+      unparsed.push(formatQuantity(quantity));
+      continue;
+    }
+    const unit = quantity.unit || null;
+    totals.set(unit, (totals.get(unit) || 0) + amount);
+  }
+  const parts = [...totals].map(([unit, total]) => buildQuantity(Math.round(total * 1000) / 1000, unit));
+  if (parts.length === 1 && unparsed.length === 0) return parts[0];
+  return { amount: null, unit: null, rawQuantity: [...parts.map(formatQuantity), ...unparsed].join(' + ') };
+}
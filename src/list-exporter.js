@@ -0,0 +1,133 @@
+/**
+ * Render a shopping list for people who don't use AnyList: Markdown, CSV, plain text
+ * or JSON. Works on the item objects returned by AnyListClient.getItems().
+ */
+import { formatQuantity } from './item-quantity.js';
+
+export const EXPORT_FORMATS = ['markdown', 'csv', 'text', 'json'];
+
+const FILE_TYPES = {
+  markdown: { extension: 'md', mimeType: 'text/markdown; charset=utf-8' },
+  csv: { extension: 'csv', mimeType: 'text/csv; charset=utf-8' },
+  text: { extension: 'txt', mimeType: 'text/plain; charset=utf-8' },
+  json: { extension: 'json', mimeType: 'application/json; charset=utf-8' },
+};
+
+function quantityText(item) {
+  if (item.quantity === null || item.quantity === undefined) return '';
+  if (!item.unit && item.quantity === 1) return '';
+  return formatQuantity({ amount: item.quantity, unit: item.unit || null });
+}
+
+/**
+ * Group items under their category names, in the list's category order first and
+ * alphabetically after that.
+ * @returns {Array<{ category: string, items: object[] }>}
+ */
+function groupByCategory(items, categoryOrder) {
+  const groups = new Map();
+  for (const item of items) {
+    const category = item.categoryName || item.category || 'Other';
+    if (!groups.has(category)) groups.set(category, []);
+    groups.get(category).push(item);
+  }
+  const rank = category => {
+    const index = categoryOrder.indexOf(category);
+    return index === -1 ? categoryOrder.length : index;
+  };
+  return [...groups.keys()]
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(category => ({ category, items: groups.get(category) }));
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderMarkdown(listName, groups) {
+  const lines = [`# ${listName}`];
+  for (const { category, items } of groups) {
+    lines.push('', `## ${category}`, '');
+    for (const item of items) {
+      const quantity = quantityText(item);
+      lines.push(`- [${item.checked ? 'x' : ' '}] ${item.name}${quantity ? ` (${quantity})` : ''}${item.note ? ` — ${item.note}` : ''}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function renderText(listName, groups) {
+  const lines = [listName, '='.repeat(listName.length)];
+  for (const { category, items } of groups) {
+    lines.push('', `${category}:`);
+    for (const item of items) {
+      const quantity = quantityText(item);
+      lines.push(`  [${item.checked ? 'x' : ' '}] ${item.name}${quantity ? ` (${quantity})` : ''}${item.note ? ` - ${item.note}` : ''}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function renderCsv(groups) {
+  const rows = [['name', 'quantity', 'unit', 'category', 'notes', 'checked']];
+  for (const { category, items } of groups) {
+    for (const item of items) {
+      rows.push([item.name, item.quantity ?? '', item.unit || '', category, item.note || '', item.checked ? 'yes' : 'no']);
+    }
+  }
+  return `${rows.map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+function renderJson(listName, groups) {
+  const items = groups.flatMap(({ category, items: categoryItems }) => categoryItems.map(item => ({
+    name: item.name,
+    quantity: item.quantity ?? null,
+    unit: item.unit || null,
+    category,
+    notes: item.note || null,
+    checked: !!item.checked,
+  })));
+  return `${JSON.stringify({ list: listName, items }, null, 2)}\n`;
+}
+
+/**
+ * Render items in one of EXPORT_FORMATS.
+ * @param {string} listName
+ * @param {Array<{ name: string, quantity?: number|null, unit?: string|null, checked?: boolean, categoryName?: string, note?: string }>} items
+ * @param {string} format
+ * @param {{ categoryOrder?: string[] }} [options] - Category names in the list's order
+ * @returns {{ content: string, mimeType: string, filename: string }}
+ */
+export function renderList(listName, items, format, { categoryOrder = [] } = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown export format "${format}". Use one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  const groups = groupByCategory(items, categoryOrder);
+  let content;
+  if (format === 'markdown') content = renderMarkdown(listName, groups);
+  else if (format === 'text') content = renderText(listName, groups);
+  else if (format === 'csv') content = renderCsv(groups);
+  else content = renderJson(listName, groups);
+
+  const { extension, mimeType } = FILE_TYPES[format];
+  const basename = listName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'list';
+  return { content, mimeType, filename: `${basename}.${extension}` };
+}
+
+/**
+ * Render a list, with notes and (by default) checked items. The client's current list is
+ * left alone, so an export doesn't redirect the tool calls of a session sharing the client.
+ * @param {import('./anylist-client.js').default} client
+ * @param {string|null} listName - null for the client's default list
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {{ includeChecked?: boolean }} [options]
+ */
+export async function exportList(client, listName, format, { includeChecked = true } = {}) {
+  await client.ensureConnected(listName);
+  const name = client.resolveListName(listName);
+  if (!name) throw new Error('No list name provided and no default list configured');
+  const items = await client.getItems(includeChecked, true, { listName: name });
+  const categoryOrder = client.getCategories(name).map(c => c.name);
+  return renderList(client.getListName(name), items, format, { categoryOrder });
+}
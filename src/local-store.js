@@ -0,0 +1,131 @@
+/**
+ * Local data that AnyList itself doesn't keep (e.g. saved category walking orders, the
+ * products scanned barcodes turned out to be, a log of purchases and the pantry), stored
+ * in a JSON file for the stdio server. The HTTP server keeps the same data per user in
+ * its SQLite database (see http/user-store.js); both expose the same methods.
+ */
+import { readFileSync, writeFileSync, mkdirSync, existsSync, renameSync } from 'fs';
+import os from 'os';
+import path from 'path';
+
+/** Where the stdio server keeps its local data unless ANYLIST_DATA_FILE says otherwise. */
+export function defaultDataFile() {
+  return process.env.ANYLIST_DATA_FILE || path.join(os.homedir(), '.anylist-mcp', 'data.json');
+}
+
+function orderKey(listId, storeId) {
+  return `${listId}:${storeId || ''}`;
+}
+
+/**
+ * Create a store backed by a JSON file. The file is read on first use and rewritten
+ * after every change.
+ * @param {string} filePath
+ */
+export function createFileStore(filePath) {
+  let data = null;
+
+  function load() {
+    if (!data) {
+      data = existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : {};
+    }
+    return data;
+  }
+
+  function save() {
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    // Write then rename so a crash mid-write can't leave a truncated file behind
+    const tempPath = `${filePath}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    renameSync(tempPath, filePath);
+  }
+
+  function collection(name) {
+    const current = load();
+    if (!current[name]) current[name] = {};
+    return current[name];
+  }
+
+  return {
+    /**
+     * Saved category walking order for a list, or for one of its stores.
+     * @param {string} listId
+     * @param {string|null} storeId - null for the list-wide order
+     * @returns {string[]|null} Category names, first aisle first
+     */
+    getCategoryOrder(listId, storeId = null) {
+      return collection('categoryOrders')[orderKey(listId, storeId)] || null;
+    },
+
+    setCategoryOrder(listId, storeId, categories) {
+      collection('categoryOrders')[orderKey(listId, storeId)] = categories;
+      save();
+    },
+
+    /** @returns {boolean} Whether there was a saved order to delete */
+    deleteCategoryOrder(listId, storeId = null) {
+      const orders = collection('categoryOrders');
+      const key = orderKey(listId, storeId);
+      if (!(key in orders)) return false;
+      delete orders[key];
+      save();
+      return true;
+    },
+
+    /**
+     * The product a barcode was last found to be, so repeat scans skip the lookup.
+     * @param {string} barcode - Normalized digits
+     * @returns {{ name: string, category: string|null }|null}
+     */
+    getBarcodeProduct(barcode) {
+      const product = collection('barcodes')[barcode];
+      return product ? { name: product.name, category: product.category } : null;
+    },
+
+    setBarcodeProduct(barcode, { name, category = null }) {
+      collection('barcodes')[barcode] = { name, category, updatedAt: new Date().toISOString() };
+      save();
+    },
+
+    /**
+     * Log items as bought (checked off) on a list.
+     * @param {string} listId
+     * @param {string[]} names
+     * @param {Date} [purchasedAt]
+     */
+    recordPurchases(listId, names, purchasedAt = new Date()) {
+      const purchases = collection('purchases');
+      purchases[listId] = [
+        ...(purchases[listId] || []),
+        ...names.map(name => ({ name, purchasedAt: purchasedAt.toISOString() })),
+      ];
+      save();
+    },
+
+    /** @returns {Array<{ name: string, purchasedAt: string }>} Oldest first */
+    getPurchases(listId) {
+      return collection('purchases')[listId] || [];
+    },
+
+    /** Everything in the pantry (see ../pantry.js for the item shape), by name. */
+    getPantryItems() {
+      return Object.values(collection('pantry')).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /** Add or replace a pantry item; names are matched case-insensitively. */
+    setPantryItem(item) {
+      collection('pantry')[item.name.toLowerCase()] = item;
+      save();
+    },
+
+    /** @returns {boolean} Whether the item was in the pantry */
+    deletePantryItem(name) {
+      const pantry = collection('pantry');
+      const key = name.toLowerCase();
+      if (!(key in pantry)) return false;
+      delete pantry[key];
+      save();
+      return true;
+    },
+  };
+}
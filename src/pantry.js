@@ -0,0 +1,124 @@
+/**
+ * A lightweight pantry: what's on hand at home, how much, and when it expires. Items live
+ * in the local store (see local-store.js and http/user-store.js); this module holds the
+ * rules for adding, using up and looking them up, so the pantry tool and other tools agree.
+ *
+ * A pantry item is { name, quantity, unit, expiresOn, addedAt }: quantity is a number or
+ * null when the amount isn't tracked, expiresOn a "YYYY-MM-DD" date or null.
+ */
+import { normalizeUnit, formatQuantity } from './item-quantity.js';
+import { findDuplicate } from './item-matcher.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Today's date in local time as "YYYY-MM-DD". */
+export function localDate(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function checkDate(expiresOn) {
+  if (expiresOn !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(expiresOn) || Number.isNaN(Date.parse(expiresOn)))) {
+    throw new Error(`Expiry date "${expiresOn}" should look like 2026-03-31`);
+  }
+}
+
+/** "2 lb", "3", or "" when the amount isn't tracked. */
+export function formatPantryQuantity(item) {
+  return item.quantity === null ? '' : formatQuantity({ amount: item.quantity, unit: item.unit });
+}
+
+/**
+ * The pantry item that is `name` (plurals and small spelling differences match), so other
+ * tools can check whether an ingredient is already stocked.
+ * @param {{ getPantryItems: () => object[] }} store
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function findOnHand(store, name) {
+  const items = store.getPantryItems();
+  const lower = name.trim().toLowerCase();
+  const exact = items.find(item => item.name.toLowerCase() === lower);
+  if (exact) return exact;
+  const match = findDuplicate(name, items.map(item => item.name));
+  return match ? items.find(item => item.name === match) : null;
+}
+
+/**
+ * Put an item in the pantry, or top up the one already there. Amounts in the same unit
+ * add up, and the sooner expiry date is kept.
+ * @param {object} store
+ * @param {{ name: string, quantity?: number|null, unit?: string|null, expiresOn?: string|null }} item
+ * @returns {{ item: object, status: 'added'|'updated' }}
+ */
+export function addToPantry(store, { name, quantity = null, unit = null, expiresOn = null }) {
+  checkDate(expiresOn);
+  const existing = findOnHand(store, name);
+  const normalizedUnit = normalizeUnit(unit);
+  if (!existing) {
+    const item = { name: name.trim(), quantity, unit: quantity === null ? null : normalizedUnit, expiresOn, addedAt: new Date().toISOString() };
+    store.setPantryItem(item);
+    return { item, status: 'added' };
+  }
+
+  const item = { ...existing };
+  if (quantity !== null) {
+    if (existing.quantity === null) {
+      item.quantity = quantity;
+      item.unit = normalizedUnit;
+    } else if ((existing.unit || null) === normalizedUnit) {
+      item.quantity = existing.quantity + quantity;
+    } else {
+      throw new Error(`The pantry has ${formatPantryQuantity(existing)} of "${existing.name}"; add it in ${existing.unit || 'the same units (no unit)'}`);
+    }
+  }
+  if (expiresOn && (!existing.expiresOn || expiresOn < existing.expiresOn)) item.expiresOn = expiresOn;
+  store.setPantryItem(item);
+  return { item, status: 'updated' };
+}
+
+/**
+ * Use some of a pantry item, or all of it when no quantity is given. Items that run out
+ * are removed.
+ * @param {object} store
+ * @param {string} name
+ * @param {{ quantity?: number|null, unit?: string|null }} [amount]
+ * @returns {{ item: object, remaining: object|null }} The item as it was, and what's left
+ */
+export function consumeFromPantry(store, name, { quantity = null, unit = null } = {}) {
+  const item = findOnHand(store, name);
+  if (!item) {
+    const names = store.getPantryItems().map(i => i.name);
+    throw new Error(`"${name}" is not in the pantry. Pantry items: ${names.join(', ') || '(none)'}`);
+  }
+  if (quantity !== null) {
+    if (item.quantity === null) {
+      throw new Error(`The pantry doesn't track how much "${item.name}" there is; leave out the quantity to use it up`);
+    }
+    if ((item.unit || null) !== normalizeUnit(unit)) {
+      throw new Error(`The pantry has ${formatPantryQuantity(item)} of "${item.name}"; use it in ${item.unit || 'the same units (no unit)'}`);
+    }
+  }
+  if (quantity === null || quantity >= item.quantity) {
+    store.deletePantryItem(item.name);
+    return { item, remaining: null };
+  }
+  const remaining = { ...item, quantity: item.quantity - quantity };
+  store.setPantryItem(remaining);
+  return { item, remaining };
+}
+
+/**
+ * Pantry items that expire within `days` days (or already have), soonest first.
+ * @param {object[]} items
+ * @param {{ days?: number, today?: Date }} [options]
+ * @returns {Array<object & { daysLeft: number }>} daysLeft is negative for expired items
+ */
+export function expiringSoon(items, { days = 7, today = new Date() } = {}) {
+  const start = Date.parse(localDate(today));
+  return items
+    .filter(item => item.expiresOn)
+    .map(item => ({ ...item, daysLeft: Math.round((Date.parse(item.expiresOn) - start) / DAY_MS) }))
+    .filter(item => item.daysLeft <= days)
+    .sort((a, b) => a.daysLeft - b.daysLeft || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,61 @@
+/**
+ * Guess which items are due to be bought again from when they were checked off before.
+ * Works on the purchase log the local store keeps (see local-store.js and http/user-store.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Check-offs closer together than this count as one purchase (the same shopping trip)
+const SAME_TRIP_MS = 12 * 60 * 60 * 1000;
+
+// Suggest an item once this much of its usual interval has passed
+const DUE_RATIO = 0.8;
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Items whose usual time between purchases has (nearly) passed since they were last bought,
+ * most overdue first. Items bought only once have no interval yet and are left out.
+ * @param {Array<{ name: string, purchasedAt: string|Date }>} purchases
+ * @param {{ now?: Date, exclude?: string[] }} [options] - exclude: names to leave out, such as
+ *   items already on the list (case-insensitive)
+ * @returns {Array<{ name: string, purchaseCount: number, intervalDays: number, daysSinceLast: number, dueInDays: number }>}
+ *   dueInDays is negative when the item is overdue
+ */
+export function suggestRestock(purchases, { now = new Date(), exclude = [] } = {}) {
+  const excluded = new Set(exclude.map(name => name.toLowerCase()));
+  const byItem = new Map();
+  for (const purchase of purchases) {
+    const key = purchase.name.trim().toLowerCase();
+    if (!key || excluded.has(key)) continue;
+    if (!byItem.has(key)) byItem.set(key, []);
+    byItem.get(key).push({ name: purchase.name.trim(), time: new Date(purchase.purchasedAt).getTime() });
+  }
+
+  const suggestions = [];
+  for (const entries of byItem.values()) {
+    entries.sort((a, b) => a.time - b.time);
+    const trips = entries.filter((entry, index) => index === 0 || entry.time - entries[index - 1].time >= SAME_TRIP_MS);
+    if (trips.length < 2) continue;
+
+    const interval = median(trips.slice(1).map((trip, index) => trip.time - trips[index].time));
+    const last = trips[trips.length - 1];
+    const elapsed = now.getTime() - last.time;
+    if (elapsed < interval * DUE_RATIO) continue;
+    suggestions.push({
+      name: entries[entries.length - 1].name,
+      purchaseCount: trips.length,
+      intervalDays: Math.round(interval / DAY_MS),
+      daysSinceLast: Math.floor(elapsed / DAY_MS),
+      dueInDays: Math.round((interval - elapsed) / DAY_MS),
+      overdueRatio: elapsed / interval,
+    });
+  }
+  return suggestions
+    .sort((a, b) => b.overdueRatio - a.overdueRatio)
+    .map(({ overdueRatio, ...suggestion }) => suggestion);
+}
@@ -0,0 +1,80 @@
+/**
+ * Recurring list additions ("add milk every Monday"): when a rule runs next, and how to
+ * describe it. The HTTP server stores the rules and runs them (see http/scheduler.js).
+ *
+ * A rule repeats on exactly one of everyDays (every N days), weekday (0 = Sunday) or
+ * dayOfMonth (1-28, so it exists in every month), at `hour` o'clock server time.
+ */
+
+export const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// The hour rules run at unless they say otherwise
+export const DEFAULT_HOUR = 8;
+
+function ordinal(n) {
+  const suffix = n % 10 === 1 && n !== 11 ? 'st' : n % 10 === 2 && n !== 12 ? 'nd' : n % 10 === 3 && n !== 13 ? 'rd' : 'th';
+  return `${n}${suffix}`;
+}
+
+/**
+ * Check that a rule repeats in exactly one way, with values in range.
+ * @param {{ everyDays?: number|null, weekday?: number|null, dayOfMonth?: number|null, hour?: number }} rule
+ * @throws {Error} describing what's wrong
+ */
+export function validateRule({ everyDays = null, weekday = null, dayOfMonth = null, hour = DEFAULT_HOUR }) {
+  const ways = [everyDays, weekday, dayOfMonth].filter(value => value !== null).length;
+  if (ways !== 1) {
+    throw new Error('A schedule needs exactly one of "every_days", "weekday" or "day_of_month"');
+  }
+  if (everyDays !== null && (!Number.isInteger(everyDays) || everyDays < 1)) {
+    throw new Error('"every_days" must be a whole number of days, at least 1');
+  }
+  if (weekday !== null && (!Number.isInteger(weekday) || weekday < 0 || weekday > 6)) {
+    throw new Error('"weekday" must be a day of the week');
+  }
+  if (dayOfMonth !== null && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 28)) {
+    throw new Error('"day_of_month" must be between 1 and 28');
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    throw new Error('"hour" must be between 0 and 23');
+  }
+}
+
+/**
+ * The next time a rule should run, strictly after `after`. Interval rules count from
+ * their previous scheduled run so they don't drift; runs missed while the server was
+ * down are skipped rather than made up.
+ * @param {{ everyDays: number|null, weekday: number|null, dayOfMonth: number|null, hour: number }} rule
+ * @param {Date} after
+ * @param {Date|null} [previous] - When the rule was last due, for interval rules
+ * @returns {Date}
+ */
+export function nextRunAt(rule, after, previous = null) {
+  const next = new Date(previous && rule.everyDays !== null ? previous : after);
+  next.setHours(rule.hour, 0, 0, 0);
+  if (rule.everyDays !== null) {
+    if (previous) next.setDate(next.getDate() + rule.everyDays);
+    while (next <= after) next.setDate(next.getDate() + (previous ? rule.everyDays : 1));
+    return next;
+  }
+  // Step a day at a time (setDate keeps the hour across daylight saving changes)
+  const matches = date => (rule.weekday !== null ? date.getDay() === rule.weekday : date.getDate() === rule.dayOfMonth);
+  while (next <= after || !matches(next)) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+/**
+ * "every 3 days at 08:00", "every Monday at 08:00", "monthly on the 1st at 08:00"
+ * @param {{ everyDays: number|null, weekday: number|null, dayOfMonth: number|null, hour: number }} rule
+ */
+export function describeRule(rule) {
+  const at = `at ${String(rule.hour).padStart(2, '0')}:00`;
+  if (rule.everyDays !== null) {
+    return `${rule.everyDays === 1 ? 'every day' : `every ${rule.everyDays} days`} ${at}`;
+  }
+  if (rule.weekday !== null) {
+    const day = WEEKDAYS[rule.weekday];
+    return `every ${day[0].toUpperCase()}${day.slice(1)} ${at}`;
+  }
+  return `monthly on the ${ordinal(rule.dayOfMonth)} ${at}`;
+}
@@ -2,6 +2,7 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import dotenv from "dotenv";
 import AnyListClient from "./anylist-client.js";
+import { createFileStore, defaultDataFile } from "./local-store.js";
 import { registerAllTools } from "./tools/index.js";
 
 dotenv.config();
@@ -11,13 +12,14 @@ console.log = console.error;
 console.info = console.error;
 
 const anylistClient = new AnyListClient();
+const localStore = createFileStore(defaultDataFile());
 
 const server = new McpServer({
   name: "anylist-mcp-server",
   version: "2.0.0",
 });
 
-registerAllTools(server, () => anylistClient);
+registerAllTools(server, () => anylistClient, () => localStore);
 
 async function main() {
   const transport = new StdioServerTransport();
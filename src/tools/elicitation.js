@@ -37,14 +37,19 @@ export function createElicitationHelpers(server) {
   }
 
   async function elicitItemChoice(itemName, matchingNames) {
+    const single = matchingNames.length === 1;
     const content = await elicitOrError(
-      `Multiple items match "${itemName}". Which one did you mean?`,
+      single
+        ? `No exact match for "${itemName}". Did you mean "${matchingNames[0]}"?`
+        : `Multiple items match "${itemName}". Which one did you mean?`,
       {
         type: "object",
         properties: { item: { type: "string", enum: matchingNames, description: "The item to select" } },
         required: ["item"]
       },
-      `Multiple items match "${itemName}": ${matchingNames.join(", ")}. Please specify the exact item name.`
+      single
+        ? `No exact match for "${itemName}". Did you mean "${matchingNames[0]}"? Please specify the exact item name.`
+        : `Multiple items match "${itemName}": ${matchingNames.join(", ")}. Please specify the exact item name.`
     );
     return content.item;
   }
@@ -3,6 +3,8 @@ import { register as registerShopping } from "./shopping.js";
 import { register as registerRecipes } from "./recipes.js";
 import { register as registerMealPlan } from "./meal-plan.js";
 import { register as registerRecipeCollections } from "./recipe-collections.js";
+import { register as registerPantry } from "./pantry.js";
+import { register as registerSchedules } from "./schedules.js";
 
 /**
  * Register all AnyList MCP tools on the given server.
@@ -12,11 +14,20 @@ import { register as registerRecipeCollections } from "./recipe-collections.js";
  *   Async factory that returns the AnyListClient for the current request/session.
  *   For stdio: always returns the same singleton client.
  *   For HTTP: returns the per-user client from the session manager.
+ * @param {() => object} [getStore]
+ *   Returns the local data store for the current user (data AnyList doesn't keep, such as
+ *   saved category orders and the pantry). For stdio: a JSON file store (../local-store.js).
+ *   For HTTP: the user's rows in the server database (../http/user-store.js).
+ * @param {{ schedules?: boolean }} [options]
+ *   schedules: register the schedules tool. Only the HTTP server runs schedules
+ *   (../http/scheduler.js), and its store keeps them.
  */
-export function registerAllTools(server, getClient) {
+export function registerAllTools(server, getClient, getStore = null, { schedules = false } = {}) {
   registerHealth(server, getClient);
-  registerShopping(server, getClient);
+  registerShopping(server, getClient, getStore);
   registerRecipes(server, getClient);
   registerMealPlan(server, getClient);
   registerRecipeCollections(server, getClient);
+  if (getStore) registerPantry(server, getStore);
+  if (getStore && schedules) registerSchedules(server, getClient, getStore);
 }
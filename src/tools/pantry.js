@@ -0,0 +1,112 @@
+import { z } from "zod";
+import { textResponse, errorResponse } from "./helpers.js";
+import { createElicitationHelpers } from "./elicitation.js";
+import { parseItemText } from "../item-parser.js";
+import { amountToNumber } from "../item-quantity.js";
+import { addToPantry, consumeFromPantry, expiringSoon, findOnHand, formatPantryQuantity } from "../pantry.js";
+
+// How far ahead "expiring" looks unless 'days' says otherwise
+const DEFAULT_EXPIRING_DAYS = 7;
+
+function formatExpiry(item) {
+  if (!item.expiresOn) return "";
+  return ` — expires ${item.expiresOn}`;
+}
+
+function formatPantryItem(item) {
+  const quantity = formatPantryQuantity(item);
+  return `- ${item.name}${quantity ? ` (${quantity})` : ""}${formatExpiry(item)}`;
+}
+
+function formatDaysLeft(daysLeft) {
+  if (daysLeft < 0) return `expired ${-daysLeft} ${daysLeft === -1 ? "day" : "days"} ago`;
+  if (daysLeft === 0) return "expires today";
+  return `expires in ${daysLeft} ${daysLeft === 1 ? "day" : "days"}`;
+}
+
+/**
+ * The pantry tool only touches local data, so it takes the store instead of an AnyList client.
+ * @param {() => object} getStore - See registerAllTools()
+ */
+export function register(server, getStore) {
+  const { elicitRequiredField } = createElicitationHelpers(server);
+
+  server.registerTool("pantry", {
+    title: "Pantry",
+    description: `Track what's on hand at home: items, amounts and expiry dates. Actions:
+- add: Put item 'name' in the pantry (with optional 'quantity'/'unit' and 'expires_on'). Adding an item that's already there tops it up
+- consume: Use 'quantity' of item 'name', or all of it when no quantity is given
+- list: Show everything in the pantry
+- expiring: Show items that expire within 'days' days (default 7), including expired ones
+- on_hand: Check whether the 'names' given (e.g. a recipe's ingredients) are already stocked`,
+    inputSchema: {
+      action: z.enum(["add", "consume", "list", "expiring", "on_hand"]).describe("The pantry action to perform"),
+      name: z.string().optional().describe("Item name (required for add, consume). add also accepts free-form text such as '2 cans chickpeas'"),
+      names: z.array(z.string()).optional().describe("Item or ingredient names to look up (on_hand only)"),
+      quantity: z.number().positive().optional().describe("Amount to add or use, e.g. 2 or 0.5 (add, consume)"),
+      unit: z.string().optional().describe("Unit for the quantity, e.g. 'lb', 'cans' (add, consume)"),
+      expires_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Expiry date as YYYY-MM-DD (add only)"),
+      days: z.number().int().nonnegative().optional().describe(`How many days ahead to look (expiring only, default ${DEFAULT_EXPIRING_DAYS})`),
+    }
+  }, async (params) => {
+    const { action, name, names, quantity, unit, expires_on, days } = params;
+    try {
+      const store = getStore();
+      switch (action) {
+        case "add": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What would you like to add to the pantry?");
+          // Free-form text ("2 cans chickpeas") when no explicit quantity is given
+          const parsed = quantity === undefined ? parseItemText(itemName) : null;
+          const parsedQuantity = parsed && parsed.quantity !== null ? amountToNumber(parsed.quantity) : null;
+          const { item, status } = addToPantry(store, {
+            name: parsedQuantity !== null ? parsed.name : itemName,
+            quantity: quantity ?? parsedQuantity,
+            unit: unit || (parsedQuantity !== null ? parsed.unit : null),
+            expiresOn: expires_on || null,
+          });
+          const verb = status === "added" ? "Added" : "Topped up";
+          const amount = formatPantryQuantity(item);
+          return textResponse(`${verb} "${item.name}" in the pantry${amount ? ` — now ${amount}` : ""}${formatExpiry(item)}`);
+        }
+        case "consume": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "Which pantry item did you use?");
+          const { item, remaining } = consumeFromPantry(store, itemName, { quantity: quantity ?? null, unit: unit || null });
+          if (!remaining) return textResponse(`Used up "${item.name}"; it's no longer in the pantry`);
+          return textResponse(`Used ${quantity}${unit ? ` ${unit}` : ""} of "${item.name}" — ${formatPantryQuantity(remaining)} left`);
+        }
+        case "list": {
+          const items = store.getPantryItems();
+          if (items.length === 0) return textResponse("The pantry is empty.");
+          return textResponse(`Pantry (${items.length} items):\n${items.map(formatPantryItem).join("\n")}`);
+        }
+        case "expiring": {
+          const within = days ?? DEFAULT_EXPIRING_DAYS;
+          const items = expiringSoon(store.getPantryItems(), { days: within });
+          if (items.length === 0) return textResponse(`Nothing in the pantry expires within ${within} days.`);
+          const lines = items.map(item => {
+            const amount = formatPantryQuantity(item);
+            return `- ${item.name}${amount ? ` (${amount})` : ""} — ${formatDaysLeft(item.daysLeft)} (${item.expiresOn})`;
+          });
+          return textResponse(`Expiring within ${within} days (${items.length}):\n${lines.join("\n")}`);
+        }
+        case "on_hand": {
+          const lookups = names && names.length > 0 ? names : (name ? [name] : []);
+          if (lookups.length === 0) throw new Error('Action "on_hand" requires "names" (or "name")');
+          const lines = lookups.map(lookup => {
+            const item = findOnHand(store, lookup);
+            if (!item) return `- ✗ ${lookup}: not in the pantry`;
+            const amount = formatPantryQuantity(item);
+            const as = item.name.toLowerCase() !== lookup.trim().toLowerCase() ? ` as "${item.name}"` : "";
+            return `- ✓ ${lookup}: on hand${as}${amount ? ` (${amount})` : ""}${formatExpiry(item)}`;
+          });
+          const stocked = lines.filter(line => line.startsWith("- ✓")).length;
+          return textResponse(`${stocked} of ${lookups.length} on hand:\n${lines.join("\n")}`);
+        }
+      }
+    } catch (error) {
+      return errorResponse(`Pantry ${action} failed: ${error.message}`);
+    }
+  });
+}
@@ -0,0 +1,121 @@
+import { z } from "zod";
+import { textResponse, errorResponse } from "./helpers.js";
+import { createElicitationHelpers } from "./elicitation.js";
+import { WEEKDAYS, DEFAULT_HOUR, validateRule, nextRunAt, describeRule } from "../schedule.js";
+import { localDate } from "../pantry.js";
+
+function formatRunTime(iso) {
+  const date = new Date(iso);
+  const pad = n => String(n).padStart(2, "0");
+  return `${localDate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function formatSchedule(schedule) {
+  const status = schedule.paused ? "paused" : `next ${formatRunTime(schedule.nextRunAt)}`;
+  const lastError = schedule.lastError ? `\n  Last run failed: ${schedule.lastError}` : "";
+  return `- #${schedule.id} "${schedule.item}" → ${schedule.listName}, ${describeRule(schedule)} (${status})${lastError}`;
+}
+
+// The schedule 'id' names, or the only one adding 'item'
+function findSchedule(store, id, item) {
+  const schedules = store.getSchedules();
+  if (id !== undefined) {
+    const match = schedules.find(s => s.id === id);
+    if (!match) throw new Error(`Schedule #${id} not found`);
+    return match;
+  }
+  if (!item) throw new Error('Pass the schedule\'s "id" (or the "item" it adds)');
+  const matches = schedules.filter(s => s.item.toLowerCase() === item.trim().toLowerCase());
+  if (matches.length === 0) throw new Error(`No schedule adds "${item}"`);
+  if (matches.length > 1) {
+    throw new Error(`Several schedules add "${item}" (${matches.map(s => `#${s.id}`).join(", ")}); pass "id"`);
+  }
+  return matches[0];
+}
+
+/**
+ * Recurring list additions. Only the HTTP server runs schedules (see ../http/scheduler.js), so
+ * registerAllTools() only registers this tool there.
+ * @param {() => object} getStore - See registerAllTools()
+ */
+export function register(server, getClient, getStore) {
+  const { elicitConfirmation, elicitRequiredField } = createElicitationHelpers(server);
+
+  server.registerTool("schedules", {
+    title: "Recurring Items",
+    description: `Add items to a list on a schedule, e.g. milk every Monday or trash bags monthly. Actions:
+- create: Add 'item' to 'list_name' every 'every_days' days, every 'weekday', or monthly on 'day_of_month', at 'hour' (default ${DEFAULT_HOUR}:00, server time)
+- list: Show all schedules with their next run
+- pause: Stop a schedule (by 'id', or the 'item' it adds) without deleting it
+- resume: Restart a paused schedule from its next due time
+- delete: Remove a schedule`,
+    inputSchema: {
+      action: z.enum(["create", "list", "pause", "resume", "delete"]).describe("The schedules action to perform"),
+      item: z.string().optional().describe("Item to add, e.g. 'Milk' or '2 gal milk' (required for create; also finds a schedule for pause, resume, delete)"),
+      list_name: z.string().optional().describe("List to add the item to (create only, defaults to the default list)"),
+      every_days: z.number().int().positive().optional().describe("Repeat every this many days (create only)"),
+      weekday: z.enum(WEEKDAYS).optional().describe("Repeat weekly on this day (create only)"),
+      day_of_month: z.number().int().min(1).max(28).optional().describe("Repeat monthly on this day, 1-28 (create only)"),
+      hour: z.number().int().min(0).max(23).optional().describe(`Hour of the day to add the item, 0-23 (create only, default ${DEFAULT_HOUR})`),
+      id: z.number().int().positive().optional().describe("Schedule number from list (pause, resume, delete)"),
+    }
+  }, async (params) => {
+    const { action, item, list_name, every_days, weekday, day_of_month, hour, id } = params;
+    try {
+      const store = getStore();
+      switch (action) {
+        case "create": {
+          let itemName = item;
+          if (!itemName) itemName = await elicitRequiredField("item", "Which item should be added on a schedule?");
+          const rule = {
+            everyDays: every_days ?? null,
+            weekday: weekday ? WEEKDAYS.indexOf(weekday) : null,
+            dayOfMonth: day_of_month ?? null,
+            hour: hour ?? DEFAULT_HOUR,
+          };
+          validateRule(rule);
+          // Check the list exists now rather than at the first run
+          const client = await getClient();
+          await client.connect(list_name);
+          const schedule = store.createSchedule({
+            ...rule,
+            item: itemName.trim(),
+            listName: client.targetList.name,
+            nextRunAt: nextRunAt(rule, new Date()),
+          });
+          return textResponse(`Created schedule #${schedule.id}: add "${schedule.item}" to list "${schedule.listName}" ${describeRule(schedule)}. First run: ${formatRunTime(schedule.nextRunAt)}`);
+        }
+        case "list": {
+          const schedules = store.getSchedules();
+          if (schedules.length === 0) return textResponse("No schedules yet.");
+          return textResponse(`Schedules (${schedules.length}):\n${schedules.map(formatSchedule).join("\n")}`);
+        }
+        case "pause": {
+          const schedule = findSchedule(store, id, item);
+          if (schedule.paused) return textResponse(`Schedule #${schedule.id} ("${schedule.item}") is already paused`);
+          store.setSchedulePaused(schedule.id, true);
+          return textResponse(`Paused schedule #${schedule.id}: "${schedule.item}" won't be added to "${schedule.listName}" until it's resumed`);
+        }
+        case "resume": {
+          const schedule = findSchedule(store, id, item);
+          if (!schedule.paused) return textResponse(`Schedule #${schedule.id} ("${schedule.item}") isn't paused`);
+          // Skip the runs missed while paused instead of adding the item right away
+          const now = new Date();
+          const previous = new Date(schedule.nextRunAt);
+          const next = previous > now ? previous : nextRunAt(schedule, now, previous);
+          store.setSchedulePaused(schedule.id, false, next);
+          return textResponse(`Resumed schedule #${schedule.id} ("${schedule.item}"). Next run: ${formatRunTime(next.toISOString())}`);
+        }
+        case "delete": {
+          const schedule = findSchedule(store, id, item);
+          const confirmed = await elicitConfirmation(`Delete schedule #${schedule.id}, which adds "${schedule.item}" to "${schedule.listName}" ${describeRule(schedule)}?`);
+          if (!confirmed) return textResponse(`Cancelled — schedule #${schedule.id} was not deleted.`);
+          store.deleteSchedule(schedule.id);
+          return textResponse(`Deleted schedule #${schedule.id} ("${schedule.item}")`);
+        }
+      }
+    } catch (error) {
+      return errorResponse(`Schedules ${action} failed: ${error.message}`);
+    }
+  });
+}
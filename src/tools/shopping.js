@@ -1,59 +1,350 @@
 import { z } from "zod";
 import { textResponse, errorResponse } from "./helpers.js";
 import { createElicitationHelpers } from "./elicitation.js";
+import { rankMatches, confidentMatch } from "../item-matcher.js";
+import { EXPORT_FORMATS, exportList } from "../list-exporter.js";
+import { parseImportText } from "../item-importer.js";
+import { findCategory } from "../categories.js";
+import { normalizeBarcode } from "../barcode.js";
+import { suggestRestock } from "../restock.js";
+import { addToPantry, findOnHand, formatPantryQuantity } from "../pantry.js";
 
-// Default categories recognized by anylist
-const valid_categories = ["baby","bakery","beverages","breakfast-and-cereal","condiments-oils-and-salad-dressings",
-  "cooking-and-baking","dairy","frozen-foods","grains-pasta-and-side-dishes",
-  "health-and-personal-care","household-and-cleaning","meat","pet-supplies",
-  "produce","seafood","snacks-cookies-and-candy","soups-and-canned-goods",
-  "wine-beer-spirits","other"];
-
-export function register(server, getClient) {
-  const { elicitListName, elicitItemChoice, elicitRequiredField } = createElicitationHelpers(server);
-
-  function findPartialMatches(client, itemName) {
-    const items = client.targetList.items || [];
-    const lower = itemName.toLowerCase();
-    return items
-      .filter(i => !i.checked && i.name.toLowerCase().includes(lower))
-      .map(i => i.name);
+// How many candidates to offer when asking the user which item they meant
+const MAX_ITEM_CHOICES = 5;
+
+// How many recently added items suggest_restock lists after the ones due from purchase history
+const MAX_RECENT_SUGGESTIONS = 10;
+
+/**
+ * Resolve a category name or slug against the connected list's categories.
+ * Throws with the list's valid category names when there is no match.
+ */
+function resolveCategory(client, category) {
+  const matchId = client.resolveCategory(category);
+  if (!matchId) {
+    const names = client.getCategories().map(c => c.name);
+    throw new Error(`Invalid input for field "category": "${category}". Valid categories for list "${client.targetList.name}" are: ${names.join(", ")}`);
+  }
+  return matchId;
+}
+
+function formatBatchReport(verb, results, listName) {
+  const succeeded = results.filter(r => r.success).length;
+  const lines = results.map(r => r.success
+    ? `- ✓ ${r.name}${r.status && r.status !== verb.toLowerCase() ? ` (${r.status})` : ""}${r.interpretation ? ` — understood as ${formatInterpretation(r.interpretation)}` : ""}`
+    : `- ✗ ${r.name}: ${r.error}`);
+  return `${verb} ${succeeded} of ${results.length} items on list "${listName}":\n${lines.join("\n")}`;
+}
+
+// How add_item read free-form text: name "chicken thighs", quantity 2 lb, note "for the curry"
+function formatInterpretation(interpretation) {
+  const parts = [`name "${interpretation.name}"`];
+  if (interpretation.unit || (interpretation.quantity !== null && interpretation.quantity !== 1)) {
+    parts.push(`quantity ${interpretation.quantity ?? 1}${interpretation.unit ? ` ${interpretation.unit}` : ""}`);
+  }
+  if (interpretation.notes) parts.push(`note "${interpretation.notes}"`);
+  return parts.join(", ");
+}
+
+// Summary of an import, by which addItem branch each item took
+function formatImportSummary(results, listName) {
+  const groups = [
+    { label: "Added", summary: "added", items: results.filter(r => r.success && r.status === "added") },
+    { label: "Already on the list", summary: "already on the list", items: results.filter(r => r.success && r.status === "updated") },
+    { label: "Unchecked (had been checked off)", summary: "unchecked", items: results.filter(r => r.success && r.status === "unchecked") },
+  ];
+  const failed = results.filter(r => !r.success);
+  const counts = groups.map(g => `${g.items.length} ${g.summary}`);
+  if (failed.length > 0) counts.push(`${failed.length} failed`);
+  const lines = [`Imported ${results.length - failed.length} of ${results.length} items into list "${listName}": ${counts.join(", ")}`];
+  for (const group of groups) {
+    if (group.items.length > 0) lines.push(`${group.label}: ${group.items.map(r => r.name).join(", ")}`);
+  }
+  if (failed.length > 0) {
+    lines.push("Failed:", ...failed.map(r => `- ${r.name}: ${r.error}`));
+  }
+  return lines.join("\n");
+}
+
+// Items grouped by category in walking order; categories the order leaves out follow in the list's order
+function formatTripView(items, walkingOrder, listOrder) {
+  const rank = category => {
+    const walked = walkingOrder.indexOf(category);
+    if (walked !== -1) return walked;
+    const listed = listOrder.indexOf(category);
+    return walkingOrder.length + (listed === -1 ? listOrder.length : listed);
+  };
+  const itemsByCategory = new Map();
+  for (const item of items) {
+    const category = item.categoryName || item.category || "Other";
+    if (!itemsByCategory.has(category)) itemsByCategory.set(category, []);
+    itemsByCategory.get(category).push(item);
+  }
+  return [...itemsByCategory.keys()]
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+    .map(category => [
+      category,
+      ...itemsByCategory.get(category).map(item => `  [ ] ${item.name}${formatItemQuantity(item)}${item.note ? ` [${item.note}]` : ""}`),
+    ].join("\n"))
+    .join("\n");
+}
+
+const SETTING_LABELS = {
+  sortOrder: "sort order",
+  hideCategories: "hide categories",
+  hidePrices: "hide prices",
+  hideRunningTotals: "hide running totals",
+  badgeMode: "badge",
+};
+
+function formatListSettings(settings) {
+  return [
+    `- Sort order: ${settings.sortOrder === "alphabetical" ? "alphabetical" : "manual (as arranged in the app)"}`,
+    `- Categories: ${settings.hideCategories ? "hidden" : "shown"}`,
+    `- Prices: ${settings.hidePrices ? "hidden" : "shown"}`,
+    `- Running totals: ${settings.hideRunningTotals ? "hidden" : "shown"}`,
+    `- App badge: ${settings.badgeMode === "unchecked-items" ? "number of unchecked items" : settings.badgeMode}`,
+  ].join("\n");
+}
+
+function formatListLine(list, indent = "") {
+  return `${indent}- ${list.name} (${list.uncheckedCount} unchecked items)`;
+}
+
+function formatFolderTree(folder, indent = "") {
+  const lines = folder.lists.map(l => formatListLine(l, indent));
+  for (const child of folder.folders) {
+    lines.push(`${indent}- 📁 ${child.name}`);
+    lines.push(...formatFolderTree(child, indent + "  "));
   }
+  return lines;
+}
+
+function formatDays(count) {
+  return `${count} ${count === 1 ? "day" : "days"}`;
+}
+
+function formatMoney(amount) {
+  return `$${amount.toFixed(2)}`;
+}
 
-  async function resolveItemName(client, itemName) {
+// Estimated cost of an item: its price per unit times its quantity, or null when unpriced
+function itemCost(item) {
+  return typeof item.price === "number" ? item.price * (item.quantity || 1) : null;
+}
+
+function formatItemPrice(item) {
+  const cost = itemCost(item);
+  if (cost === null) return "";
+  const at = item.priceStore ? ` at ${item.priceStore}` : "";
+  return (item.quantity || 1) !== 1
+    ? ` — ${formatMoney(item.price)} ea, ${formatMoney(cost)}${at}`
+    : ` — ${formatMoney(cost)}${at}`;
+}
+
+function formatItemQuantity(item) {
+  if (item.unit) return ` (${item.quantity} ${item.unit})`;
+  return item.quantity > 1 ? ` (x${item.quantity})` : "";
+}
+
+export function register(server, getClient, getStore = null) {
+  const { elicitListName, elicitItemChoice, elicitConfirmation, elicitRequiredField } = createElicitationHelpers(server);
+
+  // The store (not store filter) called storeName on the current list, if any
+  function findStoreId(client, storeName) {
+    if (!storeName) return null;
+    const match = client.getStores().find(s => s.name.toLowerCase() === storeName.toLowerCase());
+    return match ? match.identifier : null;
+  }
+
+  // The order to walk categories in, from the most specific source available: a saved
+  // order for this store, then for the whole list, then AnyList's category ordering named
+  // after the store (or the one the list has selected), then the list's category order.
+  function resolveWalkingOrder(client, storeName) {
+    const listId = client.targetList.identifier;
+    const storeId = findStoreId(client, storeName);
+    const localStore = getStore ? getStore() : null;
+    if (localStore) {
+      const forStore = storeId ? localStore.getCategoryOrder(listId, storeId) : null;
+      if (forStore) return { categories: forStore, source: `your saved order for ${storeName}` };
+      const forList = localStore.getCategoryOrder(listId, null);
+      if (forList) return { categories: forList, source: "your saved order for this list" };
+    }
+    const { selected, orderings } = client.getCategoryOrderings();
+    const ordering = (storeName && orderings.find(o => o.name.toLowerCase() === storeName.toLowerCase()))
+      || orderings.find(o => o.identifier === selected);
+    if (ordering) return { categories: ordering.categories, source: `AnyList's "${ordering.name}" category order` };
+    return { categories: client.getCategories().map(c => c.name), source: "the list's category order" };
+  }
+
+  // Log checked-off items as purchases for suggest_restock. The check-off has already
+  // happened, so a failure to write the log is returned as a warning line for the response
+  // rather than failing the call.
+  function recordPurchases(client, names) {
+    const localStore = getStore ? getStore() : null;
+    if (!localStore || names.length === 0) return "";
+    try {
+      localStore.recordPurchases(client.targetList.identifier, names);
+      return "";
+    } catch (error) {
+      console.error(`Failed to record purchases: ${error.message}`);
+      return `Warning: the purchase history wasn't updated, so suggest_restock won't know about this (${error.message})`;
+    }
+  }
+
+  function requirePantry() {
+    const localStore = getStore ? getStore() : null;
+    if (!localStore) throw new Error("The pantry isn't available on this server");
+    return localStore;
+  }
+
+  // Put checked-off items in the pantry with their list quantities, returning lines for the
+  // response. An item that can't be added doesn't undo its check-off.
+  function moveToPantry(localStore, items, expiresOn) {
+    const added = [];
+    const failed = [];
+    for (const item of items) {
+      try {
+        const { item: stocked } = addToPantry(localStore, { name: item.name, quantity: item.quantity, unit: item.unit, expiresOn });
+        const amount = formatPantryQuantity(stocked);
+        added.push(`${stocked.name}${amount ? ` (now ${amount})` : ""}`);
+      } catch (error) {
+        failed.push(`${item.name}: ${error.message}`);
+      }
+    }
+    const lines = [];
+    if (added.length > 0) lines.push(`Put in the pantry: ${added.join(", ")}`);
+    if (failed.length > 0) lines.push(`Not put in the pantry: ${failed.join("; ")}`);
+    return lines.join("\n");
+  }
+
+  // Items on the list ranked by how closely they match the requested name, best first
+  function findMatches(client, itemName, checked = false) {
+    const items = (client.targetList.items || []).filter(i => !!i.checked === checked);
+    return rankMatches(itemName, items.map(i => i.name));
+  }
+
+  async function resolveItemName(client, itemName, { checked = false } = {}) {
     const exact = client.targetList.getItemByName(itemName);
-    if (exact) return itemName;
-    const matches = findPartialMatches(client, itemName);
+    if (exact) return exact.name;
+    const matches = findMatches(client, itemName, checked);
     if (matches.length === 0) throw new Error(`Item "${itemName}" not found in list`);
-    if (matches.length === 1) return matches[0];
-    return await elicitItemChoice(itemName, matches);
+    const confident = confidentMatch(matches);
+    if (confident) return confident;
+    return await elicitItemChoice(itemName, matches.slice(0, MAX_ITEM_CHOICES).map(m => m.name));
+  }
+
+  // Resolve each requested name independently so one unknown item doesn't sink the whole batch
+  async function resolveItemNames(client, itemNames) {
+    const resolved = [];
+    const failures = {};
+    for (const itemName of itemNames) {
+      try {
+        resolved.push(await resolveItemName(client, itemName));
+      } catch (error) {
+        failures[itemName] = error.message;
+      }
+    }
+    return { resolved, failures };
+  }
+
+  // Put resolution failures back in input order alongside the client's per-item results
+  function mergeBatchResults(batchItems, resolved, results, failures) {
+    const queue = [...results];
+    return batchItems.map(i => (i.name in failures)
+      ? { name: i.name, success: false, error: failures[i.name] }
+      : queue.shift());
   }
 
   server.registerTool("shopping", {
     title: "Shopping Lists & Items",
     description: `Manage AnyList shopping lists and items. Actions:
-- list_lists: Show all lists with item counts
+- list_lists: Show all lists with item counts (as a folder tree when folders exist)
+- create_list: Create a new list named 'list_name'
+- rename_list: Rename list 'list_name' to 'new_name'
+- delete_list: Permanently delete list 'list_name' and its items (asks for confirmation)
+- list_members: Show who a list is shared with
+- share_list: Share a list with the AnyList account for 'email' (AnyList invites addresses without an account)
+- unshare_list: Stop sharing a list with 'email' (an email address or member name; asks for confirmation)
+- create_folder: Create a list folder named 'folder_name'
+- rename_folder: Rename folder 'folder_name' to 'new_name'
+- move_list: Move list 'list_name' into folder 'folder_name' (omit folder_name to move it to the top level)
 - list_items: Show items on a list (grouped by category)
-- add_item: Add an item to a list
-- check_item: Check off (complete) an item
-- delete_item: Permanently remove an item from a list
+- get_list_settings: Show the list's sort order, category and price display, and app badge
+- update_list_settings: Change any of 'sort_order', 'hide_categories', 'hide_prices', 'hide_running_totals' and 'badge_mode'. list_items follows the sort order and hidden categories
+- trip_view: Show unchecked items as a checklist in the order you walk the store (optionally only items for 'store')
+- set_category_order: Save the order to walk categories in ('categories', first aisle first) for the list, or for 'store'. An empty array clears the saved order
+- export_list: Render a list as Markdown, CSV, plain text or JSON (with categories, quantities, notes and checked state) to print or share
+- add_item: Add an item to a list (or many at once via 'items'). Free-form names like '2 lbs chicken thighs for the curry' are split into quantity, unit, name and notes. Mentions when the item is already in the pantry
+- add_by_barcode: Add the product with UPC/EAN 'barcode' to the list (name and category from AnyList's product database; repeat scans are remembered). 'name' names a barcode AnyList doesn't know
+- import_items: Add items from pasted 'text' (one per line, bulleted, comma-separated, or CSV with name/quantity/unit/notes/category columns). Each line is interpreted like add_item
+- update_item: Change an existing item's name, notes, quantity/unit or category
+- check_item: Check off (complete) an item (or many at once via 'items'). Check-offs are logged as purchases for suggest_restock; with 'to_pantry' the items also go into the pantry
+- uncheck_item: Restore a checked-off item to the list
+- uncheck_all: Restore all checked-off items (asks for confirmation)
+- clear_checked: Permanently delete all checked-off items (asks for confirmation)
+- delete_item: Permanently remove an item from a list (or many at once via 'items')
+- move_item: Move an item from 'list_name' to 'to_list_name', keeping notes, category and quantity
+- copy_items: Copy items from 'list_name' to 'to_list_name' (the 'items' given, or all unchecked items)
+- find_duplicates: Show groups of unchecked items that look like the same thing ("Eggs", "eggs (dozen)", "Large eggs")
+- merge_items: Merge the 'items' given into one, combining quantities and notes and deleting the rest (asks for confirmation). 'name' picks the item to keep (defaults to the first)
+- list_stores: Show the list's stores and saved store filters
+- create_store: Create a store named 'store' on the list
+- list_locations: Show the places the list reminds you about when you're nearby
+- add_location: Add a reminder location named 'name' at 'latitude'/'longitude' (with an optional 'address')
+- remove_location: Remove the reminder location named 'name'
+- price_history: Show every recorded price for item 'name' across stores and dates
+- list_rules: Show the list's categorization rules (item name → category)
+- set_rule: Always file items named 'name' under 'category' on this list
 - get_favorites: Get favorite items for a list
+- add_favorite: Add item 'name' to the list's favorites
+- remove_favorite: Remove item 'name' from the list's favorites (the exact name; a similar favorite is only suggested)
+- add_favorites_to_list: Put favorites onto the list (the 'items' given, or all favorites)
+- suggest_restock: Suggest items to buy again: those due by how often they've been checked off before, then recently added items not on the list
 - get_recents: Get recently added items for a list`,
     inputSchema: {
-      action: z.enum(["list_lists", "list_items", "add_item", "check_item", "delete_item", "get_favorites", "get_recents"]).describe("The shopping action to perform"),
-      list_name: z.string().optional().describe("Name of the list (defaults to configured default list)"),
-      name: z.string().optional().describe("Item name (required for add_item, check_item, delete_item)"),
-      quantity: z.number().min(1).optional().describe("Item quantity (add_item only, defaults to 1)"),
-      notes: z.string().optional().describe("Notes for the item (add_item only)"),
-      include_checked: z.boolean().optional().describe("Include checked-off items (list_items only, default false)"),
+      action: z.enum(["list_lists", "create_list", "rename_list", "delete_list", "list_members", "share_list", "unshare_list", "create_folder", "rename_folder", "move_list", "list_items", "get_list_settings", "update_list_settings", "trip_view", "set_category_order", "export_list", "add_item", "add_by_barcode", "import_items", "update_item", "check_item", "uncheck_item", "uncheck_all", "clear_checked", "delete_item", "move_item", "copy_items", "find_duplicates", "merge_items", "list_stores", "create_store", "list_locations", "add_location", "remove_location", "price_history", "list_rules", "set_rule", "get_favorites", "add_favorite", "remove_favorite", "add_favorites_to_list", "suggest_restock", "get_recents"]).describe("The shopping action to perform"),
+      list_name: z.string().optional().describe("Name of the list (defaults to configured default list; required for create_list, rename_list, delete_list). Source list for move_item, copy_items"),
+      email: z.string().optional().describe("Email address to share the list with (share_list), or the member's email or name to remove (unshare_list)"),
+      folder_name: z.string().optional().describe("List folder name (create_folder, rename_folder, move_list)"),
+      to_list_name: z.string().optional().describe("Destination list (required for move_item, copy_items)"),
+      name: z.string().optional().describe("Item name (required for add_item, update_item, check_item, uncheck_item, delete_item, move_item, price_history, set_rule, add_favorite, remove_favorite). For merge_items, the item to keep; for add_location and remove_location, the location name"),
+      items: z.array(z.object({
+        name: z.string().describe("Item name"),
+        quantity: z.number().positive().optional().describe("Quantity amount (add_item only)"),
+        unit: z.string().optional().describe("Unit for the quantity (add_item only)"),
+        notes: z.string().optional().describe("Notes (add_item only)"),
+        category: z.string().optional().describe("Category name or slug (add_item only)"),
+        store: z.string().optional().describe("Store to assign the item to (add_item only)"),
+        price: z.number().nonnegative().optional().describe("Price per unit (add_item only)"),
+      })).optional().describe("Batch of items to process in one call instead of 'name' (add_item, check_item, delete_item, copy_items, merge_items, add_favorites_to_list)"),
+      new_name: z.string().optional().describe("New name for the item (update_item), list (rename_list) or folder (rename_folder)"),
+      quantity: z.number().positive().optional().describe("Item quantity amount, e.g. 2 or 0.5 (add_item, update_item; add_item defaults to 1 for new items and keeps an existing item's quantity)"),
+      unit: z.string().optional().describe("Unit for the quantity, e.g. 'lb', 'cans', 'oz' (add_item, update_item)"),
+      notes: z.string().optional().describe("Notes for the item (add_item, update_item, add_favorite; pass an empty string to clear)"),
+      store: z.string().optional().describe("Store name: assign the item to it (add_item, update_item; pass an empty string to unassign), show only its items (list_items; a saved store filter name also works), or the store to create (create_store)"),
+      address: z.string().optional().describe("Street address of the location (add_location only)"),
+      latitude: z.number().min(-90).max(90).optional().describe("Latitude of the location (required for add_location)"),
+      longitude: z.number().min(-180).max(180).optional().describe("Longitude of the location (required for add_location)"),
+      price: z.number().nonnegative().optional().describe("Price per unit of the item's quantity, recorded for 'store' when given (add_item, update_item)"),
+      to_pantry: z.boolean().optional().describe("Also put the checked-off items in the pantry with their list quantities (check_item only)"),
+      expires_on: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional().describe("Expiry date as YYYY-MM-DD for items put in the pantry (check_item with to_pantry)"),
+      include_unassigned: z.boolean().optional().describe("With 'store', also show items not assigned to any store (list_items only)"),
+      include_checked: z.boolean().optional().describe("Include checked-off items (list_items, default false; export_list, default true)"),
       include_notes: z.boolean().optional().describe("Include notes for each item (list_items only, default false)"),
-      category: z.enum(valid_categories).optional().describe("Category for the item (add_item only, defaults to 'other')"),
+      sort_order: z.enum(["manual", "alphabetical"]).optional().describe("Item order: as arranged in the app, or by name (update_list_settings only)"),
+      hide_categories: z.boolean().optional().describe("Show items without category headings (update_list_settings only)"),
+      hide_prices: z.boolean().optional().describe("Hide item prices in the AnyList apps (update_list_settings only)"),
+      hide_running_totals: z.boolean().optional().describe("Hide running price totals in the AnyList apps (update_list_settings only)"),
+      badge_mode: z.enum(["none", "unchecked-items"]).optional().describe("App icon badge: nothing, or the number of unchecked items (update_list_settings only)"),
+      categories: z.array(z.string()).optional().describe("Category names in walking order, first aisle first (set_category_order only)"),
+      barcode: z.string().optional().describe("UPC or EAN barcode digits, e.g. from a scanner (add_by_barcode only)"),
+      text: z.string().optional().describe("Items to import, one per line or CSV with a header row (import_items only)"),
+      format: z.enum(EXPORT_FORMATS).optional().describe("Export format (export_list only, default markdown)"),
+      category: z.string().optional().describe("Category for the item, by name or slug, e.g. 'Produce' or a custom category on the list (add_item, update_item, set_rule; add_item picks one automatically when omitted)"),
     }
   }, async (params) => {
-    const { action, list_name, name, quantity, notes, include_checked, include_notes, category } = params;
-    if (category && !valid_categories.includes(category)) {
-      throw new Error(`Invalid input for field "category": "${category}". Valid categories are: ${valid_categories.join(", ")}`);
-    }
+    const { action, list_name, email, folder_name, to_list_name, to_pantry, expires_on, name, items: batchItems, new_name, quantity, unit, notes, store, address, latitude, longitude, price, include_unassigned, include_checked, include_notes, sort_order, hide_categories, hide_prices, hide_running_totals, badge_mode, categories, barcode, text, format, category } = params;
     try {
       const client = await getClient();
       switch (action) {
@@ -61,9 +352,93 @@ export function register(server, getClient) {
           await client.connect(list_name || null);
           const lists = client.getLists();
           if (lists.length === 0) return textResponse("No lists found in the account.");
-          const output = lists.map(l => `- ${l.name} (${l.uncheckedCount} unchecked items)`).join("\n");
+          const tree = client.getListFolders();
+          const output = tree
+            ? formatFolderTree(tree).join("\n")
+            : lists.map(l => formatListLine(l)).join("\n");
           return textResponse(`Available lists (${lists.length}):\n${output}`);
         }
+        case "create_folder": {
+          let folderName = folder_name;
+          if (!folderName) folderName = await elicitRequiredField("folder_name", "What should the new folder be called?");
+          await client.connect(null);
+          const created = await client.createFolder(folderName);
+          return textResponse(`Created folder "${created.name}"`);
+        }
+        case "rename_folder": {
+          let folderName = folder_name;
+          if (!folderName) folderName = await elicitRequiredField("folder_name", "Which folder would you like to rename?");
+          let newFolderName = new_name;
+          if (!newFolderName) newFolderName = await elicitRequiredField("new_name", `What should "${folderName}" be renamed to?`);
+          await client.connect(null);
+          const renamed = await client.renameFolder(folderName, newFolderName);
+          return textResponse(`Renamed folder "${renamed.previousName}" to "${renamed.name}"`);
+        }
+        case "move_list": {
+          let moveListName = list_name;
+          if (!moveListName) moveListName = await elicitRequiredField("list_name", "Which list would you like to move?");
+          await client.connect(null);
+          const result = await client.moveListToFolder(moveListName, folder_name || null);
+          const destination = folder_name ? `folder "${folder_name}"` : "the top level";
+          if (!result.moved) return textResponse(`List "${result.list}" is already in ${destination}`);
+          return textResponse(`Moved list "${result.list}" to ${destination}`);
+        }
+        case "create_list": {
+          let newListName = list_name;
+          if (!newListName) newListName = await elicitRequiredField("list_name", "What should the new list be called?");
+          await client.connect(null);
+          const created = await client.createList(newListName);
+          return textResponse(`Created list "${created.name}"`);
+        }
+        case "rename_list": {
+          let renameListName = list_name;
+          if (!renameListName) renameListName = await elicitRequiredField("list_name", "Which list would you like to rename?");
+          let newListName = new_name;
+          if (!newListName) newListName = await elicitRequiredField("new_name", `What should "${renameListName}" be renamed to?`);
+          await client.connect(null);
+          const renamed = await client.renameList(renameListName, newListName);
+          return textResponse(`Renamed list "${renamed.previousName}" to "${renamed.name}"`);
+        }
+        case "delete_list": {
+          let deleteListName = list_name;
+          if (!deleteListName) deleteListName = await elicitRequiredField("list_name", "Which list would you like to delete?");
+          await client.connect(null);
+          const target = client.getLists().find(l => l.name.toLowerCase() === deleteListName.toLowerCase());
+          if (!target) throw new Error(`List "${deleteListName}" not found`);
+          const confirmed = await elicitConfirmation(`Permanently delete list "${target.name}" (${target.uncheckedCount} unchecked items)?`);
+          if (!confirmed) return textResponse(`Cancelled — list "${target.name}" was not deleted.`);
+          await client.deleteList(target.name);
+          return textResponse(`Deleted list "${target.name}"`);
+        }
+        case "list_members": {
+          await client.connect(list_name);
+          const { list, members } = client.getListMembers(client.targetList.name);
+          const shared = members.filter(m => !m.isOwner);
+          if (shared.length === 0) return textResponse(`List "${list}" isn't shared with anyone.`);
+          const lines = members.map(m => {
+            const who = m.fullName && m.email ? `${m.fullName} <${m.email}>` : (m.fullName || m.email || "Unknown user");
+            const tags = [m.isOwner && "owner", m.isYou && "you"].filter(Boolean);
+            return `- ${who}${tags.length > 0 ? ` (${tags.join(", ")})` : ""}`;
+          });
+          return textResponse(`List "${list}" is shared with ${shared.length} ${shared.length === 1 ? "person" : "people"}:\n${lines.join("\n")}`);
+        }
+        case "share_list": {
+          let shareEmail = email;
+          if (!shareEmail) shareEmail = await elicitRequiredField("email", "Which email address should the list be shared with?");
+          await client.connect(list_name);
+          const result = await client.shareList(client.targetList.name, shareEmail);
+          return textResponse(`Shared list "${result.list}" with ${result.email}`);
+        }
+        case "unshare_list": {
+          let member = email;
+          if (!member) member = await elicitRequiredField("email", "Who should lose access to the list? (email or name)");
+          await client.connect(list_name);
+          const listName = client.targetList.name;
+          const confirmed = await elicitConfirmation(`Stop sharing list "${listName}" with ${member}? They will no longer see or edit it.`);
+          if (!confirmed) return textResponse(`Cancelled — list "${listName}" is still shared with ${member}.`);
+          const removed = await client.unshareList(listName, member);
+          return textResponse(`Stopped sharing list "${removed.list}" with ${removed.email || removed.fullName}`);
+        }
         case "list_items": {
           let resolvedListName = list_name;
           if (!resolvedListName && !client.defaultListName) {
@@ -74,45 +449,299 @@ export function register(server, getClient) {
             }
           }
           await client.connect(resolvedListName);
-          const items = await client.getItems(include_checked || false, include_notes || false);
+          const items = await client.getItems(include_checked || false, include_notes || false, {
+            store: store || null,
+            includeUnassigned: include_unassigned !== undefined ? include_unassigned : null,
+          });
+          const atStore = store ? ` at "${store}"` : "";
           if (items.length === 0) {
             return textResponse(include_checked
-              ? `List "${client.targetList.name}" is empty.`
-              : `No unchecked items on list "${client.targetList.name}".`);
-          }
-          const itemsByCategory = {};
-          items.forEach(item => {
-            const cat = item.category || 'other';
-            if (!itemsByCategory[cat]) itemsByCategory[cat] = [];
-            itemsByCategory[cat].push(item);
+              ? `List "${client.targetList.name}" has no items${atStore}.`
+              : `No unchecked items on list "${client.targetList.name}"${atStore}.`);
+          }
+          const formatLine = item => {
+            const qty = formatItemQuantity(item);
+            const status = item.checked ? " ✓" : "";
+            const note = item.note ? ` [${item.note}]` : "";
+            const stores = !store && item.stores && item.stores.length > 0 ? ` @ ${item.stores.join(", ")}` : "";
+            return `  - ${item.name}${qty}${status}${note}${stores}${formatItemPrice(item)}`;
+          };
+          const priced = items.some(item => itemCost(item) !== null);
+          const subtotal = categoryItems => categoryItems.reduce((sum, item) => sum + (itemCost(item) || 0), 0);
+          let itemList;
+          // Items already come in the list's sort order; lists set to hide categories are shown flat
+          if (client.getListSettings().hideCategories) {
+            itemList = items.map(formatLine).join("\n");
+          } else {
+            const itemsByCategory = {};
+            items.forEach(item => {
+              const cat = item.categoryName || item.category || "Other";
+              if (!itemsByCategory[cat]) itemsByCategory[cat] = [];
+              itemsByCategory[cat].push(item);
+            });
+            // The list's own category order first, then anything it doesn't know about
+            const categoryOrder = client.getCategories().map(c => c.name);
+            const rank = cat => {
+              const index = categoryOrder.indexOf(cat);
+              return index === -1 ? categoryOrder.length : index;
+            };
+            itemList = Object.keys(itemsByCategory).sort((a, b) => rank(a) - rank(b) || a.localeCompare(b)).map(category => {
+              const categoryTotal = priced && itemsByCategory[category].some(item => itemCost(item) !== null)
+                ? ` — ${formatMoney(subtotal(itemsByCategory[category]))}`
+                : "";
+              return `**${category}**${categoryTotal}\n${itemsByCategory[category].map(formatLine).join("\n")}`;
+            }).join("\n\n");
+          }
+          let totalLine = "";
+          if (priced) {
+            const unpriced = items.filter(item => itemCost(item) === null).length;
+            totalLine = `\n\nEstimated total: ${formatMoney(subtotal(items))}${unpriced > 0 ? ` (${unpriced} items without a price)` : ""}`;
+          }
+          return textResponse(`Shopping list "${client.targetList.name}"${atStore} (${items.length} items):\n${itemList}${totalLine}`);
+        }
+        case "get_list_settings": {
+          await client.connect(list_name);
+          return textResponse(`Settings for list "${client.targetList.name}":\n${formatListSettings(client.getListSettings())}`);
+        }
+        case "update_list_settings": {
+          const changes = { sortOrder: sort_order, hideCategories: hide_categories, hidePrices: hide_prices, hideRunningTotals: hide_running_totals, badgeMode: badge_mode };
+          if (Object.values(changes).every(value => value === undefined)) {
+            throw new Error('Action "update_list_settings" requires at least one of "sort_order", "hide_categories", "hide_prices", "hide_running_totals" or "badge_mode"');
+          }
+          await client.connect(list_name);
+          const { settings, changed } = await client.updateListSettings(Object.fromEntries(
+            Object.entries(changes).map(([key, value]) => [key, value === undefined ? null : value])
+          ));
+          const summary = changed.length > 0
+            ? `Updated ${changed.map(key => SETTING_LABELS[key]).join(", ")} for list "${client.targetList.name}"`
+            : `Settings for list "${client.targetList.name}" already match; nothing changed`;
+          return textResponse(`${summary}:\n${formatListSettings(settings)}`);
+        }
+        case "trip_view": {
+          await client.connect(list_name);
+          const items = await client.getItems(false, true, {
+            store: store || null,
+            includeUnassigned: include_unassigned !== undefined ? include_unassigned : null,
           });
-          const itemList = Object.keys(itemsByCategory).sort().map(category => {
-            const categoryItems = itemsByCategory[category].map(item => {
-              const qty = item.quantity > 1 ? ` (x${item.quantity})` : "";
-              const status = item.checked ? " ✓" : "";
-              const note = item.note ? ` [${item.note}]` : "";
-              return `  - ${item.name}${qty}${status}${note}`;
-            }).join("\n");
-            return `**${category}**\n${categoryItems}`;
-          }).join("\n\n");
-          return textResponse(`Shopping list "${client.targetList.name}" (${items.length} items):\n${itemList}`);
+          const atStore = store ? ` at "${store}"` : "";
+          if (items.length === 0) return textResponse(`Nothing left to buy on list "${client.targetList.name}"${atStore}.`);
+          const walkingOrder = resolveWalkingOrder(client, store);
+          const listOrder = client.getCategories().map(c => c.name);
+          return textResponse(`Shopping trip for list "${client.targetList.name}"${atStore}: ${items.length} items in ${walkingOrder.source}\n\n${formatTripView(items, walkingOrder.categories, listOrder)}`);
+        }
+        case "set_category_order": {
+          if (!categories) throw new Error('Action "set_category_order" requires "categories"');
+          const localStore = getStore ? getStore() : null;
+          if (!localStore) throw new Error("Saving category orders needs local storage, which this server doesn't have");
+          await client.connect(list_name);
+          const storeId = findStoreId(client, store);
+          if (store && !storeId) {
+            throw new Error(`Store "${store}" not found. Available stores: ${client.getStores().map(s => s.name).join(", ") || "(none)"}`);
+          }
+          const forWhat = `list "${client.targetList.name}"${store ? ` at "${store}"` : ""}`;
+          if (categories.length === 0) {
+            const deleted = localStore.deleteCategoryOrder(client.targetList.identifier, storeId);
+            return textResponse(deleted ? `Cleared the saved category order for ${forWhat}` : `No saved category order for ${forWhat}`);
+          }
+          const listCategories = client.getCategories();
+          const names = categories.map(input => {
+            const match = findCategory(listCategories, input);
+            if (!match) {
+              throw new Error(`Invalid input for field "categories": "${input}". Valid categories for list "${client.targetList.name}" are: ${listCategories.map(c => c.name).join(", ")}`);
+            }
+            return match.name;
+          });
+          localStore.setCategoryOrder(client.targetList.identifier, storeId, [...new Set(names)]);
+          return textResponse(`Saved category order for ${forWhat}: ${[...new Set(names)].join(" → ")}. Categories not listed come after these, in the list's order.`);
+        }
+        case "export_list": {
+          const exported = await exportList(client, list_name || null, format || "markdown", {
+            includeChecked: include_checked !== undefined ? include_checked : true,
+          });
+          return textResponse(exported.content);
         }
         case "add_item": {
+          if (batchItems && batchItems.length > 0) {
+            await client.connect(list_name);
+            const entries = [];
+            const failures = {};
+            for (const i of batchItems) {
+              try {
+                entries.push({
+                  name: i.name,
+                  quantity: i.quantity || null,
+                  unit: i.unit || null,
+                  notes: i.notes || null,
+                  category: i.category ? resolveCategory(client, i.category) : null,
+                  store: i.store || null,
+                  price: i.price ?? null,
+                });
+              } catch (error) {
+                failures[i.name] = error.message;
+              }
+            }
+            const results = entries.length > 0 ? await client.addItems(entries) : [];
+            return textResponse(formatBatchReport("Added", mergeBatchResults(batchItems, entries, results, failures), client.targetList.name));
+          }
           let itemName = name;
           if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to add?");
           await client.connect(list_name);
-          await client.addItem(itemName, quantity || 1, notes || null, params.category || "other");
-          return textResponse(`Successfully added "${itemName}" to list "${client.targetList.name}"`);
+          const categoryMatchId = category ? resolveCategory(client, category) : null;
+          const added = await client.addItem(itemName, quantity || null, notes || null, categoryMatchId, { unit: unit || null, store: store || null, price: price ?? null });
+          const requested = added.interpretation ? added.interpretation : { name: itemName, quantity: quantity || 1, unit: unit || null };
+          const qtyText = requested.unit ? ` (${requested.quantity ?? 1} ${requested.unit})` : "";
+          const understood = added.interpretation ? `\nUnderstood "${itemName}" as: ${formatInterpretation(added.interpretation)}` : "";
+          if (added.status !== "added" && added.name !== requested.name) {
+            return textResponse(`"${requested.name}" is already on list "${client.targetList.name}" as "${added.name}", so that item was ${added.status}${qtyText}${understood}`);
+          }
+          const localStore = getStore ? getStore() : null;
+          const onHand = localStore ? findOnHand(localStore, requested.name) : null;
+          const onHandText = onHand
+            ? `\nAlready in the pantry: ${onHand.name}${formatPantryQuantity(onHand) ? ` (${formatPantryQuantity(onHand)})` : ""}`
+            : "";
+          return textResponse(`Successfully added "${requested.name}"${qtyText} to list "${client.targetList.name}"${understood}${onHandText}`);
+        }
+        case "add_by_barcode": {
+          let code = barcode;
+          if (!code) code = await elicitRequiredField("barcode", "What's the item's barcode (UPC or EAN)?");
+          const digits = normalizeBarcode(code);
+          await client.connect(list_name);
+          // Repeat scans skip the lookup; AnyList's product database is the fallback
+          const localStore = getStore ? getStore() : null;
+          let product = localStore ? localStore.getBarcodeProduct(digits) : null;
+          let source = "remembered from an earlier scan";
+          if (!product) {
+            product = await client.lookupBarcode(digits);
+            source = "found in AnyList's product database";
+            if (!product) {
+              if (!name) throw new Error(`AnyList doesn't know barcode ${digits}. Pass "name" to add it anyway; the name is remembered for the next scan`);
+              product = { name, category: null };
+              source = "not in AnyList's product database; named by you";
+            }
+            if (localStore) localStore.setBarcodeProduct(digits, { name: product.name, category: product.category });
+          }
+          const categoryMatchId = category
+            ? resolveCategory(client, category)
+            : (product.category && client.resolveCategory(product.category)) || null;
+          const added = await client.addItem(product.name, quantity || null, notes || null, categoryMatchId, { parse: false });
+          if (added.status !== "added") {
+            return textResponse(`Barcode ${digits} is "${product.name}" (${source}), which is already on list "${client.targetList.name}", so that item was ${added.status}`);
+          }
+          return textResponse(`Added "${added.name}" to list "${client.targetList.name}" — barcode ${digits} (${source})`);
+        }
+        case "import_items": {
+          let importText = text;
+          if (!importText) importText = await elicitRequiredField("text", "Paste the items to import, one per line or as CSV.");
+          await client.connect(list_name);
+          const parsed = parseImportText(importText);
+          if (parsed.length === 0) throw new Error('No items found in "text"');
+          const entries = [];
+          const failures = {};
+          for (const entry of parsed) {
+            let categoryMatchId = null;
+            try {
+              categoryMatchId = entry.category ? resolveCategory(client, entry.category) : null;
+            } catch (error) {
+              // A section heading that isn't one of the list's categories is just a heading
+              if (!entry.categoryFromHeading) {
+                failures[entry.name] = error.message;
+                continue;
+              }
+            }
+            entries.push({
+              name: entry.name,
+              quantity: entry.quantity || null,
+              unit: entry.unit || null,
+              notes: entry.notes || null,
+              category: categoryMatchId,
+            });
+          }
+          const results = entries.length > 0 ? await client.addItems(entries) : [];
+          return textResponse(formatImportSummary(mergeBatchResults(parsed, entries, results, failures), client.targetList.name));
+        }
+        case "update_item": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to update?");
+          if (new_name === undefined && notes === undefined && quantity === undefined && unit === undefined && category === undefined && store === undefined && price === undefined) {
+            throw new Error('Action "update_item" requires at least one of "new_name", "notes", "quantity", "unit", "category", "store" or "price"');
+          }
+          await client.connect(list_name);
+          const resolvedUpdate = await resolveItemName(client, itemName);
+          const result = await client.updateItem(resolvedUpdate, {
+            name: new_name || null,
+            notes: notes !== undefined ? notes : null,
+            quantity: quantity || null,
+            unit: unit || null,
+            category: category ? resolveCategory(client, category) : null,
+            store: store !== undefined ? store : null,
+            price: price ?? null,
+          });
+          if (result.changed.length === 0) {
+            return textResponse(`No changes needed for "${resolvedUpdate}" on list "${client.targetList.name}"`);
+          }
+          return textResponse(`Successfully updated "${result.name}" on list "${client.targetList.name}" (${result.changed.join(", ")})`);
         }
         case "check_item": {
+          if (batchItems && batchItems.length > 0) {
+            await client.connect(list_name);
+            const { resolved, failures } = await resolveItemNames(client, batchItems.map(i => i.name));
+            const pantry = to_pantry ? requirePantry() : null;
+            const listed = pantry ? await client.getItems(false) : [];
+            const results = await client.checkItems(resolved);
+            const checked = results.filter(r => r.success && r.status !== "already checked").map(r => r.name);
+            const warning = recordPurchases(client, checked);
+            const report = formatBatchReport("Checked", mergeBatchResults(batchItems, resolved, results, failures), client.targetList.name);
+            const pantryReport = pantry && checked.length > 0 ? moveToPantry(pantry, listed.filter(i => checked.includes(i.name)), expires_on || null) : "";
+            return textResponse([report, pantryReport, warning].filter(Boolean).join("\n"));
+          }
           let itemName = name;
           if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to check off?");
           await client.connect(list_name);
           const resolvedCheck = await resolveItemName(client, itemName);
-          await client.removeItem(resolvedCheck);
-          return textResponse(`Successfully checked off "${resolvedCheck}" from list "${client.targetList.name}"`);
+          const pantry = to_pantry ? requirePantry() : null;
+          const listed = pantry ? (await client.getItems(false)).filter(i => i.name === resolvedCheck) : [];
+          // An item that was already checked off was bought before, not now
+          if (!(await client.removeItem(resolvedCheck))) {
+            return textResponse(`"${resolvedCheck}" was already checked off on list "${client.targetList.name}"`);
+          }
+          const warning = recordPurchases(client, [resolvedCheck]);
+          const checkedText = `Successfully checked off "${resolvedCheck}" from list "${client.targetList.name}"`;
+          const pantryReport = pantry ? moveToPantry(pantry, listed, expires_on || null) : "";
+          return textResponse([checkedText, pantryReport, warning].filter(Boolean).join("\n"));
+        }
+        case "uncheck_item": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to uncheck?");
+          await client.connect(list_name);
+          const resolvedUncheck = await resolveItemName(client, itemName, { checked: true });
+          await client.uncheckItem(resolvedUncheck);
+          return textResponse(`Successfully unchecked "${resolvedUncheck}" on list "${client.targetList.name}"`);
+        }
+        case "uncheck_all": {
+          await client.connect(list_name);
+          const checkedCount = client.targetList.items.filter(i => i.checked).length;
+          if (checkedCount === 0) return textResponse(`No checked items on list "${client.targetList.name}".`);
+          const confirmed = await elicitConfirmation(`Uncheck all ${checkedCount} checked items on list "${client.targetList.name}"?`);
+          if (!confirmed) return textResponse(`Cancelled — no items were unchecked.`);
+          const count = await client.uncheckAll();
+          return textResponse(`Unchecked ${count} items on list "${client.targetList.name}"`);
+        }
+        case "clear_checked": {
+          await client.connect(list_name);
+          const checkedCount = client.targetList.items.filter(i => i.checked).length;
+          if (checkedCount === 0) return textResponse(`No checked items on list "${client.targetList.name}".`);
+          const confirmed = await elicitConfirmation(`Permanently delete all ${checkedCount} checked items from list "${client.targetList.name}"?`);
+          if (!confirmed) return textResponse(`Cancelled — no items were deleted.`);
+          const removed = await client.clearChecked();
+          return textResponse(`Deleted ${removed.length} checked items from list "${client.targetList.name}": ${removed.join(", ")}`);
         }
         case "delete_item": {
+          if (batchItems && batchItems.length > 0) {
+            await client.connect(list_name);
+            const { resolved, failures } = await resolveItemNames(client, batchItems.map(i => i.name));
+            const results = await client.deleteItems(resolved);
+            return textResponse(formatBatchReport("Deleted", mergeBatchResults(batchItems, resolved, results, failures), client.targetList.name));
+          }
           let itemName = name;
           if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to delete?");
           await client.connect(list_name);
@@ -120,6 +749,135 @@ export function register(server, getClient) {
           await client.deleteItem(resolvedDelete);
           return textResponse(`Successfully deleted "${resolvedDelete}" from list "${client.targetList.name}"`);
         }
+        case "move_item": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to move?");
+          let destination = to_list_name;
+          if (!destination) destination = await elicitRequiredField("to_list_name", "Which list should the item be moved to?");
+          await client.connect(list_name);
+          const resolvedMove = await resolveItemName(client, itemName);
+          const sourceName = client.targetList.name;
+          const moved = await client.moveItem(resolvedMove, sourceName, destination);
+          return textResponse(`Moved "${moved.name}" from list "${sourceName}" to list "${destination}"`);
+        }
+        case "copy_items": {
+          let destination = to_list_name;
+          if (!destination) destination = await elicitRequiredField("to_list_name", "Which list should the items be copied to?");
+          await client.connect(list_name);
+          const sourceName = client.targetList.name;
+          if (batchItems && batchItems.length > 0) {
+            const { resolved, failures } = await resolveItemNames(client, batchItems.map(i => i.name));
+            const results = await client.copyItems(sourceName, destination, resolved);
+            return textResponse(formatBatchReport("Copied", mergeBatchResults(batchItems, resolved, results, failures), destination));
+          }
+          const results = await client.copyItems(sourceName, destination);
+          if (results.length === 0) return textResponse(`No unchecked items on list "${sourceName}" to copy.`);
+          return textResponse(formatBatchReport("Copied", results, destination));
+        }
+        case "find_duplicates": {
+          await client.connect(list_name);
+          const groups = client.findDuplicateItems();
+          if (groups.length === 0) return textResponse(`No likely duplicates on list "${client.targetList.name}"`);
+          const lines = groups.map(group => `- ${group.map(i => `${i.name}${i.quantity ? ` (${i.quantity})` : ""}${i.notes ? ` [${i.notes}]` : ""}`).join(" | ")}`);
+          return textResponse(`Possible duplicates on list "${client.targetList.name}":\n${lines.join("\n")}\n\nUse merge_items with a group's names in 'items' to combine them.`);
+        }
+        case "merge_items": {
+          if (!batchItems || batchItems.length < 2) {
+            throw new Error('Action "merge_items" requires at least two items in "items"');
+          }
+          await client.connect(list_name);
+          const mergeNames = [];
+          for (const i of batchItems) mergeNames.push(await resolveItemName(client, i.name));
+          const keep = name ? await resolveItemName(client, name) : mergeNames[0];
+          const others = [...new Set(mergeNames)].filter(n => n !== keep);
+          if (others.length === 0) throw new Error("At least two different items are needed to merge");
+          const confirmed = await elicitConfirmation(`Merge ${others.map(n => `"${n}"`).join(", ")} into "${keep}" on list "${client.targetList.name}"? The other items will be deleted.`);
+          if (!confirmed) return textResponse("Cancelled — no items were merged.");
+          const merged = await client.mergeItems([keep, ...others], keep);
+          const details = [merged.quantity && `quantity ${merged.quantity}`, merged.notes && `notes "${merged.notes}"`].filter(Boolean);
+          return textResponse(`Merged ${merged.removed.map(n => `"${n}"`).join(", ")} into "${merged.name}" on list "${client.targetList.name}"${details.length > 0 ? ` (${details.join(", ")})` : ""}`);
+        }
+        case "list_stores": {
+          await client.connect(list_name);
+          const stores = client.getStores();
+          if (stores.length === 0) return textResponse(`No stores on list "${client.targetList.name}".`);
+          const lines = stores.map(s => `- ${s.name}`);
+          const filters = client.getStoreFilters();
+          if (filters.length > 0) {
+            lines.push("", "Store filters:");
+            lines.push(...filters.map(f => `- ${f.name}: ${f.stores.join(", ") || "(no stores)"}${f.includesUnassignedItems ? " + unassigned items" : ""}`));
+          }
+          return textResponse(`Stores for list "${client.targetList.name}" (${stores.length}):\n${lines.join("\n")}`);
+        }
+        case "create_store": {
+          let storeName = store;
+          if (!storeName) storeName = await elicitRequiredField("store", "What is the store called?");
+          await client.connect(list_name);
+          const created = await client.createStore(storeName);
+          return textResponse(`Created store "${created.name}" on list "${client.targetList.name}"`);
+        }
+        case "list_locations": {
+          await client.connect(list_name);
+          const locations = client.getNotificationLocations();
+          if (locations.length === 0) return textResponse(`List "${client.targetList.name}" has no reminder locations.`);
+          const lines = locations.map(l => `- ${l.name}${l.address ? ` — ${l.address}` : ""} (${l.latitude}, ${l.longitude})`);
+          return textResponse(`Reminder locations for list "${client.targetList.name}" (${locations.length}):\n${lines.join("\n")}`);
+        }
+        case "add_location": {
+          let locationName = name;
+          if (!locationName) locationName = await elicitRequiredField("name", "What should the location be called?");
+          if (latitude === undefined || longitude === undefined) {
+            throw new Error('Action "add_location" requires "latitude" and "longitude"');
+          }
+          await client.connect(list_name);
+          const added = await client.addNotificationLocation({ name: locationName, address: address || null, latitude, longitude });
+          return textResponse(`List "${client.targetList.name}" will remind you near "${added.name}"${added.address ? ` (${added.address})` : ""}`);
+        }
+        case "remove_location": {
+          let locationName = name;
+          if (!locationName) locationName = await elicitRequiredField("name", "Which location should be removed?");
+          await client.connect(list_name);
+          const removed = await client.removeNotificationLocation(locationName);
+          return textResponse(`Removed reminder location "${removed.name}" from list "${client.targetList.name}"`);
+        }
+        case "price_history": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "Which item's prices would you like to see?");
+          await client.connect(list_name);
+          let resolvedName;
+          try {
+            resolvedName = await resolveItemName(client, itemName);
+          } catch (error) {
+            // Prices survive check-off, so fall back to checked items
+            if (!error.message.includes("not found")) throw error;
+            resolvedName = await resolveItemName(client, itemName, { checked: true });
+          }
+          const history = client.getPriceHistory(resolvedName);
+          if (history.prices.length === 0) {
+            return textResponse(`No prices recorded for "${history.name}" on list "${client.targetList.name}".`);
+          }
+          const lines = history.prices.map(p => `- ${p.date || "undated"}: ${formatMoney(p.amount)}${p.store ? ` at ${p.store}` : ""}${p.details ? ` (${p.details})` : ""}`);
+          const lowest = history.prices.reduce((min, p) => (p.amount < min.amount ? p : min));
+          lines.push("", `Lowest: ${formatMoney(lowest.amount)}${lowest.store ? ` at ${lowest.store}` : ""}`);
+          return textResponse(`Price history for "${history.name}" on list "${client.targetList.name}":\n${lines.join("\n")}`);
+        }
+        case "list_rules": {
+          await client.connect(list_name);
+          const rules = client.getCategorizationRules();
+          if (rules.length === 0) return textResponse(`No categorization rules on list "${client.targetList.name}".`);
+          const lines = rules.map(r => `- ${r.itemName} → ${r.category || "(unknown category)"}`);
+          return textResponse(`Categorization rules for list "${client.targetList.name}" (${rules.length}):\n${lines.join("\n")}`);
+        }
+        case "set_rule": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "Which item name should the rule match?");
+          let ruleCategory = category;
+          if (!ruleCategory) ruleCategory = await elicitRequiredField("category", `Which category should "${itemName}" go in?`);
+          await client.connect(list_name);
+          const rule = await client.setCategorizationRule(itemName, ruleCategory);
+          const verb = rule.status === "created" ? "Created" : "Updated";
+          return textResponse(`${verb} rule on list "${client.targetList.name}": "${rule.itemName}" → ${rule.category}`);
+        }
         case "get_favorites": {
           await client.connect(list_name || null);
           const items = await client.getFavoriteItems(list_name);
@@ -127,6 +885,55 @@ export function register(server, getClient) {
           const list = items.map(i => `- ${i.name}${i.details ? ` [${i.details}]` : ''}`).join('\n');
           return textResponse(`Favorite items for "${client.targetList.name}" (${items.length}):\n${list}`);
         }
+        case "add_favorite": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to add to favorites?");
+          await client.connect(list_name || null);
+          const favorite = await client.addFavoriteItem(list_name, itemName, notes || null);
+          if (favorite.status === "exists") {
+            return textResponse(`"${favorite.name}" is already a favorite for list "${client.targetList.name}"`);
+          }
+          return textResponse(`Added "${favorite.name}" to favorites for list "${client.targetList.name}"`);
+        }
+        case "remove_favorite": {
+          let itemName = name;
+          if (!itemName) itemName = await elicitRequiredField("name", "What item would you like to remove from favorites?");
+          await client.connect(list_name || null);
+          const removed = await client.removeFavoriteItem(list_name, itemName);
+          return textResponse(`Removed "${removed.name}" from favorites for list "${client.targetList.name}"`);
+        }
+        case "add_favorites_to_list": {
+          await client.connect(list_name || null);
+          const names = batchItems && batchItems.length > 0 ? batchItems.map(i => i.name) : null;
+          const results = await client.addFavoritesToList(list_name, names);
+          if (results.length === 0) return textResponse(`No favorite items for list "${client.targetList.name}".`);
+          return textResponse(formatBatchReport("Added", results, client.targetList.name));
+        }
+        case "suggest_restock": {
+          await client.connect(list_name);
+          const localStore = getStore ? getStore() : null;
+          if (!localStore) throw new Error("Purchase history isn't available on this server");
+          const onList = (await client.getItems(false)).map(i => i.name);
+          const due = suggestRestock(localStore.getPurchases(client.targetList.identifier), { exclude: onList });
+          const suggested = new Set([...onList, ...due.map(s => s.name)].map(n => n.toLowerCase()));
+          const recent = (await client.getRecentItems(client.targetList.name))
+            .filter(i => !suggested.has(i.name.toLowerCase()))
+            .slice(0, MAX_RECENT_SUGGESTIONS);
+          if (due.length === 0 && recent.length === 0) {
+            return textResponse(`No restock suggestions for list "${client.targetList.name}" yet. Checked-off items are recorded, and an item is suggested once it has been bought on two separate trips.`);
+          }
+          const lines = [`Restock suggestions for list "${client.targetList.name}":`];
+          if (due.length > 0) {
+            lines.push("Due to buy again (from your purchase history):", ...due.map(s => {
+              const when = s.dueInDays < 0 ? `${formatDays(-s.dueInDays)} overdue` : s.dueInDays === 0 ? "due today" : `due in ${formatDays(s.dueInDays)}`;
+              return `- ${s.name} — usually every ${formatDays(s.intervalDays)}, last bought ${formatDays(s.daysSinceLast)} ago (${when})`;
+            }));
+          }
+          if (recent.length > 0) {
+            lines.push("Recently added to this list:", ...recent.map(i => `- ${i.name}`));
+          }
+          return textResponse(lines.join("\n"));
+        }
         case "get_recents": {
           await client.connect(list_name || null);
           const items = await client.getRecentItems(list_name);
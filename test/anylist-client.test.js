@@ -0,0 +1,197 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportList } from '../src/list-exporter.js';
+import { createTestClient, sentHandlers } from './fake-anylist.js';
+
+// These tests run the real AnyListClient on top of anylist-js (the git submodule, or the
+// `anylist` npm package when it isn't checked out), with AnyList's HTTP API replaced by a
+// recorder.
+describe('AnyListClient', () => {
+  // Only the first list's items are given, as most tests use one list
+  const createClient = (items, options) => createTestClient({ lists: [{ name: 'Groceries', items }] }, options);
+
+  // An item as getItems() reports it
+  async function item(client, name, listName = null) {
+    return (await client.getItems(true, true, { listName })).find(i => i.name === name);
+  }
+
+  describe('addItem', () => {
+    it('keeps the quantity of an item already on the list when none is given', async () => {
+      const { client, requests } = await createClient([{ name: 'Chicken', quantity: '2 lb', checked: true }]);
+      const result = await client.addItem('Chicken');
+      assert.equal(result.status, 'unchecked');
+      assert.deepEqual(await item(client, 'Chicken'), { name: 'Chicken', quantity: 2, unit: 'lb', checked: false, category: 'other', categoryName: 'Other', stores: [] });
+      assert.deepEqual(sentHandlers(requests), ['set-list-item-checked']);
+    });
+
+    it('does not read an article as a new quantity for an item already on the list', async () => {
+      const { client, requests } = await createClient([{ name: 'Onions', quantity: '3' }]);
+      const result = await client.addItem('an onion');
+      assert.equal(result.name, 'Onions');
+      assert.equal((await item(client, 'Onions')).quantity, 3);
+      assert.deepEqual(sentHandlers(requests), []);
+    });
+
+    it('changes the quantity of an item already on the list when one is given', async () => {
+      const { client, requests } = await createClient([{ name: 'Chicken', quantity: '2 lb' }]);
+      await client.addItem('Chicken', 3, null, null, { unit: 'lb' });
+      assert.equal((await item(client, 'Chicken')).quantity, 3);
+      const [operation] = requests[0].operations;
+      assert.deepEqual([operation.metadata.handlerId, operation.updatedValue], ['set-list-item-quantity', '3 lb']);
+    });
+
+    it('sends a new item with its quantity, notes and category', async () => {
+      const { client, requests } = await createClient([]);
+      await client.addItem('2 lbs chicken thighs for the curry');
+      const [operation] = requests[0].operations;
+      assert.equal(operation.metadata.handlerId, 'add-shopping-list-item');
+      const { name, details, categoryMatchId, quantityPb } = operation.listItem;
+      assert.deepEqual([name, details, categoryMatchId], ['chicken thighs', 'for the curry', 'meat']);
+      assert.deepEqual([quantityPb.amount, quantityPb.unit], ['2', 'lb']);
+    });
+
+    it('adds to another list without switching the current one', async () => {
+      const { client } = await createTestClient({ lists: [
+        { name: 'Groceries' },
+        { name: 'Costco', items: [{ name: 'Trash bags', checked: true }] },
+      ] });
+      const result = await client.addItem('Trash bags', null, null, null, { listName: 'Costco' });
+      assert.equal(result.status, 'unchecked');
+      assert.equal(client.targetList.name, 'Groceries');
+      assert.equal(client.targetList.items.length, 0);
+      assert.equal((await item(client, 'Trash bags', 'Costco')).checked, false);
+    });
+
+    it('restores an existing item when the request fails', async () => {
+      const { client } = await createClient([{ name: 'Chicken', quantity: '2 lb', details: 'thighs', checked: true }], { fail: true });
+      await assert.rejects(client.addItem('Chicken', 3, 'breasts'), /Network down/);
+      const chicken = await item(client, 'Chicken');
+      assert.deepEqual([chicken.checked, chicken.quantity, chicken.unit, chicken.note], [true, 2, 'lb', 'thighs']);
+    });
+
+    it('does not add a new item when the request fails', async () => {
+      const { client } = await createClient([], { fail: true });
+      await assert.rejects(client.addItem('Milk'), /Network down/);
+      assert.equal(client.targetList.items.length, 0);
+    });
+  });
+
+  describe('addItems', () => {
+    it('sends the whole batch in one request', async () => {
+      const { client, requests } = await createClient([{ name: 'Milk', checked: true }]);
+      const results = await client.addItems([{ name: 'Milk' }, { name: 'Eggs' }, { name: 'Bread' }]);
+      assert.deepEqual(results.map(r => r.status), ['unchecked', 'added', 'added']);
+      assert.equal(requests.length, 1);
+      assert.deepEqual(sentHandlers(requests), ['set-list-item-checked', 'add-shopping-list-item', 'add-shopping-list-item']);
+    });
+
+    it('restores every existing item when the batch request fails', async () => {
+      const { client } = await createClient([
+        { name: 'Milk', quantity: '1 gal', checked: true },
+        { name: 'Eggs', details: 'large', checked: true },
+      ], { fail: true });
+      const results = await client.addItems([{ name: 'Milk', quantity: 2, unit: 'gal' }, { name: 'Eggs', notes: 'brown' }, { name: 'Bread' }]);
+      assert.ok(results.every(r => !r.success && r.error === 'Network down'));
+      const items = await client.getItems(true, true);
+      assert.deepEqual(items.map(i => [i.name, i.checked, i.quantity, i.note]), [
+        ['Milk', true, 1, undefined],
+        ['Eggs', true, null, 'large'],
+      ]);
+    });
+  });
+
+  describe('getItems', () => {
+    it('reports no quantity for items that have none', async () => {
+      const { client } = await createClient([{ name: 'Flour' }, { name: 'Milk', quantity: '2 gal' }]);
+      const items = await client.getItems();
+      assert.deepEqual(items.map(i => [i.name, i.quantity, i.unit]), [['Flour', null, null], ['Milk', 2, 'gal']]);
+    });
+  });
+
+  describe('updateItem', () => {
+    it('only reports fields whose value changed', async () => {
+      const { client, requests } = await createClient([{ name: 'Chicken', quantity: '2 lb', details: 'thighs' }]);
+      const result = await client.updateItem('Chicken', { quantity: 2, unit: 'lb', notes: 'thighs' });
+      assert.deepEqual(result.changed, []);
+      assert.equal(requests.length, 0);
+      assert.deepEqual((await client.updateItem('Chicken', { quantity: 3 })).changed, ['quantity']);
+      assert.equal((await item(client, 'Chicken')).quantity, 3);
+      assert.deepEqual(sentHandlers(requests), ['set-list-item-quantity']);
+    });
+
+    it('restores the item when the request fails', async () => {
+      const { client } = await createClient([{ name: 'Chicken', quantity: '2 lb', details: 'thighs', categoryMatchId: 'meat' }], { fail: true });
+      await assert.rejects(client.updateItem('Chicken', { name: 'Chicken breasts', notes: 'boneless', quantity: 3, category: 'frozen' }), /Network down/);
+      const [chicken] = await client.getItems(true, true);
+      assert.deepEqual([chicken.name, chicken.note, chicken.quantity, chicken.category], ['Chicken', 'thighs', 2, 'meat']);
+      assert.deepEqual(client.targetList.items[0]._fieldsToUpdate, []);
+    });
+  });
+
+  describe('removeItem', () => {
+    it('reports whether it checked the item off', async () => {
+      const { client, requests } = await createClient([{ name: 'Milk' }, { name: 'Eggs', checked: true }]);
+      assert.equal(await client.removeItem('Milk'), true);
+      assert.equal((await item(client, 'Milk')).checked, true);
+      assert.equal(await client.removeItem('Eggs'), false);
+      assert.equal(requests.length, 1);
+    });
+  });
+
+  describe('copyItems / moveItem', () => {
+    const account = () => ({ lists: [
+      { name: 'Groceries', items: [{ name: 'Batteries', quantity: '4', details: 'AA' }, { name: 'Milk', checked: true }] },
+      { name: 'Costco' },
+    ] });
+
+    it('copies items to another list', async () => {
+      const { client, requests } = await createTestClient(account());
+      const results = await client.copyItems('Groceries', 'Costco', ['batteries']);
+      assert.deepEqual(results, [{ name: 'Batteries', success: true, status: 'added' }]);
+      const costco = await client.getItems(true, true, { listName: 'Costco' });
+      assert.deepEqual(costco.map(i => [i.name, i.quantity, i.note]), [['Batteries', 4, 'AA']]);
+      assert.equal(client.targetList.items.length, 2);
+      assert.equal(requests.length, 1);
+    });
+
+    it('moves an item to another list', async () => {
+      const { client } = await createTestClient(account());
+      const result = await client.moveItem('batteries', 'Groceries', 'Costco');
+      assert.equal(result.success, true);
+      const [groceries, costco] = client.client.lists;
+      assert.deepEqual(groceries.items.map(i => i.name), ['Milk']);
+      assert.deepEqual(costco.items.map(i => i.name), ['Batteries']);
+    });
+
+    it('reports a failed request without changing either list', async () => {
+      const { client } = await createTestClient(account(), { fail: true });
+      await assert.rejects(client.moveItem('Batteries', 'Groceries', 'Costco'), /Failed to move item "Batteries": Network down/);
+      const [groceries, costco] = client.client.lists;
+      assert.equal(groceries.items.length, 2);
+      assert.equal(costco.items.length, 0);
+    });
+  });
+
+  describe('exportList', () => {
+    const account = () => ({ lists: [
+      { name: 'Groceries', items: [{ name: 'Milk' }] },
+      { name: 'Costco', items: [{ name: 'Batteries', checked: true }] },
+    ] });
+
+    it('exports another list without switching the session to it', async () => {
+      const { client } = await createTestClient(account());
+      const exported = await exportList(client, 'costco', 'text');
+      assert.ok(exported.content.startsWith('Costco\n'));
+      assert.ok(exported.content.includes('[x] Batteries'));
+      assert.equal(client.targetList.name, 'Groceries');
+    });
+
+    it('exports the default list when none is named', async () => {
+      const { client } = await createTestClient(account());
+      client.defaultListName = 'Costco';
+      const exported = await exportList(client, null, 'csv');
+      assert.equal(exported.filename, 'costco.csv');
+      assert.equal(client.targetList.name, 'Groceries');
+    });
+  });
+});
@@ -8,6 +8,13 @@ const ITEM = '🧪 Test Item';
 const ITEM_QTY = '🧪 Test Item Qty';
 const ITEM_NOTES = '🧪 Test Item Notes';
 const ITEM_CATEGORY = '🧪 Test Item Category';
+const ITEM_UNIT = '🧪 Test Item Unit';
+const ITEM_PARSED = '🧪 Test Item Parsed';
+const BATCH_ITEMS = ['🧪 Batch A', '🧪 Batch B', '🧪 Batch C'];
+const MERGE_ITEMS = ['🧪 Merge Eggs', '🧪 Merge Large Eggs'];
+const ITEM_STORE = '🧪 Test Item Store';
+// Stores can't be deleted through the client, so this one is created once and reused
+const TEST_STORE = '🧪 Test Store';
 
 export async function runShoppingItemsTests() {
   console.log('\n🛒 Shopping Items');
@@ -16,7 +23,7 @@ export async function runShoppingItemsTests() {
   const client = await createConnectedClient();
 
   // Pre-clean
-  for (const name of [ITEM, ITEM_QTY, ITEM_NOTES, ITEM_CATEGORY]) {
+  for (const name of [ITEM, ITEM_QTY, ITEM_NOTES, ITEM_CATEGORY, ITEM_UNIT, ITEM_PARSED, ITEM_STORE, ...BATCH_ITEMS, ...MERGE_ITEMS]) {
     try { await client.deleteItem(name); } catch {}
   }
 
@@ -49,6 +56,14 @@ export async function runShoppingItemsTests() {
     if (item.checked) throw new Error('Item should be unchecked after re-adding');
   });
 
+  await test('addItem with a plural of an existing item updates it instead of duplicating', async () => {
+    const before = client.targetList.items.length;
+    const result = await client.addItem(`${ITEM}s`, 2);
+    if (result.name !== ITEM) throw new Error(`Expected to match "${ITEM}", got "${result.name}"`);
+    if (result.status === 'added') throw new Error('Should not have added a new item');
+    if (client.targetList.items.length !== before) throw new Error('Item count should not change');
+  });
+
   await test('addItem with quantity stores correct quantity', async () => {
     await client.addItem(ITEM_QTY, 5);
     const item = client.targetList.getItemByName(ITEM_QTY);
@@ -56,6 +71,26 @@ export async function runShoppingItemsTests() {
     if (item.quantity !== '5' && item.quantity !== 5) throw new Error(`Expected quantity 5, got "${item.quantity}"`);
   });
 
+  await test('addItem with quantity and unit round-trips through getItems', async () => {
+    await client.addItem(ITEM_UNIT, 2, null, 'other', { unit: 'lb' });
+    const items = await client.getItems();
+    const item = items.find(i => i.name === ITEM_UNIT);
+    if (!item) throw new Error('Item not found');
+    if (item.quantity !== 2) throw new Error(`Expected quantity 2, got "${item.quantity}"`);
+    if (item.unit !== 'lb') throw new Error(`Expected unit "lb", got "${item.unit}"`);
+  });
+
+  await test('addItem splits free-form text into quantity, unit, name and notes', async () => {
+    const result = await client.addItem(`2 lbs ${ITEM_PARSED} for the curry`);
+    if (result.name !== ITEM_PARSED) throw new Error(`Expected name "${ITEM_PARSED}", got "${result.name}"`);
+    if (!result.interpretation) throw new Error('Expected an interpretation of the text');
+    const items = await client.getItems(false, true);
+    const item = items.find(i => i.name === ITEM_PARSED);
+    if (!item) throw new Error('Item not found');
+    if (item.quantity !== 2 || item.unit !== 'lb') throw new Error(`Expected 2 lb, got "${item.quantity} ${item.unit}"`);
+    if (item.note !== 'for the curry') throw new Error(`Expected note "for the curry", got "${item.note}"`);
+  });
+
   await test('addItem with notes stores notes', async () => {
     const note = 'organic preferred';
     await client.addItem(ITEM_NOTES, 1, note);
@@ -81,6 +116,29 @@ export async function runShoppingItemsTests() {
     if (item.note !== updatedNote) throw new Error(`Expected updated note "${updatedNote}", got "${item.note}"`);
   });
 
+  // ── updateItem ────────────────────────────────────────────────────────────
+
+  await test('updateItem changes notes and quantity in place', async () => {
+    const result = await client.updateItem(ITEM_UNIT, { notes: 'thighs only', quantity: 3 });
+    if (!result.changed.includes('notes')) throw new Error('Expected notes to be reported as changed');
+    const items = await client.getItems(false, true);
+    const item = items.find(i => i.name === ITEM_UNIT);
+    if (!item) throw new Error('Item not found');
+    if (item.note !== 'thighs only') throw new Error(`Expected updated note, got "${item.note}"`);
+    if (item.quantity !== 3 || item.unit !== 'lb') throw new Error(`Expected 3 lb, got "${item.quantity} ${item.unit}"`);
+  });
+
+  await test('updateItem on non-existent item throws "not found"', async () => {
+    let threw = false;
+    try {
+      await client.updateItem('🚫 Ghost Item', { notes: 'x' });
+    } catch (e) {
+      threw = true;
+      if (!e.message.includes('not found')) throw new Error(`Expected "not found", got: ${e.message}`);
+    }
+    if (!threw) throw new Error('Should have thrown for non-existent item');
+  });
+
   // ── removeItem ────────────────────────────────────────────────────────────
 
   await test('removeItem checks off an item', async () => {
@@ -90,6 +148,14 @@ export async function runShoppingItemsTests() {
     if (!item.checked) throw new Error('Item should be checked after removeItem');
   });
 
+  await test('uncheckItem restores a checked item', async () => {
+    await client.uncheckItem(ITEM);
+    const item = client.targetList.getItemByName(ITEM);
+    if (!item) throw new Error('Item should still exist');
+    if (item.checked) throw new Error('Item should be unchecked after uncheckItem');
+    await client.removeItem(ITEM);
+  });
+
   await test('removeItem on non-existent item throws "not found"', async () => {
     let threw = false;
     try {
@@ -122,6 +188,48 @@ export async function runShoppingItemsTests() {
     if (!threw) throw new Error('Should have thrown for non-existent item');
   });
 
+  // ── batch operations ──────────────────────────────────────────────────────
+
+  await test('addItems adds several items in one call', async () => {
+    const results = await client.addItems(BATCH_ITEMS.map((name, i) => ({ name, quantity: i + 1 })));
+    if (results.length !== BATCH_ITEMS.length) throw new Error('Expected one result per entry');
+    const failed = results.filter(r => !r.success);
+    if (failed.length > 0) throw new Error(`Unexpected failures: ${failed.map(r => r.error).join('; ')}`);
+    for (const name of BATCH_ITEMS) {
+      if (!client.targetList.getItemByName(name)) throw new Error(`"${name}" missing after addItems`);
+    }
+  });
+
+  await test('checkItems reports missing items without failing the batch', async () => {
+    const results = await client.checkItems([BATCH_ITEMS[0], '🚫 Ghost Item']);
+    if (!results[0].success) throw new Error(`Expected first item to be checked: ${results[0].error}`);
+    if (results[1].success) throw new Error('Expected ghost item to fail');
+    if (!client.targetList.getItemByName(BATCH_ITEMS[0]).checked) throw new Error('Item should be checked');
+  });
+
+  await test('deleteItems removes several items in one call', async () => {
+    const results = await client.deleteItems(BATCH_ITEMS);
+    if (results.some(r => !r.success)) throw new Error('Expected all deletes to succeed');
+    if (BATCH_ITEMS.some(name => client.targetList.getItemByName(name))) throw new Error('Items should be gone');
+  });
+
+  // ── duplicates ────────────────────────────────────────────────────────────
+
+  await test('findDuplicateItems groups similar items and mergeItems combines them', async () => {
+    await client.addItems([
+      { name: MERGE_ITEMS[0], quantity: 1, notes: 'free range' },
+      { name: MERGE_ITEMS[1], quantity: 2, notes: 'brown' },
+    ], { parse: false });
+    const groups = client.findDuplicateItems();
+    if (!groups.some(group => MERGE_ITEMS.every(name => group.some(i => i.name === name)))) {
+      throw new Error('Expected the merge items to be grouped together');
+    }
+    const merged = await client.mergeItems(MERGE_ITEMS);
+    if (merged.quantity !== '3') throw new Error(`Expected quantity "3", got "${merged.quantity}"`);
+    if (merged.notes !== 'free range; brown') throw new Error(`Unexpected notes "${merged.notes}"`);
+    if (client.targetList.getItemByName(MERGE_ITEMS[1])) throw new Error('Merged-away item should be deleted');
+  });
+
   // ── getItems ──────────────────────────────────────────────────────────────
 
   await test('getItems returns only unchecked items by default', async () => {
@@ -144,6 +252,40 @@ export async function runShoppingItemsTests() {
     if (typeof item.quantity !== 'number') throw new Error('Item should have quantity number');
     if (typeof item.checked !== 'boolean') throw new Error('Item should have checked boolean');
     if (typeof item.category !== 'string') throw new Error('Item should have category string');
+    if (typeof item.categoryName !== 'string') throw new Error('Item should have categoryName string');
+  });
+
+  await test('getCategories returns the list categories in order', async () => {
+    const categories = client.getCategories();
+    if (!Array.isArray(categories) || categories.length === 0) throw new Error('Expected at least one category');
+    for (let i = 1; i < categories.length; i++) {
+      if (categories[i].sortIndex < categories[i - 1].sortIndex) throw new Error('Categories should be sorted by sortIndex');
+    }
+    const first = categories[0];
+    if (client.resolveCategory(first.name) !== first.matchId) throw new Error(`resolveCategory("${first.name}") should return ${first.matchId}`);
+    if (client.resolveCategory('🧪 no such category') !== null) throw new Error('Unknown category should resolve to null');
+  });
+
+  await test('getCategoryOrderings returns orderings with category names', async () => {
+    const { selected, orderings } = client.getCategoryOrderings();
+    if (!Array.isArray(orderings)) throw new Error('Expected an orderings array');
+    if (selected !== null && !orderings.some(o => o.identifier === selected)) throw new Error('Selected ordering should be one of the orderings');
+    for (const ordering of orderings) {
+      if (!Array.isArray(ordering.categories)) throw new Error('Each ordering should have a categories array');
+    }
+  });
+
+  await test('getCategorizationRules returns rules with item names', async () => {
+    const rules = client.getCategorizationRules();
+    if (!Array.isArray(rules)) throw new Error('Expected an array of rules');
+    for (const rule of rules) {
+      if (typeof rule.itemName !== 'string') throw new Error('Rule should have an itemName string');
+    }
+  });
+
+  await test('suggestCategory falls back to the keyword dictionary', async () => {
+    const suggestion = client.suggestCategory('🧪 bananas');
+    if (suggestion !== 'produce') throw new Error(`Expected "produce", got "${suggestion}"`);
   });
 
   await test('getItems(true) includes checked items', async () => {
@@ -174,6 +316,34 @@ export async function runShoppingItemsTests() {
     if (item.note !== undefined) throw new Error('Note should be absent when include_notes=false');
   });
 
+  // ── stores ────────────────────────────────────────────────────────────────
+
+  await test('store assignment round-trips through getItems store filter', async () => {
+    if (!client.getStores().some(s => s.name === TEST_STORE)) {
+      await client.createStore(TEST_STORE);
+    }
+    await client.addItem(ITEM_STORE, 1, null, null, { store: TEST_STORE });
+    const atStore = await client.getItems(false, false, { store: TEST_STORE });
+    const item = atStore.find(i => i.name === ITEM_STORE);
+    if (!item) throw new Error('Item should appear when filtering by its store');
+    if (!item.stores.includes(TEST_STORE)) throw new Error(`Expected stores to include "${TEST_STORE}"`);
+    if (atStore.some(i => i.stores.length === 0)) throw new Error('Unassigned items should be excluded by default');
+
+    await client.updateItem(ITEM_STORE, { store: '' });
+    const afterUnassign = await client.getItems(false, false, { store: TEST_STORE });
+    if (afterUnassign.some(i => i.name === ITEM_STORE)) throw new Error('Unassigned item should no longer match the store');
+  });
+
+  await test('recorded price shows in getItems and getPriceHistory', async () => {
+    await client.updateItem(ITEM_STORE, { price: 2.5 });
+    const items = await client.getItems();
+    const item = items.find(i => i.name === ITEM_STORE);
+    if (!item) throw new Error('Item not found');
+    if (item.price !== 2.5) throw new Error(`Expected price 2.5, got ${item.price}`);
+    const history = client.getPriceHistory(ITEM_STORE);
+    if (!history.prices.some(p => p.amount === 2.5)) throw new Error('Price missing from history');
+  });
+
   // ── disconnected client ───────────────────────────────────────────────────
 
   await test('operations without connection throw "connect() first"', async () => {
@@ -194,8 +364,13 @@ export async function runShoppingItemsTests() {
     }
   });
 
+  await test('lookupBarcode returns a product or null', async () => {
+    const product = await client.lookupBarcode('036000291452');
+    if (product !== null && typeof product.name !== 'string') throw new Error('A found product should have a name');
+  });
+
   // Cleanup
-  for (const name of [ITEM, ITEM_QTY, ITEM_NOTES, ITEM_CATEGORY]) {
+  for (const name of [ITEM, ITEM_QTY, ITEM_NOTES, ITEM_CATEGORY, ITEM_UNIT, ITEM_PARSED, ITEM_STORE, ...BATCH_ITEMS, ...MERGE_ITEMS]) {
     try { await client.deleteItem(name); } catch {}
   }
 
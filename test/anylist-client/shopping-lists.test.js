@@ -1,5 +1,5 @@
 /**
- * Tests for list-level operations: connect, getLists, getFavoriteItems, getRecentItems
+ * Tests for list-level operations: connect, getLists, favorites, getRecentItems, sharing, settings, notification locations
  */
 import { createConnectedClient, makeRunner, printSuiteResults } from './helpers.js';
 
@@ -70,6 +70,36 @@ export async function runShoppingListsTests() {
     }
   });
 
+  const FAVORITE = '🧪 Test Favorite';
+
+  await test('addFavoriteItem adds to favorites and is idempotent', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    try { await client.removeFavoriteItem(listName, FAVORITE); } catch {}
+    const added = await client.addFavoriteItem(listName, FAVORITE, 'test note');
+    if (added.status !== 'added') throw new Error(`Expected status "added", got "${added.status}"`);
+    const again = await client.addFavoriteItem(listName, FAVORITE);
+    if (again.status !== 'exists') throw new Error(`Expected status "exists", got "${again.status}"`);
+    const favorites = await client.getFavoriteItems(listName);
+    if (!favorites.some(f => f.name === FAVORITE)) throw new Error('Favorite not found after adding');
+  });
+
+  await test('addFavoritesToList puts the favorite on the list', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    const results = await client.addFavoritesToList(listName, [FAVORITE]);
+    if (!results[0] || !results[0].success) throw new Error(`Expected success, got ${JSON.stringify(results)}`);
+    const item = client.targetList.getItemByName(FAVORITE);
+    if (!item) throw new Error('Favorite should be on the list');
+    if (item.details !== 'test note') throw new Error('Favorite notes should carry over');
+    await client.deleteItem(FAVORITE);
+  });
+
+  await test('removeFavoriteItem removes it from favorites', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    await client.removeFavoriteItem(listName, FAVORITE);
+    const favorites = await client.getFavoriteItems(listName);
+    if (favorites.some(f => f.name === FAVORITE)) throw new Error('Favorite still present after removing');
+  });
+
   await test('getRecentItems returns array', async () => {
     const listName = process.env.ANYLIST_LIST_NAME;
     const items = await client.getRecentItems(listName);
@@ -80,6 +110,89 @@ export async function runShoppingListsTests() {
     }
   });
 
+  await test('getListMembers includes the list owner', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    const { list, members } = client.getListMembers(listName);
+    if (list !== listName) throw new Error(`Expected "${listName}", got "${list}"`);
+    if (!members.some(m => m.isOwner)) throw new Error('Members should include the owner');
+  });
+
+  await test('updateListSettings changes a setting and changes it back', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    await client.connect(listName);
+    const { hidePrices } = client.getListSettings();
+    const updated = await client.updateListSettings({ hidePrices: !hidePrices });
+    if (!updated.changed.includes('hidePrices')) throw new Error('hidePrices should be reported as changed');
+    if (client.getListSettings().hidePrices === hidePrices) throw new Error('hidePrices should be toggled');
+    await client.updateListSettings({ hidePrices });
+    if (client.getListSettings().hidePrices !== hidePrices) throw new Error('hidePrices should be restored');
+  });
+
+  const LOCATION = '🧪 Test Location';
+
+  await test('addNotificationLocation and removeNotificationLocation round-trip', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    await client.connect(listName);
+    try { await client.removeNotificationLocation(LOCATION); } catch {}
+    await client.addNotificationLocation({ name: LOCATION, address: '1 Test St', latitude: 47.6, longitude: -122.3 });
+    const added = client.getNotificationLocations().find(l => l.name === LOCATION);
+    if (!added) throw new Error('Location should be listed after adding');
+    if (added.address !== '1 Test St') throw new Error('Location should keep its address');
+    await client.removeNotificationLocation(LOCATION);
+    if (client.getNotificationLocations().some(l => l.name === LOCATION)) throw new Error('Location still present after removing');
+  });
+
+  const TEMP_LIST = '🧪 Test List';
+  const TEMP_LIST_RENAMED = '🧪 Test List Renamed';
+  for (const name of [TEMP_LIST, TEMP_LIST_RENAMED]) {
+    try { await client.deleteList(name); } catch {}
+  }
+
+  await test('createList adds a new list', async () => {
+    await client.createList(TEMP_LIST);
+    if (!client.getAvailableListNames().includes(TEMP_LIST)) throw new Error('New list should be available');
+  });
+
+  await test('createList rejects duplicate names', async () => {
+    let threw = false;
+    try { await client.createList(TEMP_LIST); } catch (e) {
+      threw = true;
+      if (!e.message.includes('already exists')) throw new Error(`Expected "already exists", got: ${e.message}`);
+    }
+    if (!threw) throw new Error('Should have thrown for duplicate list name');
+  });
+
+  await test('renameList renames an existing list', async () => {
+    await client.renameList(TEMP_LIST, TEMP_LIST_RENAMED);
+    const names = client.getAvailableListNames();
+    if (!names.includes(TEMP_LIST_RENAMED) || names.includes(TEMP_LIST)) throw new Error('List should be renamed');
+  });
+
+  await test('copyItems and moveItem transfer items between lists', async () => {
+    const listName = process.env.ANYLIST_LIST_NAME;
+    const ITEM = '🧪 Transfer Item';
+    await client.connect(listName);
+    await client.addItem(ITEM, 2, 'keep these notes');
+    const copied = await client.copyItems(listName, TEMP_LIST_RENAMED, [ITEM]);
+    if (!copied[0].success) throw new Error(`Copy failed: ${copied[0].error}`);
+    if (!client.targetList.getItemByName(ITEM)) throw new Error('Copy should leave the source item in place');
+    await client.deleteItem(ITEM);
+
+    await client.connect(TEMP_LIST_RENAMED);
+    await client.moveItem(ITEM, TEMP_LIST_RENAMED, listName);
+    if (client.targetList.getItemByName(ITEM)) throw new Error('Move should remove the source item');
+    await client.connect(listName);
+    const moved = client.targetList.getItemByName(ITEM);
+    if (!moved) throw new Error('Moved item should be on the destination list');
+    if (moved.details !== 'keep these notes') throw new Error('Moved item should keep its notes');
+    await client.deleteItem(ITEM);
+  });
+
+  await test('deleteList removes the list', async () => {
+    await client.deleteList(TEMP_LIST_RENAMED);
+    if (client.getAvailableListNames().includes(TEMP_LIST_RENAMED)) throw new Error('List should be gone');
+  });
+
   await client.disconnect();
   return printSuiteResults('Shopping Lists', results());
 }
@@ -0,0 +1,11 @@
+/**
+ * Preloaded by `npm test` (node --import). When the anylist-js submodule isn't checked
+ * out, imports of anylist-js/lib/* are served from the `anylist` npm package instead, so
+ * the tests can run the real AnyListClient either way.
+ */
+import { existsSync } from 'fs';
+import { register } from 'module';
+
+if (!existsSync(new URL('../anylist-js/lib/index.js', import.meta.url))) {
+  register('./anylist-js-hooks.js', import.meta.url);
+}
@@ -0,0 +1,11 @@
+/**
+ * Module resolve hook registered by anylist-js-fallback.js: maps anylist-js/lib/<file>
+ * to the same file in the `anylist` npm package.
+ */
+const SUBMODULE_FILE = /\/anylist-js\/lib\/([\w.-]+)$/;
+
+export async function resolve(specifier, context, nextResolve) {
+  const match = SUBMODULE_FILE.exec(specifier);
+  if (!match) return nextResolve(specifier, context);
+  return nextResolve(`anylist/lib/${match[1]}`, context);
+}
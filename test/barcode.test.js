@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeBarcode } from '../src/barcode.js';
+
+describe('normalizeBarcode', () => {
+  it('accepts UPC-A, EAN-13 and EAN-8 codes', () => {
+    assert.equal(normalizeBarcode('036000291452'), '036000291452');
+    assert.equal(normalizeBarcode('4006381333931'), '4006381333931');
+    assert.equal(normalizeBarcode('96385074'), '96385074');
+  });
+
+  it('strips spaces and dashes', () => {
+    assert.equal(normalizeBarcode(' 0 36000 29145-2 '), '036000291452');
+  });
+
+  it('rejects codes that are not barcodes', () => {
+    assert.throws(() => normalizeBarcode('12345'), /not a barcode/);
+    assert.throws(() => normalizeBarcode('03600029145X'), /not a barcode/);
+    assert.throws(() => normalizeBarcode(''), /not a barcode/);
+  });
+
+  it('rejects a wrong check digit', () => {
+    assert.throws(() => normalizeBarcode('036000291453'), /invalid check digit/);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_CATEGORIES, slugifyCategory, findCategory, defaultCategoryName } from '../src/categories.js';
+
+describe('Category helpers', () => {
+  describe('slugifyCategory', () => {
+    it('matches AnyList slugs for the built-in categories', () => {
+      assert.equal(slugifyCategory('Breakfast & Cereal'), 'breakfast-and-cereal');
+      assert.equal(slugifyCategory('Condiments, Oils & Salad Dressings'), 'condiments-oils-and-salad-dressings');
+    });
+  });
+
+  describe('findCategory', () => {
+    const custom = [
+      { identifier: 'c1', matchId: 'produce', name: 'Fruit & Veg' },
+      { identifier: 'c2', matchId: 'c2', name: 'Bulk Bins' },
+    ];
+
+    it('finds by match ID, identifier or name', () => {
+      assert.equal(findCategory(custom, 'produce').name, 'Fruit & Veg');
+      assert.equal(findCategory(custom, 'c2').name, 'Bulk Bins');
+      assert.equal(findCategory(custom, 'bulk bins').identifier, 'c2');
+      assert.equal(findCategory(custom, 'fruit-and-veg').identifier, 'c1');
+    });
+
+    it('returns null when nothing matches', () => {
+      assert.equal(findCategory(custom, 'Dairy'), null);
+      assert.equal(findCategory(DEFAULT_CATEGORIES, ''), null);
+    });
+  });
+
+  describe('defaultCategoryName', () => {
+    it('names built-in slugs and passes unknown ones through', () => {
+      assert.equal(defaultCategoryName('frozen-foods'), 'Frozen Foods');
+      assert.equal(defaultCategoryName(null), 'Other');
+      assert.equal(defaultCategoryName('mystery'), 'mystery');
+    });
+  });
+});
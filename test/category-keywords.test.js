@@ -0,0 +1,28 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { guessCategory } from '../src/category-keywords.js';
+
+describe('guessCategory', () => {
+  it('matches single keywords, including plurals', () => {
+    assert.equal(guessCategory('Bananas'), 'produce');
+    assert.equal(guessCategory('tomatoes'), 'produce');
+    assert.equal(guessCategory('Strawberries'), 'produce');
+    assert.equal(guessCategory('eggs'), 'dairy');
+  });
+
+  it('prefers multi-word phrases over single words', () => {
+    assert.equal(guessCategory('peanut butter'), 'condiments-oils-and-salad-dressings');
+    assert.equal(guessCategory('Almond milk'), 'dairy');
+    assert.equal(guessCategory('paper towels'), 'household-and-cleaning');
+  });
+
+  it('prefers the last word when several match', () => {
+    assert.equal(guessCategory('chicken broth'), 'soups-and-canned-goods');
+    assert.equal(guessCategory('organic whole milk'), 'dairy');
+  });
+
+  it('returns null for unknown items', () => {
+    assert.equal(guessCategory('Widget'), null);
+    assert.equal(guessCategory(''), null);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * The real AnyListClient, logged in to an in-memory AnyList account.
+ *
+ * createTestClient(account) encodes the account as the PBUserDataResponse AnyList's
+ * data/user-data/get returns, and replaces AnyList's HTTP API with a recorder: every other
+ * request is kept in `requests` with its operations decoded, and answered with an empty
+ * response. The account doesn't change when operations are sent, so a reload (after
+ * creating a list, say) brings back the lists as they were.
+ *
+ * An account is described in terms of AnyList's protobuf messages, with a few shorthands:
+ *
+ *   lists: [{
+ *     name, identifier?,            — identifier defaults to the name in lower case
+ *     items: [ListItem fields, plus quantity: '2 lb', stores: [store names],
+ *             prices: [{ amount, store?, date? }]],
+ *     stores: [store names], storeFilters: [{ name, stores: [store names], includesUnassignedItems? }],
+ *     categories: [{ name, systemCategory?, identifier? }]  — the list's category group, in order
+ *     rules: [{ itemName, category: category name }],
+ *     settings: PBListSettings fields, favorites: [items], recents: [items],
+ *     creator, sharedUsers, notificationLocations,
+ *   }]                              — the first list is the one the client connects to
+ *   folders: [{ name, lists: [list names], folders: [folders] }]
+ *   products: { [barcode]: ListItem fields }  — what data/product-lookup knows
+ */
+import AnyList from '../anylist-js/lib/index.js';
+import AnyListClient from '../src/anylist-client.js';
+
+export const USER_ID = 'user-1';
+export const EMAIL = 'test@example.com';
+
+// The message each update endpoint's "operations" form field holds
+const OPERATION_LISTS = {
+  'data/shopping-lists/update': 'PBListOperationList',
+  'data/starter-lists/update': 'PBListOperationList',
+  'data/list-folders/update': 'PBListFolderOperationList',
+  'data/list-settings/update': 'PBListSettingsOperationList',
+};
+
+/**
+ * @param {object} [account] - See above; defaults to one empty list called Groceries
+ * @param {{ fail?: boolean }} [options] - With `fail`, every request but the initial
+ *   user-data load is recorded and then fails with "Network down"
+ * @returns {Promise<{ client: AnyListClient, requests: Array<{ endpoint: string, operations: object[], fields: object }> }>}
+ */
+export async function createTestClient(account = {}, { fail = false } = {}) {
+  const lists = (account.lists || [{ name: 'Groceries' }]).map(list => ({ identifier: slug(list.name), items: [], ...list }));
+  const anylist = new AnyList({ email: EMAIL, password: 'secret', credentialsFile: null });
+  anylist.uid = USER_ID;
+  const userData = new anylist.protobuf.PBUserDataResponse(buildUserData(lists, account.folders)).toBuffer();
+  const requests = [];
+
+  anylist.client = {
+    post: async (endpoint, { body } = {}) => {
+      if (endpoint === 'data/user-data/get') return { body: userData };
+      const fields = body ? formFields(body) : {};
+      const type = OPERATION_LISTS[endpoint];
+      requests.push({ endpoint, operations: type ? anylist.protobuf[type].decode(fields.operations).operations : [], fields });
+      if (fail) throw new Error('Network down');
+      if (endpoint === 'data/product-lookup') {
+        const product = (account.products || {})[fields.upc];
+        const listItem = product ? { identifier: `product-${fields.upc}`, ...product } : null;
+        return { body: new anylist.protobuf.PBProductLookupResponse({ listItem }).toBuffer() };
+      }
+      return { body: Buffer.alloc(0) };
+    },
+  };
+  await anylist.getLists();
+
+  const client = new AnyListClient({ username: EMAIL, password: 'secret', defaultListName: lists[0].name });
+  client.client = anylist;
+  await client.connect();
+  return { client, requests };
+}
+
+/**
+ * The handler IDs of every operation sent so far, in order.
+ */
+export function sentHandlers(requests) {
+  return requests.flatMap(r => r.operations.map(o => o.metadata.handlerId));
+}
+
+function slug(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+// The fields of a form-data form, as appended
+function formFields(form) {
+  const fields = {};
+  const parts = form._streams || [];
+  parts.forEach((part, index) => {
+    const header = typeof part === 'string' && /name="([^"]+)"/.exec(part);
+    if (header) fields[header[1]] = parts[index + 1];
+  });
+  return fields;
+}
+
+function buildUserData(lists, folders) {
+  return {
+    shoppingListsResponse: {
+      newLists: lists.map(list => ({
+        identifier: list.identifier,
+        name: list.name,
+        items: list.items.map((item, index) => buildItem(list, item, `${list.identifier}-item-${index}`)),
+        creator: list.creator,
+        sharedUsers: list.sharedUsers || [],
+        notificationLocations: (list.notificationLocations || []).map((location, index) => ({ identifier: `${list.identifier}-location-${index}`, ...location })),
+      })),
+      listResponses: lists.map(buildListResponse),
+    },
+    starterListsResponse: {
+      recentItemListsResponse: { listResponses: lists.map(list => starterList(list, 'recents', list.recents || [])) },
+      favoriteItemListsResponse: { listResponses: lists.map(list => starterList(list, 'favorites', list.favorites || [])) },
+    },
+    listSettingsResponse: {
+      settings: lists.filter(l => l.settings).map(list => ({ identifier: `${list.identifier}-settings`, userId: USER_ID, listId: list.identifier, ...list.settings })),
+    },
+    listFoldersResponse: folders ? buildFolders(lists, folders) : null,
+    mealPlanningCalendarResponse: { calendarId: 'calendar' },
+  };
+}
+
+function buildItem(list, { quantity, stores, prices, ...item }, identifier) {
+  const storeId = name => `${list.identifier}-store-${(list.stores || []).indexOf(name)}`;
+  const built = { identifier, listId: list.identifier, ...item };
+  if (quantity) {
+    const [amount, ...unit] = quantity.split(' ');
+    built.quantityPb = { amount, unit: unit.join(' ') || null, rawQuantity: quantity };
+    built.deprecatedQuantity = quantity;
+  }
+  if (stores) built.storeIds = stores.map(storeId);
+  if (prices) built.prices = prices.map(({ store, ...price }) => ({ ...price, storeId: store ? storeId(store) : null }));
+  return built;
+}
+
+function buildListResponse(list) {
+  const listId = list.identifier;
+  const storeId = name => `${listId}-store-${list.stores.indexOf(name)}`;
+  const groupId = `${listId}-categories`;
+  const categories = (list.categories || []).map((category, index) => ({
+    identifier: slug(category.name),
+    categoryGroupId: groupId,
+    listId,
+    sortIndex: index,
+    ...category,
+  }));
+  return {
+    listId,
+    stores: (list.stores || []).map((name, index) => ({ identifier: storeId(name), listId, name, sortIndex: index })),
+    storeFilters: (list.storeFilters || []).map(({ stores = [], ...filter }, index) => ({
+      identifier: `${listId}-filter-${index}`, listId, sortIndex: index, storeIds: stores.map(storeId), ...filter,
+    })),
+    categoryGroupResponses: categories.length > 0 ? [{ categoryGroup: { identifier: groupId, listId, name: 'Categories', categories } }] : [],
+    categorizationRules: (list.rules || []).map(({ category, ...rule }, index) => ({
+      identifier: `${listId}-rule-${index}`,
+      listId,
+      categoryGroupId: groupId,
+      categoryId: categories.find(c => c.name === category).identifier,
+      ...rule,
+    })),
+  };
+}
+
+function starterList(list, kind, items) {
+  const identifier = `${list.identifier}-${kind}`;
+  return {
+    starterList: {
+      identifier,
+      name: list.name,
+      listId: list.identifier,
+      items: items.map((item, index) => buildItem({ ...list, identifier }, item, `${identifier}-${index}`)),
+    },
+  };
+}
+
+// PBListFolderItem.ItemType: 0 for a list, 1 for a folder
+function buildFolders(lists, folders) {
+  const listFolders = [];
+  const add = (folder, identifier) => {
+    listFolders.push({
+      identifier,
+      name: folder.name,
+      items: [
+        ...(folder.lists || []).map(name => ({ identifier: lists.find(l => l.name === name).identifier, itemType: 0 })),
+        ...(folder.folders || []).map(child => ({ identifier: add(child, `folder-${slug(child.name)}`), itemType: 1 })),
+      ],
+    });
+    return identifier;
+  };
+  add({ name: null, folders }, 'root');
+  return { listDataId: 'list-data', rootFolderId: 'root', listFolders };
+}
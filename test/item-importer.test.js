@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseImportText } from '../src/item-importer.js';
+
+describe('Item importer', () => {
+  describe('parseCsv', () => {
+    it('handles quoted fields with commas, quotes and CRLF line endings', () => {
+      assert.deepEqual(parseCsv('a,"b, c","say ""hi"""\r\n1,2,3\r\n'), [['a', 'b, c', 'say "hi"'], ['1', '2', '3']]);
+    });
+  });
+
+  describe('parseImportText', () => {
+    it('reads one item per line, stripping bullets, numbers and checkboxes', () => {
+      assert.deepEqual(parseImportText('- milk\n2. 2 lbs chicken thighs for the curry\n* [x] eggs\n\n'), [
+        { name: 'milk' },
+        { name: '2 lbs chicken thighs for the curry' },
+        { name: 'eggs' },
+      ]);
+    });
+
+    it('splits a single comma-separated line', () => {
+      assert.deepEqual(parseImportText('milk, eggs, 2 lbs chicken'), [{ name: 'milk' }, { name: 'eggs' }, { name: '2 lbs chicken' }]);
+    });
+
+    it('reads CSV columns by header name', () => {
+      assert.deepEqual(parseImportText('Item,Qty,Notes,Category\nMilk,2 gal,"whole, organic",Dairy\nEggs,12,,'), [
+        { name: 'Milk', quantity: '2', unit: 'gal', notes: 'whole, organic', category: 'Dairy' },
+        { name: 'Eggs', quantity: '12' },
+      ]);
+    });
+
+    it('takes categories from Markdown and plain-text headings', () => {
+      assert.deepEqual(parseImportText('# Groceries\n\n## Produce\n\n- [ ] Bananas (6)\n'), [
+        { name: 'Bananas (6)', category: 'Produce', categoryFromHeading: true },
+      ]);
+      assert.deepEqual(parseImportText('Groceries\n=========\n\nDairy:\n  [ ] Milk (1 gal)\n'), [
+        { name: 'Milk (1 gal)', category: 'Dairy', categoryFromHeading: true },
+      ]);
+    });
+
+    it('returns nothing for blank text', () => {
+      assert.deepEqual(parseImportText('  \n '), []);
+    });
+  });
+});
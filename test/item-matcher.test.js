@@ -0,0 +1,144 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { stemWord, levenshtein, similarity, rankMatches, confidentMatch, findDuplicate, clusterSimilar, CONFIDENT_MATCH, CONTAINED_MATCH } from '../src/item-matcher.js';
+
+describe('Item matcher', () => {
+  describe('stemWord', () => {
+    it('gives singular and plural forms the same stem', () => {
+      assert.equal(stemWord('tomatoes'), stemWord('tomato'));
+      assert.equal(stemWord('berries'), stemWord('berry'));
+      assert.equal(stemWord('cookies'), stemWord('cookie'));
+      assert.equal(stemWord('peaches'), stemWord('peach'));
+    });
+
+    it('leaves words that only look plural alone', () => {
+      assert.equal(stemWord('hummus'), 'hummus');
+      assert.equal(stemWord('grass'), 'grass');
+    });
+  });
+
+  describe('levenshtein', () => {
+    it('counts edits', () => {
+      assert.equal(levenshtein('yoghurt', 'yogurt'), 1);
+      assert.equal(levenshtein('kitten', 'sitting'), 3);
+      assert.equal(levenshtein('', 'abc'), 3);
+    });
+  });
+
+  describe('similarity', () => {
+    it('scores plural and case variants as exact', () => {
+      assert.equal(similarity('tomato', 'Tomatoes'), 1);
+    });
+
+    it('scores spelling variants as exact', () => {
+      assert.equal(similarity('yoghurt', 'Yogurt'), 1);
+      assert.equal(similarity('greek yoghurt', 'Greek yogurt'), 1);
+      assert.equal(similarity('bananna', 'Bananas'), 1);
+      assert.equal(similarity('ice cream', 'Icecream'), 1);
+    });
+
+    it('scores a query contained in a longer name below confident', () => {
+      assert.equal(similarity('milk', 'Oat milk'), CONTAINED_MATCH);
+      assert.ok(CONTAINED_MATCH < CONFIDENT_MATCH);
+    });
+
+    it('does not treat a one-letter difference as confident', () => {
+      for (const [query, candidate] of [['custard', 'Mustard'], ['crackers', 'Trackers'], ['greek custard', 'Greek mustard']]) {
+        const score = similarity(query, candidate);
+        assert.ok(score < CONTAINED_MATCH, `${query} / ${candidate}: ${score}`);
+        assert.ok(score >= 0.5, `${query} / ${candidate} should still be offered: ${score}`);
+      }
+    });
+
+    it('does not treat different short words as confident', () => {
+      assert.ok(similarity('beer', 'Beef') < CONFIDENT_MATCH);
+      assert.ok(similarity('milk', 'Silk') < CONFIDENT_MATCH);
+    });
+
+    it('does not treat the start of a longer word as confident', () => {
+      for (const [query, candidate] of [['corn', 'Cornstarch'], ['bread', 'Breadcrumbs'], ['cream', 'Creamer']]) {
+        const score = similarity(query, candidate);
+        assert.ok(score < CONFIDENT_MATCH, `${query} / ${candidate}: ${score}`);
+        assert.ok(score >= 0.5, `${query} / ${candidate} should still be offered: ${score}`);
+      }
+    });
+
+    it('scores unrelated names at zero', () => {
+      assert.equal(similarity('Ghost', 'Bread'), 0);
+    });
+  });
+
+  describe('rankMatches / confidentMatch', () => {
+    it('ranks the best match first and picks it when clearly ahead', () => {
+      const ranked = rankMatches('tomato', ['Tomato paste', 'Tomatoes', 'Bread']);
+      assert.deepEqual(ranked.map(m => m.name), ['Tomatoes', 'Tomato paste']);
+      assert.equal(confidentMatch(ranked), 'Tomatoes');
+    });
+
+    it('declines to pick between equally good matches', () => {
+      const ranked = rankMatches('milk', ['Oat milk', 'Whole milk']);
+      assert.equal(ranked.length, 2);
+      assert.equal(confidentMatch(ranked), null);
+    });
+
+    it('declines to pick a weak match', () => {
+      assert.equal(confidentMatch(rankMatches('beer', ['Beef'])), null);
+    });
+
+    it('declines to pick a typo or a longer name', () => {
+      assert.equal(confidentMatch(rankMatches('custard', ['Mustard'])), null);
+      assert.equal(confidentMatch(rankMatches('crackers', ['Trackers', 'Bread'])), null);
+      assert.equal(confidentMatch(rankMatches('milk', ['Oat milk'])), null);
+    });
+
+    it('declines to pick between two names for the same item', () => {
+      assert.equal(confidentMatch(rankMatches('tomato', ['Tomato', 'Tomatoes'])), null);
+    });
+
+    it('offers a longer word but does not pick it', () => {
+      const ranked = rankMatches('corn', ['Cornstarch', 'Bread']);
+      assert.deepEqual(ranked.map(m => m.name), ['Cornstarch']);
+      assert.equal(confidentMatch(ranked), null);
+    });
+  });
+
+  describe('findDuplicate', () => {
+    it('finds plural and spelling variants', () => {
+      assert.equal(findDuplicate('tomato', ['Bread', 'Tomatoes']), 'Tomatoes');
+      assert.equal(findDuplicate('Bananna', ['Bananas']), 'Bananas');
+    });
+
+    it('does not merge different items that share a word', () => {
+      assert.equal(findDuplicate('Red onions', ['Onions']), null);
+      assert.equal(findDuplicate('Oat milk', ['Milk']), null);
+      assert.equal(findDuplicate('chocolate chunk cookies', ['Chocolate chip cookies']), null);
+    });
+
+    it('does not merge names a letter apart', () => {
+      assert.equal(findDuplicate('Custard', ['Mustard', 'Eggs']), null);
+      assert.equal(findDuplicate('Crackers', ['Trackers']), null);
+      assert.equal(findDuplicate('pears', ['Peas']), null);
+    });
+
+    it('matches multi-word names word for word', () => {
+      assert.equal(findDuplicate('greek yoghurt', ['Greek yogurt']), 'Greek yogurt');
+      assert.equal(findDuplicate('ice cream', ['Icecream']), 'Icecream');
+    });
+  });
+
+  describe('clusterSimilar', () => {
+    it('groups names that look like the same item', () => {
+      assert.deepEqual(clusterSimilar(['Eggs', 'Bread', 'eggs (dozen)', 'Large eggs', 'Beef', 'Beer']), [
+        ['Eggs', 'eggs (dozen)', 'Large eggs'],
+      ]);
+    });
+
+    it('returns nothing when every name is distinct', () => {
+      assert.deepEqual(clusterSimilar(['Milk', 'Bread', 'Apples']), []);
+    });
+
+    it('does not group names a letter apart', () => {
+      assert.deepEqual(clusterSimilar(['Mustard', 'Custard', 'Crackers', 'Trackers']), []);
+    });
+  });
+});
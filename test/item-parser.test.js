@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseItemText } from '../src/item-parser.js';
+
+describe('parseItemText', () => {
+  it('splits quantity, unit, name and a purpose note', () => {
+    assert.deepEqual(parseItemText('2 lbs boneless chicken thighs for the curry'), {
+      name: 'boneless chicken thighs', quantity: '2', unit: 'lb', notes: 'for the curry',
+    });
+  });
+
+  it('returns a plain item name unchanged', () => {
+    assert.deepEqual(parseItemText('Milk'), { name: 'Milk', quantity: null, unit: null, notes: null });
+  });
+
+  it('reads fractions, number words and multipliers', () => {
+    assert.equal(parseItemText('1 1/2 cups of flour').quantity, '1 1/2');
+    assert.equal(parseItemText('½ cup sugar').quantity, '1/2');
+    assert.deepEqual(parseItemText('three bags of lemons'), { name: 'lemons', quantity: '3', unit: 'bag', notes: null });
+    assert.equal(parseItemText('half lb ham').quantity, '1/2');
+    assert.equal(parseItemText('eggs x2').quantity, '2');
+    assert.equal(parseItemText('2x yogurt').name, 'yogurt');
+  });
+
+  it('takes notes from parentheses and separators', () => {
+    assert.equal(parseItemText('bananas (ripe)').notes, 'ripe');
+    assert.equal(parseItemText('basil - for pesto').notes, 'for pesto');
+    assert.equal(parseItemText('Bananas — ripe').notes, 'ripe');
+  });
+
+  it('reads a parenthetical amount as the quantity', () => {
+    assert.deepEqual(parseItemText('Milk (2 gal)'), { name: 'Milk', quantity: '2', unit: 'gal', notes: null });
+    assert.deepEqual(parseItemText('eggs (dozen)'), { name: 'eggs', quantity: null, unit: null, notes: 'dozen' });
+  });
+
+  it('keeps item names that only look like amounts', () => {
+    assert.equal(parseItemText('Half and half').name, 'Half and half');
+    assert.equal(parseItemText('2').name, '2');
+  });
+
+  it('only reads a leading number as the amount when a unit follows', () => {
+    assert.deepEqual(parseItemText('7 Up'), { name: '7 Up', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('3 Musketeers'), { name: '3 Musketeers', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('2 percent milk'), { name: '2 percent milk', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('2 cans chickpeas'), { name: 'chickpeas', quantity: '2', unit: 'can', notes: null });
+  });
+
+  it('only reads a number word as the amount when a unit follows', () => {
+    for (const name of ['Three Musketeers bar', 'Two Buck Chuck', 'Nine Lives cat food', 'Four Roses bourbon', 'One Degree bread', 'three lemons']) {
+      assert.deepEqual(parseItemText(name), { name, quantity: null, unit: null, notes: null });
+    }
+  });
+
+  it('drops a leading article without reading it as an amount', () => {
+    assert.deepEqual(parseItemText('an onion'), { name: 'onion', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('a lb of ham'), { name: 'ham', quantity: '1', unit: 'lb', notes: null });
+  });
+
+  it('keeps a package size in the name', () => {
+    assert.deepEqual(parseItemText('12 oz can tomato paste'), { name: '12 oz can tomato paste', quantity: null, unit: null, notes: null });
+  });
+
+  it('does not split names on a comma or a plain "for"', () => {
+    assert.deepEqual(parseItemText('Salt, pepper'), { name: 'Salt, pepper', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('chicken, boneless'), { name: 'chicken, boneless', quantity: null, unit: null, notes: null });
+    assert.deepEqual(parseItemText('Food for thought'), { name: 'Food for thought', quantity: null, unit: null, notes: null });
+    assert.equal(parseItemText('paper towels for the kitchen').notes, 'for the kitchen');
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildQuantity, parseQuantity, formatQuantity, amountToNumber, normalizeUnit, combineQuantities } from '../src/item-quantity.js';
+
+describe('Item quantity helpers', () => {
+  describe('parseQuantity', () => {
+    it('splits amount and unit', () => {
+      assert.deepEqual(parseQuantity('2 lb'), { amount: '2', unit: 'lb', rawQuantity: '2 lb' });
+    });
+
+    it('canonicalizes unit aliases', () => {
+      assert.deepEqual(parseQuantity('3 cans'), { amount: '3', unit: 'can', rawQuantity: '3 can' });
+      assert.equal(parseQuantity('1.5 Pounds').unit, 'lb');
+    });
+
+    it('handles fractions and bare amounts', () => {
+      assert.equal(parseQuantity('1/2 cup').amount, '1/2');
+      assert.deepEqual(parseQuantity('4'), { amount: '4', unit: null, rawQuantity: '4' });
+    });
+
+    it('keeps text without an amount as rawQuantity', () => {
+      assert.deepEqual(parseQuantity('a few'), { amount: null, unit: null, rawQuantity: 'a few' });
+    });
+
+    it('returns null for empty input', () => {
+      assert.equal(parseQuantity(''), null);
+      assert.equal(parseQuantity(null), null);
+    });
+  });
+
+  describe('buildQuantity', () => {
+    it('builds rawQuantity from a numeric amount', () => {
+      assert.deepEqual(buildQuantity(2, 'ounces'), { amount: '2', unit: 'oz', rawQuantity: '2 oz' });
+      assert.deepEqual(buildQuantity(3), { amount: '3', unit: null, rawQuantity: '3' });
+    });
+  });
+
+  describe('amountToNumber', () => {
+    it('converts decimals, fractions and mixed numbers', () => {
+      assert.equal(amountToNumber('2'), 2);
+      assert.equal(amountToNumber('0.25'), 0.25);
+      assert.equal(amountToNumber('1/2'), 0.5);
+      assert.equal(amountToNumber('1 1/2'), 1.5);
+      assert.equal(amountToNumber('lots'), null);
+    });
+  });
+
+  describe('formatQuantity / normalizeUnit', () => {
+    it('formats amount and unit', () => {
+      assert.equal(formatQuantity({ amount: '2', unit: 'lb' }), '2 lb');
+      assert.equal(formatQuantity({ amount: null, rawQuantity: 'a few' }), 'a few');
+      assert.equal(formatQuantity(null), '');
+    });
+
+    it('passes through unknown units lowercased', () => {
+      assert.equal(normalizeUnit('Sachets'), 'sachets');
+      assert.equal(normalizeUnit(''), null);
+    });
+  });
+
+  describe('combineQuantities', () => {
+    it('adds up amounts in the same unit', () => {
+      assert.deepEqual(combineQuantities([buildQuantity('2', 'lb'), buildQuantity('1/2', 'lb'), null]), buildQuantity('2.5', 'lb'));
+    });
+
+    it('keeps different units side by side', () => {
+      assert.deepEqual(combineQuantities([buildQuantity('2', 'lb'), buildQuantity('1', 'bag')]), {
+        amount: null, unit: null, rawQuantity: '2 lb + 1 bag',
+      });
+    });
+
+    it('returns null when no item has a quantity', () => {
+      assert.equal(combineQuantities([null, null]), null);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderList } from '../src/list-exporter.js';
+
+const ITEMS = [
+  { name: 'Milk', quantity: 1, unit: 'gal', checked: false, categoryName: 'Dairy' },
+  { name: 'Bananas', quantity: 6, unit: null, checked: true, categoryName: 'Produce', note: 'ripe, please' },
+  { name: 'Eggs', quantity: 1, unit: null, checked: false, categoryName: 'Dairy' },
+];
+const ORDER = ['Produce', 'Dairy'];
+
+describe('renderList', () => {
+  it('renders Markdown checklists under category headings in list order', () => {
+    const { content, filename, mimeType } = renderList('Groceries', ITEMS, 'markdown', { categoryOrder: ORDER });
+    assert.equal(content, [
+      '# Groceries',
+      '',
+      '## Produce',
+      '',
+      '- [x] Bananas (6) — ripe, please',
+      '',
+      '## Dairy',
+      '',
+      '- [ ] Milk (1 gal)',
+      '- [ ] Eggs',
+      '',
+    ].join('\n'));
+    assert.equal(filename, 'groceries.md');
+    assert.ok(mimeType.startsWith('text/markdown'));
+  });
+
+  it('renders plain text', () => {
+    const { content } = renderList('Groceries', ITEMS, 'text', { categoryOrder: ORDER });
+    assert.ok(content.startsWith('Groceries\n=========\n\nProduce:\n  [x] Bananas (6) - ripe, please\n'));
+  });
+
+  it('renders CSV with quoted fields', () => {
+    const { content, filename } = renderList('Party 10/31', ITEMS, 'csv', { categoryOrder: ORDER });
+    const rows = content.trimEnd().split('\r\n');
+    assert.equal(rows[0], 'name,quantity,unit,category,notes,checked');
+    assert.equal(rows[1], 'Bananas,6,,Produce,"ripe, please",yes');
+    assert.equal(rows[2], 'Milk,1,gal,Dairy,,no');
+    assert.equal(filename, 'party-10-31.csv');
+  });
+
+  it('renders JSON', () => {
+    const data = JSON.parse(renderList('Groceries', ITEMS, 'json').content);
+    assert.equal(data.list, 'Groceries');
+    assert.deepEqual(data.items[0], { name: 'Milk', quantity: 1, unit: 'gal', category: 'Dairy', notes: null, checked: false });
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => renderList('Groceries', ITEMS, 'pdf'), /Unknown export format "pdf"/);
+  });
+});
@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFileStore } from '../src/local-store.js';
+
+describe('createFileStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+    filePath = path.join(dir, 'nested', 'data.json');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps list-wide and per-store category orders apart', () => {
+    const store = createFileStore(filePath);
+    assert.equal(store.getCategoryOrder('list-1'), null);
+    store.setCategoryOrder('list-1', null, ['Produce', 'Dairy']);
+    store.setCategoryOrder('list-1', 'store-1', ['Dairy', 'Produce']);
+    assert.deepEqual(store.getCategoryOrder('list-1'), ['Produce', 'Dairy']);
+    assert.deepEqual(store.getCategoryOrder('list-1', 'store-1'), ['Dairy', 'Produce']);
+  });
+
+  it('persists to the file, creating its directory', () => {
+    createFileStore(filePath).setCategoryOrder('list-1', null, ['Bakery']);
+    assert.ok(existsSync(filePath));
+    assert.deepEqual(createFileStore(filePath).getCategoryOrder('list-1'), ['Bakery']);
+  });
+
+  it('deletes saved orders', () => {
+    const store = createFileStore(filePath);
+    store.setCategoryOrder('list-1', null, ['Bakery']);
+    assert.equal(store.deleteCategoryOrder('list-1'), true);
+    assert.equal(store.deleteCategoryOrder('list-1'), false);
+    assert.equal(createFileStore(filePath).getCategoryOrder('list-1'), null);
+  });
+
+  it('remembers barcode products', () => {
+    const store = createFileStore(filePath);
+    assert.equal(store.getBarcodeProduct('036000291452'), null);
+    store.setBarcodeProduct('036000291452', { name: 'Oat Milk', category: 'dairy' });
+    assert.deepEqual(createFileStore(filePath).getBarcodeProduct('036000291452'), { name: 'Oat Milk', category: 'dairy' });
+  });
+
+  it('logs purchases per list', () => {
+    const store = createFileStore(filePath);
+    store.recordPurchases('list-1', ['Milk', 'Eggs'], new Date('2026-01-01T00:00:00Z'));
+    store.recordPurchases('list-2', ['Coffee'], new Date('2026-01-02T00:00:00Z'));
+    assert.deepEqual(createFileStore(filePath).getPurchases('list-1'), [
+      { name: 'Milk', purchasedAt: '2026-01-01T00:00:00.000Z' },
+      { name: 'Eggs', purchasedAt: '2026-01-01T00:00:00.000Z' },
+    ]);
+    assert.deepEqual(store.getPurchases('list-3'), []);
+  });
+});
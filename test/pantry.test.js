@@ -0,0 +1,110 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { addToPantry, consumeFromPantry, expiringSoon, findOnHand, formatPantryQuantity, localDate } from '../src/pantry.js';
+
+// The pantry methods of the local store, kept in memory
+function memoryStore() {
+  const items = new Map();
+  return {
+    getPantryItems: () => [...items.values()],
+    setPantryItem: item => items.set(item.name.toLowerCase(), item),
+    deletePantryItem: name => items.delete(name.toLowerCase()),
+  };
+}
+
+describe('pantry', () => {
+  let store;
+
+  beforeEach(() => {
+    store = memoryStore();
+  });
+
+  describe('addToPantry', () => {
+    it('adds a new item with a normalized unit', () => {
+      const { item, status } = addToPantry(store, { name: 'Chickpeas', quantity: 2, unit: 'cans', expiresOn: '2027-01-31' });
+      assert.equal(status, 'added');
+      assert.deepEqual({ ...item, addedAt: undefined }, { name: 'Chickpeas', quantity: 2, unit: 'can', expiresOn: '2027-01-31', addedAt: undefined });
+    });
+
+    it('tops up an item in the same unit and keeps the sooner expiry', () => {
+      addToPantry(store, { name: 'Tomatoes', quantity: 2, unit: 'can', expiresOn: '2027-06-01' });
+      const { item, status } = addToPantry(store, { name: 'tomato', quantity: 1, unit: 'cans', expiresOn: '2027-01-01' });
+      assert.equal(status, 'updated');
+      assert.equal(item.name, 'Tomatoes');
+      assert.equal(item.quantity, 3);
+      assert.equal(item.expiresOn, '2027-01-01');
+      assert.equal(store.getPantryItems().length, 1);
+    });
+
+    it('starts tracking an amount for an item that had none', () => {
+      addToPantry(store, { name: 'Rice' });
+      assert.equal(addToPantry(store, { name: 'Rice', quantity: 2, unit: 'lb' }).item.quantity, 2);
+    });
+
+    it('rejects a different unit', () => {
+      addToPantry(store, { name: 'Flour', quantity: 2, unit: 'lb' });
+      assert.throws(() => addToPantry(store, { name: 'Flour', quantity: 1, unit: 'bag' }), /has 2 lb of "Flour"; add it in lb/);
+    });
+
+    it('rejects a malformed expiry date', () => {
+      assert.throws(() => addToPantry(store, { name: 'Milk', expiresOn: '31/01/2027' }), /should look like/);
+    });
+  });
+
+  describe('consumeFromPantry', () => {
+    it('subtracts an amount', () => {
+      addToPantry(store, { name: 'Eggs', quantity: 12 });
+      const { remaining } = consumeFromPantry(store, 'eggs', { quantity: 4 });
+      assert.equal(remaining.quantity, 8);
+      assert.equal(findOnHand(store, 'Eggs').quantity, 8);
+    });
+
+    it('removes an item that runs out or is used up', () => {
+      addToPantry(store, { name: 'Eggs', quantity: 2 });
+      addToPantry(store, { name: 'Basil' });
+      assert.equal(consumeFromPantry(store, 'Eggs', { quantity: 3 }).remaining, null);
+      assert.equal(consumeFromPantry(store, 'Basil').remaining, null);
+      assert.deepEqual(store.getPantryItems(), []);
+    });
+
+    it('rejects an amount for an untracked item or in another unit', () => {
+      addToPantry(store, { name: 'Basil' });
+      addToPantry(store, { name: 'Milk', quantity: 1, unit: 'gal' });
+      assert.throws(() => consumeFromPantry(store, 'Basil', { quantity: 1 }), /doesn't track how much/);
+      assert.throws(() => consumeFromPantry(store, 'Milk', { quantity: 1, unit: 'cup' }), /use it in gal/);
+    });
+
+    it('names what is in the pantry when the item is missing', () => {
+      addToPantry(store, { name: 'Milk' });
+      assert.throws(() => consumeFromPantry(store, 'Butter'), /"Butter" is not in the pantry. Pantry items: Milk/);
+    });
+  });
+
+  describe('findOnHand', () => {
+    it('matches plurals but not different items', () => {
+      addToPantry(store, { name: 'Onions', quantity: 3 });
+      assert.equal(findOnHand(store, 'onion').name, 'Onions');
+      assert.equal(findOnHand(store, 'Red onions'), null);
+    });
+  });
+
+  describe('expiringSoon', () => {
+    it('lists items expiring within the window, expired first', () => {
+      const today = new Date(2027, 0, 10);
+      const items = [
+        { name: 'Milk', quantity: 1, unit: 'gal', expiresOn: '2027-01-12' },
+        { name: 'Yogurt', quantity: null, unit: null, expiresOn: '2027-01-08' },
+        { name: 'Cheese', quantity: null, unit: null, expiresOn: '2027-02-01' },
+        { name: 'Rice', quantity: null, unit: null, expiresOn: null },
+      ];
+      const soon = expiringSoon(items, { days: 7, today });
+      assert.deepEqual(soon.map(i => [i.name, i.daysLeft]), [['Yogurt', -2], ['Milk', 2]]);
+    });
+  });
+
+  it('formats quantities and local dates', () => {
+    assert.equal(formatPantryQuantity({ quantity: 2, unit: 'lb' }), '2 lb');
+    assert.equal(formatPantryQuantity({ quantity: null, unit: null }), '');
+    assert.equal(localDate(new Date(2027, 0, 5)), '2027-01-05');
+  });
+});
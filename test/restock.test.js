@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { suggestRestock } from '../src/restock.js';
+
+const now = new Date('2026-03-31T12:00:00Z');
+const daysAgo = days => new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('suggestRestock', () => {
+  it('suggests items whose usual interval has passed, most overdue first', () => {
+    const purchases = [
+      { name: 'Milk', purchasedAt: daysAgo(22) },
+      { name: 'Milk', purchasedAt: daysAgo(15) },
+      { name: 'Milk', purchasedAt: daysAgo(8) },
+      { name: 'Coffee', purchasedAt: daysAgo(40) },
+      { name: 'Coffee', purchasedAt: daysAgo(12) },
+    ];
+    const suggestions = suggestRestock(purchases, { now });
+    assert.deepEqual(suggestions.map(s => s.name), ['Milk']);
+    assert.deepEqual(suggestions[0], { name: 'Milk', purchaseCount: 3, intervalDays: 7, daysSinceLast: 8, dueInDays: -1 });
+  });
+
+  it('includes items nearly due', () => {
+    const purchases = [
+      { name: 'Eggs', purchasedAt: daysAgo(19) },
+      { name: 'Eggs', purchasedAt: daysAgo(9) },
+    ];
+    assert.equal(suggestRestock(purchases, { now })[0].dueInDays, 1);
+  });
+
+  it('needs at least two separate trips', () => {
+    const purchases = [
+      { name: 'Flour', purchasedAt: daysAgo(30) },
+      { name: 'flour', purchasedAt: daysAgo(29.9) },
+    ];
+    assert.deepEqual(suggestRestock(purchases, { now }), []);
+  });
+
+  it('groups names case-insensitively and leaves out excluded items', () => {
+    const purchases = [
+      { name: 'bananas', purchasedAt: daysAgo(14) },
+      { name: 'Bananas', purchasedAt: daysAgo(7) },
+      { name: 'Bread', purchasedAt: daysAgo(14) },
+      { name: 'Bread', purchasedAt: daysAgo(7) },
+    ];
+    const suggestions = suggestRestock(purchases, { now, exclude: ['BREAD'] });
+    assert.deepEqual(suggestions.map(s => s.name), ['Bananas']);
+  });
+
+  it('uses the median interval so one long gap does not skew it', () => {
+    const purchases = [0, 60, 67, 74, 81].map(day => ({ name: 'Yogurt', purchasedAt: daysAgo(88 - day) }));
+    assert.equal(suggestRestock(purchases, { now })[0].intervalDays, 7);
+  });
+});
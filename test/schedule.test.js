@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRule, nextRunAt, describeRule } from '../src/schedule.js';
+
+// Local times, so the tests don't depend on the machine's time zone. 2026-10-19 is a Monday.
+const at = (day, hour = 0, month = 9) => new Date(2026, month, day, hour);
+const rule = fields => ({ everyDays: null, weekday: null, dayOfMonth: null, hour: 8, ...fields });
+
+describe('validateRule', () => {
+  it('accepts a rule that repeats one way', () => {
+    assert.doesNotThrow(() => validateRule({ everyDays: 3 }));
+    assert.doesNotThrow(() => validateRule({ weekday: 1, hour: 0 }));
+    assert.doesNotThrow(() => validateRule({ dayOfMonth: 28, hour: 23 }));
+  });
+
+  it('requires exactly one way of repeating', () => {
+    assert.throws(() => validateRule({}), /exactly one/);
+    assert.throws(() => validateRule({ everyDays: 7, weekday: 1 }), /exactly one/);
+  });
+
+  it('rejects out-of-range values', () => {
+    assert.throws(() => validateRule({ everyDays: 0 }), /every_days/);
+    assert.throws(() => validateRule({ dayOfMonth: 31 }), /day_of_month/);
+    assert.throws(() => validateRule({ weekday: 7 }), /weekday/);
+    assert.throws(() => validateRule({ everyDays: 1, hour: 24 }), /hour/);
+  });
+});
+
+describe('nextRunAt', () => {
+  it('runs an interval rule today when its hour is still ahead, else tomorrow', () => {
+    assert.deepEqual(nextRunAt(rule({ everyDays: 7 }), at(19, 6)), at(19, 8));
+    assert.deepEqual(nextRunAt(rule({ everyDays: 7 }), at(19, 9)), at(20, 8));
+  });
+
+  it('counts an interval rule from its previous run', () => {
+    assert.deepEqual(nextRunAt(rule({ everyDays: 3 }), at(19, 8), at(19, 8)), at(22, 8));
+  });
+
+  it('skips interval runs missed while the server was down', () => {
+    // Due on the 1st, every 7 days; the server comes back on the 19th
+    assert.deepEqual(nextRunAt(rule({ everyDays: 7 }), at(19, 10), at(1, 8)), at(22, 8));
+  });
+
+  it('runs a weekday rule on the next such day', () => {
+    assert.deepEqual(nextRunAt(rule({ weekday: 1 }), at(19, 6)), at(19, 8));
+    assert.deepEqual(nextRunAt(rule({ weekday: 1 }), at(19, 8)), at(26, 8));
+    assert.deepEqual(nextRunAt(rule({ weekday: 5 }), at(19, 9)), at(23, 8));
+  });
+
+  it('runs a monthly rule on the next such date', () => {
+    assert.deepEqual(nextRunAt(rule({ dayOfMonth: 1 }), at(19, 9)), at(1, 8, 10));
+    assert.deepEqual(nextRunAt(rule({ dayOfMonth: 20, hour: 18 }), at(19, 9)), at(20, 18));
+  });
+});
+
+describe('describeRule', () => {
+  it('describes each kind of rule', () => {
+    assert.equal(describeRule(rule({ everyDays: 1 })), 'every day at 08:00');
+    assert.equal(describeRule(rule({ everyDays: 14, hour: 18 })), 'every 14 days at 18:00');
+    assert.equal(describeRule(rule({ weekday: 1 })), 'every Monday at 08:00');
+    assert.equal(describeRule(rule({ dayOfMonth: 1 })), 'monthly on the 1st at 08:00');
+    assert.equal(describeRule(rule({ dayOfMonth: 12 })), 'monthly on the 12th at 08:00');
+    assert.equal(describeRule(rule({ dayOfMonth: 22 })), 'monthly on the 22nd at 08:00');
+  });
+});
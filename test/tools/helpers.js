@@ -2,48 +2,44 @@
  * Shared test infrastructure for tool-level tests.
  *
  * createMockServer() — returns a minimal MCP server stub that captures
- *   registerTool() calls, plus the resulting handlers map.
+ *   registerTool() calls, plus the resulting handlers map and any elicitation
+ *   requests made.
  *
- * MockAnyListClient — in-memory client that owns its own state arrays.
- *   Call client.reset() (or create a fresh instance) in beforeEach.
+ * MockAnyListClient — in-memory stand-in for the recipe, meal plan and collection
+ *   calls, which own their own state arrays. Call client.reset() (or create a fresh
+ *   instance) in beforeEach. The shopping tool tests use the real client instead
+ *   (see ../fake-anylist.js).
  */
 
-export function createMockServer() {
+export function createMockServer({ elicitResponse = null } = {}) {
   const handlers = {};
+  const elicitations = [];
   const server = {
     registerTool: (name, _schema, handler) => { handlers[name] = handler; },
     // elicitation.js calls server.server.getClientCapabilities() to detect support.
     // Returning null means elicitation is disabled; missing-param paths throw instead.
-    server: { getClientCapabilities: () => null },
+    // Pass elicitResponse (e.g. { action: 'accept', content: { confirm: true } }) to enable it.
+    server: {
+      getClientCapabilities: () => (elicitResponse ? { elicitation: {} } : null),
+      elicitInput: async (request) => {
+        elicitations.push(request);
+        return typeof elicitResponse === 'function' ? elicitResponse(request) : elicitResponse;
+      },
+    },
   };
-  return { server, handlers };
+  return { server, handlers, elicitations };
 }
 
 export class MockAnyListClient {
   constructor() {
-    this.client = null;
-    this.targetList = null;
-    this._connected = false;
+    this.reset();
     this.defaultListName = null;
-    this._items = [];
-    this._lists = [];
-    this._favorites = [];
-    this._recents = [];
-    this._recipes = [];
-    this._events = [];
-    this._labels = [];
-    this._collections = [];
-    this._pendingImport = null;
   }
 
   reset() {
     this.client = null;
     this.targetList = null;
     this._connected = false;
-    this._items = [];
-    this._lists = [];
-    this._favorites = [];
-    this._recents = [];
     this._recipes = [];
     this._events = [];
     this._labels = [];
@@ -52,52 +48,13 @@ export class MockAnyListClient {
   }
 
   async connect(listName = null) {
-    const name = listName || process.env.ANYLIST_LIST_NAME || 'Groceries';
     this._connected = true;
-    const items = this._items;
-    this.targetList = {
-      name,
-      identifier: 'list-123',
-      items,
-      getItemByName: (n) => items.find(i => i.name.toLowerCase() === n.toLowerCase()) || null,
-    };
+    const name = listName || process.env.ANYLIST_LIST_NAME || 'Groceries';
+    this.targetList = { name, identifier: 'list-123', items: [] };
     this.client = {};
     return true;
   }
 
-  getLists() { return this._lists; }
-
-  async addItem(name, qty, notes, category) {
-    this._items.push({ name, quantity: qty, notes, category });
-  }
-
-  async removeItem(name) {
-    const idx = this._items.findIndex(i => i.name === name);
-    if (idx === -1) throw new Error(`Item "${name}" not found in list, so can't check it`);
-    this._items[idx].checked = true;
-  }
-
-  async deleteItem(name) {
-    const idx = this._items.findIndex(i => i.name === name);
-    if (idx === -1) throw new Error(`Item "${name}" not found in list, so can't delete it`);
-    this._items.splice(idx, 1);
-  }
-
-  async getItems(includeChecked = false, includeNotes = false) {
-    let items = [...this._items];
-    if (!includeChecked) items = items.filter(i => !i.checked);
-    return items.map(i => ({
-      name: i.name,
-      quantity: i.quantity || 1,
-      checked: i.checked || false,
-      category: i.category || 'other',
-      ...(includeNotes && i.notes ? { note: i.notes } : {}),
-    }));
-  }
-
-  async getFavoriteItems() { return this._favorites; }
-  async getRecentItems() { return this._recents; }
-
   async getRecipes(search = null) {
     let r = [...this._recipes];
     if (search) r = r.filter(x => x.name.toLowerCase().includes(search.toLowerCase()));
@@ -0,0 +1,107 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
+import { register } from '../../src/tools/pantry.js';
+import { createFileStore } from '../../src/local-store.js';
+import { localDate } from '../../src/pantry.js';
+import { createMockServer } from './helpers.js';
+
+describe('pantry tool', () => {
+  let dir;
+  let store;
+  let handlers;
+
+  beforeEach(() => {
+    dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+    store = createFileStore(path.join(dir, 'data.json'));
+    const { server, handlers: h } = createMockServer();
+    register(server, () => store);
+    handlers = h;
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('add', () => {
+    it('adds an item with an amount and expiry date', async () => {
+      const result = await handlers.pantry({ action: 'add', name: 'Milk', quantity: 1, unit: 'gallon', expires_on: '2027-01-31' });
+      assert.ok(result.content[0].text.includes('Added "Milk" in the pantry — now 1 gal — expires 2027-01-31'));
+    });
+
+    it('reads the amount from free-form text', async () => {
+      await handlers.pantry({ action: 'add', name: '2 cans chickpeas' });
+      assert.deepEqual(store.getPantryItems().map(i => [i.name, i.quantity, i.unit]), [['chickpeas', 2, 'can']]);
+    });
+
+    it('tops up an item already in the pantry', async () => {
+      await handlers.pantry({ action: 'add', name: 'Eggs', quantity: 6 });
+      const result = await handlers.pantry({ action: 'add', name: 'eggs', quantity: 12 });
+      assert.ok(result.content[0].text.includes('Topped up "Eggs" in the pantry — now 18'));
+    });
+
+    it('requires a name without elicitation', async () => {
+      const result = await handlers.pantry({ action: 'add' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('name'));
+    });
+  });
+
+  describe('consume', () => {
+    it('uses some of an item', async () => {
+      await handlers.pantry({ action: 'add', name: 'Rice', quantity: 5, unit: 'lb' });
+      const result = await handlers.pantry({ action: 'consume', name: 'rice', quantity: 2, unit: 'lb' });
+      assert.ok(result.content[0].text.includes('Used 2 lb of "Rice" — 3 lb left'));
+    });
+
+    it('uses an item up', async () => {
+      await handlers.pantry({ action: 'add', name: 'Basil' });
+      const result = await handlers.pantry({ action: 'consume', name: 'Basil' });
+      assert.ok(result.content[0].text.includes('Used up "Basil"'));
+      assert.deepEqual(store.getPantryItems(), []);
+    });
+
+    it('returns error for an item not in the pantry', async () => {
+      const result = await handlers.pantry({ action: 'consume', name: 'Butter' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('"Butter" is not in the pantry'));
+    });
+  });
+
+  describe('list / expiring', () => {
+    it('lists the pantry', async () => {
+      await handlers.pantry({ action: 'add', name: 'Rice', quantity: 5, unit: 'lb' });
+      await handlers.pantry({ action: 'add', name: 'Basil' });
+      const text = (await handlers.pantry({ action: 'list' })).content[0].text;
+      assert.ok(text.includes('Pantry (2 items):\n- Basil\n- Rice (5 lb)'));
+    });
+
+    it('reports an empty pantry', async () => {
+      const result = await handlers.pantry({ action: 'list' });
+      assert.ok(result.content[0].text.includes('The pantry is empty.'));
+    });
+
+    it('shows items expiring soon', async () => {
+      const inDays = days => localDate(new Date(Date.now() + days * 24 * 60 * 60 * 1000));
+      await handlers.pantry({ action: 'add', name: 'Milk', expires_on: inDays(2) });
+      await handlers.pantry({ action: 'add', name: 'Cheese', expires_on: inDays(30) });
+      const text = (await handlers.pantry({ action: 'expiring' })).content[0].text;
+      assert.ok(text.includes('- Milk — expires in 2 days'));
+      assert.ok(!text.includes('Cheese'));
+      const later = (await handlers.pantry({ action: 'expiring', days: 60 })).content[0].text;
+      assert.ok(later.includes('Cheese'));
+    });
+  });
+
+  describe('on_hand', () => {
+    it('checks which ingredients are stocked', async () => {
+      await handlers.pantry({ action: 'add', name: 'Onions', quantity: 3 });
+      const text = (await handlers.pantry({ action: 'on_hand', names: ['onion', 'Garlic'] })).content[0].text;
+      assert.ok(text.includes('1 of 2 on hand'));
+      assert.ok(text.includes('- ✓ onion: on hand as "Onions" (3)'));
+      assert.ok(text.includes('- ✗ Garlic: not in the pantry'));
+    });
+  });
+});
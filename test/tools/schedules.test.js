@@ -0,0 +1,159 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from '../../src/tools/schedules.js';
+import { createMockServer, MockAnyListClient } from './helpers.js';
+
+// The schedule methods of the HTTP server's user store, in memory
+function createScheduleStore() {
+  const schedules = [];
+  let nextId = 1;
+  return {
+    schedules,
+    createSchedule: ({ nextRunAt, ...fields }) => {
+      const schedule = { id: nextId++, paused: false, nextRunAt: nextRunAt.toISOString(), lastRunAt: null, lastError: null, ...fields };
+      schedules.push(schedule);
+      return { ...schedule };
+    },
+    getSchedules: () => schedules.map(s => ({ ...s })),
+    setSchedulePaused: (id, paused, nextRunAt = null) => {
+      const schedule = schedules.find(s => s.id === id);
+      schedule.paused = paused;
+      if (nextRunAt) schedule.nextRunAt = nextRunAt.toISOString();
+      return true;
+    },
+    deleteSchedule: (id) => {
+      const index = schedules.findIndex(s => s.id === id);
+      if (index === -1) return false;
+      schedules.splice(index, 1);
+      return true;
+    },
+  };
+}
+
+describe('schedules tool', () => {
+  let client;
+  let store;
+  let handlers;
+
+  function setup(options = {}) {
+    const { server, handlers: h, elicitations } = createMockServer(options);
+    register(server, async () => client, () => store);
+    handlers = h;
+    return elicitations;
+  }
+
+  beforeEach(() => {
+    client = new MockAnyListClient();
+    store = createScheduleStore();
+    setup();
+  });
+
+  describe('create', () => {
+    it('creates a weekly schedule on the given list', async () => {
+      const result = await handlers.schedules({ action: 'create', item: 'Milk', list_name: 'Costco', weekday: 'monday' });
+      assert.ok(result.content[0].text.includes('Created schedule #1: add "Milk" to list "Costco" every Monday at 08:00'));
+      const [schedule] = store.schedules;
+      assert.deepEqual([schedule.weekday, schedule.everyDays, schedule.dayOfMonth, schedule.hour], [1, null, null, 8]);
+      const next = new Date(schedule.nextRunAt);
+      assert.equal(next.getDay(), 1);
+      assert.ok(next > new Date());
+    });
+
+    it('creates a monthly schedule at the given hour on the default list', async () => {
+      await handlers.schedules({ action: 'create', item: 'Trash bags', day_of_month: 1, hour: 18 });
+      const [schedule] = store.schedules;
+      assert.equal(schedule.listName, 'Groceries');
+      assert.equal(new Date(schedule.nextRunAt).getDate(), 1);
+      assert.equal(new Date(schedule.nextRunAt).getHours(), 18);
+    });
+
+    it('requires exactly one way of repeating', async () => {
+      const result = await handlers.schedules({ action: 'create', item: 'Milk', every_days: 7, weekday: 'monday' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('exactly one of'));
+      assert.equal(store.schedules.length, 0);
+    });
+
+    it('requires an item without elicitation', async () => {
+      const result = await handlers.schedules({ action: 'create', every_days: 3 });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('item'));
+    });
+  });
+
+  describe('list', () => {
+    it('says when there are no schedules', async () => {
+      const result = await handlers.schedules({ action: 'list' });
+      assert.equal(result.content[0].text, 'No schedules yet.');
+    });
+
+    it('lists schedules with their status and last failure', async () => {
+      await handlers.schedules({ action: 'create', item: 'Milk', weekday: 'monday' });
+      await handlers.schedules({ action: 'create', item: 'Trash bags', every_days: 30 });
+      store.setSchedulePaused(2, true);
+      store.schedules[0].lastError = 'List "Groceries" not found';
+      const text = (await handlers.schedules({ action: 'list' })).content[0].text;
+      assert.ok(text.startsWith('Schedules (2):'));
+      assert.match(text, /#1 "Milk" → Groceries, every Monday at 08:00 \(next \d{4}-\d{2}-\d{2} 08:00\)/);
+      assert.ok(text.includes('Last run failed: List "Groceries" not found'));
+      assert.ok(text.includes('#2 "Trash bags" → Groceries, every 30 days at 08:00 (paused)'));
+    });
+  });
+
+  describe('pause and resume', () => {
+    beforeEach(async () => {
+      await handlers.schedules({ action: 'create', item: 'Milk', every_days: 7 });
+    });
+
+    it('pauses a schedule by item name', async () => {
+      const result = await handlers.schedules({ action: 'pause', item: 'milk' });
+      assert.ok(result.content[0].text.includes('Paused schedule #1'));
+      assert.equal(store.schedules[0].paused, true);
+    });
+
+    it('resumes from the next due time, skipping missed runs', async () => {
+      store.setSchedulePaused(1, true, new Date('2020-01-01T08:00:00'));
+      const result = await handlers.schedules({ action: 'resume', id: 1 });
+      assert.ok(result.content[0].text.includes('Resumed schedule #1'));
+      assert.equal(store.schedules[0].paused, false);
+      assert.ok(new Date(store.schedules[0].nextRunAt) > new Date());
+    });
+
+    it('reports a schedule that is already in that state', async () => {
+      const result = await handlers.schedules({ action: 'resume', id: 1 });
+      assert.ok(result.content[0].text.includes("isn't paused"));
+    });
+
+    it('asks for an id when several schedules add the item', async () => {
+      await handlers.schedules({ action: 'create', item: 'Milk', list_name: 'Costco', weekday: 'friday' });
+      const result = await handlers.schedules({ action: 'pause', item: 'Milk' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Several schedules add "Milk" (#1, #2)'));
+    });
+
+    it('rejects an unknown id', async () => {
+      const result = await handlers.schedules({ action: 'pause', id: 9 });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Schedule #9 not found'));
+    });
+  });
+
+  describe('delete', () => {
+    it('deletes a schedule after confirmation', async () => {
+      const elicitations = setup({ elicitResponse: { action: 'accept', content: { confirm: true } } });
+      await handlers.schedules({ action: 'create', item: 'Milk', weekday: 'monday' });
+      const result = await handlers.schedules({ action: 'delete', id: 1 });
+      assert.ok(elicitations[0].message.includes('Delete schedule #1, which adds "Milk" to "Groceries" every Monday'));
+      assert.ok(result.content[0].text.includes('Deleted schedule #1 ("Milk")'));
+      assert.equal(store.schedules.length, 0);
+    });
+
+    it('keeps the schedule when cancelled', async () => {
+      setup({ elicitResponse: { action: 'accept', content: { confirm: false } } });
+      await handlers.schedules({ action: 'create', item: 'Milk', weekday: 'monday' });
+      const result = await handlers.schedules({ action: 'delete', item: 'Milk' });
+      assert.ok(result.content[0].text.includes('Cancelled'));
+      assert.equal(store.schedules.length, 1);
+    });
+  });
+});
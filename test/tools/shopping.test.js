@@ -1,14 +1,37 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import os from 'os';
+import path from 'path';
 import { register } from '../../src/tools/shopping.js';
-import { MockAnyListClient, createMockServer } from './helpers.js';
+import { createFileStore } from '../../src/local-store.js';
+import { createTestClient, sentHandlers, USER_ID } from '../fake-anylist.js';
+import { createMockServer } from './helpers.js';
 
+// The tool runs on the real AnyListClient, logged in to an in-memory AnyList account
+// (see ../fake-anylist.js) that each test sets up with given()
 describe('shopping tool', () => {
   let client;
+  let requests;
   let handlers;
 
-  beforeEach(() => {
-    client = new MockAnyListClient();
+  // Log in to a fresh account; the registered tool uses the new client from its next call on
+  async function given(account, options) {
+    ({ client, requests } = await createTestClient(account, options));
+  }
+
+  // An account whose only list, Groceries, has these items (and any other list fields)
+  const groceries = (items, list = {}) => ({ lists: [{ name: 'Groceries', items, ...list }] });
+
+  // A list's items as getItems() reports them, checked ones included
+  const items = (listName = null) => client.getItems(true, true, { listName });
+  const names = async (listName = null) => (await items(listName)).map(i => i.name);
+
+  // The operations sent with one handler ID
+  const sent = handlerId => requests.flatMap(r => r.operations).filter(o => o.metadata.handlerId === handlerId);
+
+  beforeEach(async () => {
+    await given();
     const { server, handlers: h } = createMockServer();
     register(server, () => Promise.resolve(client));
     handlers = h;
@@ -18,43 +41,238 @@ describe('shopping tool', () => {
     it('adds an item', async () => {
       const result = await handlers.shopping({ action: 'add_item', name: 'Milk' });
       assert.ok(result.content[0].text.includes('Successfully added "Milk"'));
-      assert.equal(client._items.length, 1);
-      assert.equal(client._items[0].name, 'Milk');
+      assert.deepEqual(await names(), ['Milk']);
+      assert.deepEqual(sentHandlers(requests), ['add-shopping-list-item']);
     });
 
     it('adds item with quantity and notes', async () => {
       await handlers.shopping({ action: 'add_item', name: 'Eggs', quantity: 2, notes: 'organic' });
-      assert.equal(client._items[0].quantity, 2);
-      assert.equal(client._items[0].notes, 'organic');
+      const [eggs] = await items();
+      assert.equal(eggs.quantity, 2);
+      assert.equal(eggs.note, 'organic');
+    });
+
+    it('splits free-form text into fields and reports the interpretation', async () => {
+      const result = await handlers.shopping({ action: 'add_item', name: '2 lbs boneless chicken thighs for the curry' });
+      const [chicken] = await items();
+      assert.deepEqual([chicken.name, chicken.quantity, chicken.unit, chicken.note, chicken.category], [
+        'boneless chicken thighs', 2, 'lb', 'for the curry', 'meat',
+      ]);
+      const text = result.content[0].text;
+      assert.ok(text.includes('Successfully added "boneless chicken thighs" (2 lb)'));
+      assert.ok(text.includes('Understood "2 lbs boneless chicken thighs for the curry" as: name "boneless chicken thighs", quantity 2 lb, note "for the curry"'));
+    });
+
+    it('lets explicit fields win over parsed ones', async () => {
+      await handlers.shopping({ action: 'add_item', name: '2 lbs chicken for the curry', quantity: 3, notes: 'thighs' });
+      const [chicken] = await items();
+      assert.equal(chicken.quantity, 3);
+      assert.equal(chicken.unit, 'lb');
+      assert.equal(chicken.note, 'thighs');
+    });
+
+    it('interprets each name in a batch', async () => {
+      const result = await handlers.shopping({ action: 'add_item', items: [{ name: 'three bags of lemons' }, { name: 'Milk' }] });
+      const [lemons] = await items();
+      assert.deepEqual([lemons.name, lemons.quantity, lemons.unit], ['lemons', 3, 'bag']);
+      assert.ok(result.content[0].text.includes('- ✓ lemons — understood as name "lemons", quantity 3 bag'));
+      assert.ok(result.content[0].text.includes('- ✓ Milk\n') || result.content[0].text.endsWith('- ✓ Milk'));
+    });
+
+    it('adds item with quantity and unit', async () => {
+      const result = await handlers.shopping({ action: 'add_item', name: 'Chicken thighs', quantity: 2, unit: 'lb' });
+      assert.ok(result.content[0].text.includes('(2 lb)'));
+      const [chicken] = await items();
+      assert.equal(chicken.quantity, 2);
+      assert.equal(chicken.unit, 'lb');
     });
 
 
-    it ('should default to "other" category if not provided', async () => {
+    it ('should default to "other" category if not provided and not recognized', async () => {
+      await handlers.shopping({ action: 'add_item', name: 'Widget' });
+      assert.equal((await items())[0].category, 'other');
+    });
+
+    it('picks a category automatically when none is given', async () => {
       await handlers.shopping({ action: 'add_item', name: 'Bread' });
-      assert.equal(client._items[0].category, 'other');
+      assert.equal((await items())[0].category, 'bakery');
+    });
+
+    it("prefers the list's categorization rules over the keyword dictionary", async () => {
+      await given(groceries([], {
+        categories: [{ name: 'Dairy', systemCategory: 'dairy' }, { name: 'Produce', systemCategory: 'produce' }],
+        rules: [{ itemName: 'tofu', category: 'Dairy' }],
+      }));
+      await handlers.shopping({ action: 'add_item', name: 'Tofu' });
+      assert.equal((await items())[0].category, 'dairy');
     });
 
     it('should set category when provided', async () => {
       await handlers.shopping({ action: 'add_item', name: 'Bananas', category: 'produce' });
-      assert.equal(client._items[0].category, 'produce');
+      assert.equal((await items())[0].category, 'produce');
     });
 
     it('should return error for invalid category', async () => {
-      try {
-        await handlers.shopping({ action: 'add_item', name: 'Soda', category: 'invalid-category' });
-        assert.fail('Expected error for invalid category');
-      } catch (e) {
-        assert.ok(e.message.includes('Invalid input for field "category"'));
-      }
+      const result = await handlers.shopping({ action: 'add_item', name: 'Soda', category: 'invalid-category' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Invalid input for field "category"'));
+      assert.ok(result.content[0].text.includes('Produce'));
+      assert.deepEqual(await names(), []);
+      assert.equal(requests.length, 0);
+    });
+
+    it('accepts a category by its display name', async () => {
+      await handlers.shopping({ action: 'add_item', name: 'Cereal', category: 'Breakfast & Cereal' });
+      assert.equal((await items())[0].category, 'breakfast-and-cereal');
+    });
+
+    it("accepts the list's custom categories", async () => {
+      await given(groceries([], { categories: [{ name: 'Bulk Bins', identifier: 'cat-bulk' }, { name: 'Other', systemCategory: 'other' }] }));
+      await handlers.shopping({ action: 'add_item', name: 'Oats', category: 'bulk bins' });
+      assert.deepEqual((await items()).map(i => [i.category, i.categoryName]), [['cat-bulk', 'Bulk Bins']]);
+    });
+  });
+
+  describe('batch items', () => {
+    it('adds many items in one call', async () => {
+      const result = await handlers.shopping({
+        action: 'add_item',
+        items: [
+          { name: 'Onions', quantity: 3 },
+          { name: 'Garlic', notes: 'one head' },
+          { name: 'Rice', quantity: 2, unit: 'lb', category: 'grains-pasta-and-side-dishes' },
+        ],
+      });
+      assert.ok(result.content[0].text.includes('Added 3 of 3 items'));
+      const added = await items();
+      assert.deepEqual(added.map(i => i.name), ['Onions', 'Garlic', 'Rice']);
+      assert.equal(added[2].unit, 'lb');
+      assert.equal(added[2].category, 'grains-pasta-and-side-dishes');
+      assert.equal(requests.length, 1);
+    });
+
+    it('reports an unknown category per item without dropping the rest', async () => {
+      const result = await handlers.shopping({ action: 'add_item', items: [{ name: 'Soda', category: 'fizzy' }, { name: 'Eggs', category: 'Dairy' }] });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Added 1 of 2 items'));
+      assert.ok(text.includes('✗ Soda: Invalid input for field "category"'));
+      assert.deepEqual((await items()).map(i => [i.name, i.category]), [['Eggs', 'dairy']]);
+    });
+
+    it('reports items that were already on the list', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }]));
+      const result = await handlers.shopping({ action: 'add_item', items: [{ name: 'Milk' }, { name: 'Eggs' }] });
+      assert.ok(result.content[0].text.includes('Milk (unchecked)'));
+      assert.ok(result.content[0].text.includes('✓ Eggs'));
+    });
+
+    it('checks many items and reports per-item failures', async () => {
+      await given(groceries([{ name: 'Milk' }, { name: 'Bread' }]));
+      const result = await handlers.shopping({ action: 'check_item', items: [{ name: 'Milk' }, { name: 'Ghost' }, { name: 'Bread' }] });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Checked 2 of 3 items'));
+      assert.ok(text.includes('✗ Ghost'));
+      assert.ok(text.indexOf('Milk') < text.indexOf('Ghost') && text.indexOf('Ghost') < text.indexOf('Bread'));
+      assert.ok((await items()).every(i => i.checked));
+    });
+
+    it('deletes many items using plural and spelling variants', async () => {
+      await given(groceries([{ name: 'Greek yogurt' }, { name: 'Bananas' }, { name: 'Coffee' }]));
+      const result = await handlers.shopping({ action: 'delete_item', items: [{ name: 'greek yoghurt' }, { name: 'banana' }] });
+      assert.ok(result.content[0].text.includes('Deleted 2 of 2 items'));
+      assert.deepEqual(await names(), ['Coffee']);
+    });
+  });
+
+  describe('import_items', () => {
+    it('adds pasted lines in bulk and summarizes what happened to each', async () => {
+      await given(groceries([{ name: 'Milk' }, { name: 'Butter', checked: true }]));
+      const result = await handlers.shopping({ action: 'import_items', text: '- 2 lbs chicken thighs for the curry\n- milk\n- butter\n- Bread' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Imported 4 of 4 items into list "Groceries": 2 added, 1 already on the list, 1 unchecked'));
+      assert.ok(text.includes('Added: chicken thighs, Bread'));
+      assert.ok(text.includes('Already on the list: Milk'));
+      assert.ok(text.includes('Unchecked (had been checked off): Butter'));
+      const chicken = (await items()).find(i => i.name === 'chicken thighs');
+      assert.deepEqual([chicken.quantity, chicken.unit, chicken.note, chicken.category], [2, 'lb', 'for the curry', 'meat']);
+    });
+
+    it('imports CSV and reports invalid categories per row', async () => {
+      const result = await handlers.shopping({ action: 'import_items', text: 'name,quantity,category\nOats,2,Bulk\nRice,3 lb,grains-pasta-and-side-dishes' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Imported 1 of 2 items'));
+      assert.ok(text.includes('- Oats: Invalid input for field "category"'));
+      assert.deepEqual((await items()).map(i => [i.name, i.quantity, i.unit, i.category]), [['Rice', 3, 'lb', 'grains-pasta-and-side-dishes']]);
+    });
+
+    it('uses headings that match list categories and ignores others', async () => {
+      await handlers.shopping({ action: 'import_items', text: '# Party\n- Chips\n## Produce\n- Tofu' });
+      assert.deepEqual((await items()).map(i => [i.name, i.category]), [['Chips', 'snacks-cookies-and-candy'], ['Tofu', 'produce']]);
+    });
+
+    it('returns error when the text has no items', async () => {
+      const result = await handlers.shopping({ action: 'import_items', text: '\n\n' });
+      assert.equal(result.isError, true);
+    });
+  });
+
+  describe('update_item', () => {
+    it('renames an item', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await handlers.shopping({ action: 'update_item', name: 'Milk', new_name: 'Oat milk' });
+      assert.ok(result.content[0].text.includes('Successfully updated "Oat milk"'));
+      assert.deepEqual(await names(), ['Oat milk']);
+      assert.deepEqual(sentHandlers(requests), ['set-list-item-name']);
+    });
+
+    it('updates notes, quantity and category together', async () => {
+      await given(groceries([{ name: 'Flour', quantity: '1' }]));
+      const result = await handlers.shopping({ action: 'update_item', name: 'Flour', notes: 'bread flour', quantity: 2, unit: 'kg', category: 'cooking-and-baking' });
+      assert.ok(result.content[0].text.includes('notes, quantity, category'));
+      const [flour] = await items();
+      assert.equal(flour.note, 'bread flour');
+      assert.equal(flour.quantity, 2);
+      assert.equal(flour.unit, 'kg');
+      assert.equal(flour.category, 'cooking-and-baking');
+      assert.equal(requests.length, 1);
+    });
+
+    it('resolves a spelling variant of the item name', async () => {
+      await given(groceries([{ name: 'Greek yogurt' }]));
+      await handlers.shopping({ action: 'update_item', name: 'greek yoghurt', notes: 'plain' });
+      assert.equal((await items())[0].note, 'plain');
+    });
+
+    it('asks before updating an item that is only part of the name', async () => {
+      await given(groceries([{ name: 'Greek yogurt' }]));
+      const result = await handlers.shopping({ action: 'update_item', name: 'yogurt', notes: 'plain' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Did you mean "Greek yogurt"'));
+      assert.equal((await items())[0].note, undefined);
+      assert.equal(requests.length, 0);
+    });
+
+    it('returns error when no changes are given', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await handlers.shopping({ action: 'update_item', name: 'Milk' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('requires at least one'));
+    });
+
+    it('returns error for non-existent item', async () => {
+      const result = await handlers.shopping({ action: 'update_item', name: 'Ghost', notes: 'x' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not found'));
     });
   });
 
   describe('check_item', () => {
     it('checks off an existing item', async () => {
-      client._items.push({ name: 'Milk', checked: false });
+      await given(groceries([{ name: 'Milk', checked: false }]));
       const result = await handlers.shopping({ action: 'check_item', name: 'Milk' });
       assert.ok(result.content[0].text.includes('Successfully checked off'));
-      assert.equal(client._items[0].checked, true);
+      assert.equal((await items())[0].checked, true);
+      assert.deepEqual(sent('set-list-item-checked').map(o => o.updatedValue), ['y']);
     });
 
     it('returns error for non-existent item', async () => {
@@ -64,12 +282,148 @@ describe('shopping tool', () => {
     });
   });
 
+  describe('fuzzy item matching', () => {
+    it('resolves plurals and spelling variants without asking', async () => {
+      await given(groceries([{ name: 'Tomatoes' }, { name: 'Yogurt' }]));
+      await handlers.shopping({ action: 'check_item', name: 'tomato' });
+      await handlers.shopping({ action: 'check_item', name: 'yoghurt' });
+      assert.ok((await items()).every(i => i.checked));
+    });
+
+    it('asks which item was meant when the match is weak', async () => {
+      const { server, handlers: h, elicitations } = createMockServer({ elicitResponse: { action: 'accept', content: { item: 'Beef' } } });
+      register(server, () => Promise.resolve(client));
+      await given(groceries([{ name: 'Beef' }]));
+      const result = await h.shopping({ action: 'check_item', name: 'beer' });
+      assert.equal(elicitations.length, 1);
+      assert.ok(elicitations[0].message.includes('Did you mean "Beef"'));
+      assert.ok(result.content[0].text.includes('checked off "Beef"'));
+    });
+
+    it('suggests the close match when elicitation is unavailable', async () => {
+      await given(groceries([{ name: 'Beef' }]));
+      const result = await handlers.shopping({ action: 'check_item', name: 'beer' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Did you mean "Beef"'));
+      assert.equal((await items())[0].checked, false);
+    });
+
+    it('does not check off or delete an item one letter away', async () => {
+      await given(groceries([{ name: 'Mustard' }, { name: 'Trackers' }]));
+      for (const [action, name] of [['check_item', 'custard'], ['delete_item', 'custard'], ['check_item', 'crackers']]) {
+        const result = await handlers.shopping({ action, name });
+        assert.equal(result.isError, true, `${action} ${name}`);
+        assert.ok(result.content[0].text.includes('Did you mean'), `${action} ${name}`);
+      }
+      assert.deepEqual((await items()).map(i => [i.name, i.checked]), [['Mustard', false], ['Trackers', false]]);
+      assert.equal(requests.length, 0);
+    });
+
+    it('add_item adds an item one letter away from one on the list as a new item', async () => {
+      await given(groceries([{ name: 'Mustard', quantity: '1' }]));
+      await handlers.shopping({ action: 'add_item', name: 'Custard' });
+      assert.deepEqual((await items()).map(i => [i.name, i.quantity]), [['Mustard', 1], ['Custard', null]]);
+    });
+
+    it('does not check off a longer item that merely starts with the name', async () => {
+      await given(groceries([{ name: 'Cornstarch' }]));
+      const result = await handlers.shopping({ action: 'check_item', name: 'corn' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Did you mean "Cornstarch"'));
+      assert.equal((await items())[0].checked, false);
+    });
+
+    it('add_item updates a near-duplicate instead of adding a new item', async () => {
+      await given(groceries([{ name: 'Tomatoes', checked: true }]));
+      const result = await handlers.shopping({ action: 'add_item', name: 'tomato', quantity: 4 });
+      const tomatoes = await items();
+      assert.deepEqual(tomatoes.map(i => [i.name, i.checked, i.quantity]), [['Tomatoes', false, 4]]);
+      assert.ok(result.content[0].text.includes('already on list "Groceries" as "Tomatoes"'));
+    });
+
+    it('add_item still adds items that only share a word', async () => {
+      await given(groceries([{ name: 'Onions' }]));
+      await handlers.shopping({ action: 'add_item', name: 'Red onions' });
+      assert.deepEqual(await names(), ['Onions', 'Red onions']);
+    });
+  });
+
+  describe('uncheck_item', () => {
+    it('unchecks a checked item', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }]));
+      const result = await handlers.shopping({ action: 'uncheck_item', name: 'Milk' });
+      assert.ok(result.content[0].text.includes('Successfully unchecked "Milk"'));
+      assert.equal((await items())[0].checked, false);
+    });
+
+    it('resolves names against checked items', async () => {
+      await given(groceries([{ name: 'Oat milk', checked: true }, { name: 'Whole milk', checked: false }]));
+      const { server, handlers: h, elicitations } = createMockServer({ elicitResponse: { action: 'accept', content: { item: 'Oat milk' } } });
+      register(server, () => Promise.resolve(client));
+      await h.shopping({ action: 'uncheck_item', name: 'milk' });
+      assert.deepEqual(elicitations[0].requestedSchema.properties.item.enum, ['Oat milk']);
+      assert.equal((await items())[0].checked, false);
+    });
+
+    it('returns error for non-existent item', async () => {
+      const result = await handlers.shopping({ action: 'uncheck_item', name: 'Ghost' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not found'));
+    });
+  });
+
+  describe('uncheck_all / clear_checked', () => {
+    function registerWithElicitation(confirm) {
+      const { server, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm } } });
+      register(server, () => Promise.resolve(client));
+      return h;
+    }
+
+    it('uncheck_all restores every checked item after confirmation', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }, { name: 'Bread', checked: true }, { name: 'Eggs' }]));
+      const h = registerWithElicitation(true);
+      const result = await h.shopping({ action: 'uncheck_all' });
+      assert.ok(result.content[0].text.includes('Unchecked 2 items'));
+      assert.ok((await items()).every(i => !i.checked));
+    });
+
+    it('clear_checked deletes checked items after confirmation', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }, { name: 'Eggs' }]));
+      const h = registerWithElicitation(true);
+      const result = await h.shopping({ action: 'clear_checked' });
+      assert.ok(result.content[0].text.includes('Deleted 1 checked items'));
+      assert.deepEqual(await names(), ['Eggs']);
+    });
+
+    it('clear_checked does nothing when declined', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }]));
+      const h = registerWithElicitation(false);
+      const result = await h.shopping({ action: 'clear_checked' });
+      assert.ok(result.content[0].text.includes('Cancelled'));
+      assert.deepEqual(await names(), ['Milk']);
+      assert.equal(requests.length, 0);
+    });
+
+    it('requires elicitation support to confirm', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }]));
+      const result = await handlers.shopping({ action: 'clear_checked' });
+      assert.equal(result.isError, true);
+      assert.deepEqual(await names(), ['Milk']);
+    });
+
+    it('reports when there is nothing to do', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await handlers.shopping({ action: 'uncheck_all' });
+      assert.ok(result.content[0].text.includes('No checked items'));
+    });
+  });
+
   describe('delete_item', () => {
     it('deletes an existing item', async () => {
-      client._items.push({ name: 'Milk' });
+      await given(groceries([{ name: 'Milk' }]));
       const result = await handlers.shopping({ action: 'delete_item', name: 'Milk' });
       assert.ok(result.content[0].text.includes('Successfully deleted'));
-      assert.equal(client._items.length, 0);
+      assert.deepEqual(await names(), []);
     });
 
     it('returns error for non-existent item', async () => {
@@ -85,7 +439,7 @@ describe('shopping tool', () => {
     });
 
     it('lists items grouped by category', async () => {
-      client._items.push({ name: 'Milk', category: 'Dairy' }, { name: 'Bread', category: 'Bakery' });
+      await given(groceries([{ name: 'Milk', categoryMatchId: 'dairy' }, { name: 'Bread', categoryMatchId: 'bakery' }]));
       const result = await handlers.shopping({ action: 'list_items' });
       assert.ok(result.content[0].text.includes('Milk'));
       assert.ok(result.content[0].text.includes('Bread'));
@@ -93,40 +447,924 @@ describe('shopping tool', () => {
       assert.ok(result.content[0].text.includes('Bakery'));
     });
 
+    it("groups under the list's category names in the list's order", async () => {
+      await given(groceries([
+        { name: 'Apples', categoryMatchId: 'produce' },
+        { name: 'Ham', categoryMatchId: 'cat-deli' },
+        { name: 'Foil', categoryMatchId: 'other' },
+      ], { categories: [
+        { name: 'Deli Counter', identifier: 'cat-deli' },
+        { name: 'Fruit & Veg', systemCategory: 'produce' },
+        { name: 'Other', systemCategory: 'other' },
+      ] }));
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(text.indexOf('**Deli Counter**') < text.indexOf('**Fruit & Veg**'));
+      assert.ok(text.indexOf('**Fruit & Veg**') < text.indexOf('**Other**'));
+      assert.ok(!text.includes('**produce**'));
+    });
+
     it('excludes checked items by default', async () => {
-      client._items.push({ name: 'Milk', checked: false }, { name: 'Done', checked: true });
+      await given(groceries([{ name: 'Milk', checked: false }, { name: 'Done', checked: true }]));
       const result = await handlers.shopping({ action: 'list_items' });
       assert.ok(result.content[0].text.includes('Milk'));
       assert.ok(!result.content[0].text.includes('Done'));
     });
 
     it('includes checked items when requested', async () => {
-      client._items.push({ name: 'Milk', checked: false }, { name: 'Done', checked: true });
+      await given(groceries([{ name: 'Milk', checked: false }, { name: 'Done', checked: true }]));
       const result = await handlers.shopping({ action: 'list_items', include_checked: true });
       assert.ok(result.content[0].text.includes('Done'));
     });
 
+    it('shows quantity with unit', async () => {
+      await given(groceries([{ name: 'Tomatoes', quantity: '3 can' }, { name: 'Eggs', quantity: '12' }]));
+      const result = await handlers.shopping({ action: 'list_items' });
+      assert.ok(result.content[0].text.includes('Tomatoes (3 can)'));
+      assert.ok(result.content[0].text.includes('Eggs (x12)'));
+    });
+
     it('includes notes when requested', async () => {
-      client._items.push({ name: 'Milk', notes: 'whole milk' });
+      await given(groceries([{ name: 'Milk', details: 'whole milk' }]));
       const result = await handlers.shopping({ action: 'list_items', include_notes: true });
       assert.ok(result.content[0].text.includes('whole milk'));
     });
+
+    it("follows the list's alphabetical sort order", async () => {
+      await given(groceries([{ name: 'Yogurt', categoryMatchId: 'dairy' }, { name: 'Butter', categoryMatchId: 'dairy' }], {
+        settings: { listItemSortOrder: 'alphabetical' },
+      }));
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(text.indexOf('Butter') < text.indexOf('Yogurt'));
+    });
+
+    it('shows items without category headings when the list hides categories', async () => {
+      await given(groceries([{ name: 'Milk', categoryMatchId: 'dairy' }, { name: 'Bread', categoryMatchId: 'bakery' }], {
+        settings: { shouldHideCategories: true },
+      }));
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(text.includes('  - Milk\n  - Bread'));
+      assert.ok(!text.includes('**'));
+    });
+  });
+
+  describe('get_list_settings / update_list_settings', () => {
+    it("shows the list's settings", async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Costco', settings: { shouldHidePrices: true } }] });
+      const text = (await handlers.shopping({ action: 'get_list_settings', list_name: 'Costco' })).content[0].text;
+      assert.ok(text.includes('Settings for list "Costco"'));
+      assert.ok(text.includes('- Sort order: manual'));
+      assert.ok(text.includes('- Prices: hidden'));
+      assert.ok(text.includes('- App badge: none'));
+    });
+
+    it('updates only the settings given', async () => {
+      const result = await handlers.shopping({ action: 'update_list_settings', sort_order: 'alphabetical', hide_categories: true, badge_mode: 'unchecked-items' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Updated sort order, hide categories, badge for list "Groceries"'));
+      assert.ok(text.includes('- App badge: number of unchecked items'));
+      assert.equal(client.getListSettings().sortOrder, 'alphabetical');
+      assert.equal(client.getListSettings().hidePrices, false);
+      const [{ updatedSettings }] = sent('save-list-settings');
+      assert.deepEqual([updatedSettings.listId, updatedSettings.listItemSortOrder, updatedSettings.shouldHideCategories, updatedSettings.badgeMode], [
+        'groceries', 'alphabetical', true, 'unchecked-items',
+      ]);
+    });
+
+    it('reports when nothing changed', async () => {
+      const result = await handlers.shopping({ action: 'update_list_settings', hide_prices: false });
+      assert.ok(result.content[0].text.includes('already match'));
+      assert.equal(requests.length, 0);
+    });
+
+    it('requires at least one setting', async () => {
+      const result = await handlers.shopping({ action: 'update_list_settings' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('requires at least one of'));
+    });
+  });
+
+  describe('add_by_barcode', () => {
+    let dir;
+    let store;
+    let h;
+    const products = { '036000291452': { name: 'Oat Milk', categoryMatchId: 'dairy' } };
+    const lookups = () => requests.filter(r => r.endpoint === 'data/product-lookup').map(r => r.fields.upc);
+
+    beforeEach(async () => {
+      dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+      store = createFileStore(path.join(dir, 'data.json'));
+      const mock = createMockServer();
+      register(mock.server, () => Promise.resolve(client), () => store);
+      h = mock.handlers;
+      await given({ ...groceries([]), products });
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("adds the product AnyList finds, in the product's category", async () => {
+      const result = await h.shopping({ action: 'add_by_barcode', barcode: '0 36000 29145 2' });
+      assert.ok(result.content[0].text.includes('Added "Oat Milk" to list "Groceries" — barcode 036000291452'));
+      assert.ok(result.content[0].text.includes("found in AnyList's product database"));
+      assert.equal((await items())[0].category, 'dairy');
+    });
+
+    it('remembers scanned barcodes so repeat scans skip the lookup', async () => {
+      await h.shopping({ action: 'add_by_barcode', barcode: '036000291452' });
+      assert.deepEqual(lookups(), ['036000291452']);
+      await given({ ...groceries([]), products });
+      const result = await h.shopping({ action: 'add_by_barcode', barcode: '036000291452' });
+      assert.ok(result.content[0].text.includes('remembered from an earlier scan'));
+      assert.deepEqual(lookups(), []);
+      assert.deepEqual(await names(), ['Oat Milk']);
+    });
+
+    it('reports a barcode for an item already on the list', async () => {
+      await given({ ...groceries([{ name: 'Oat Milk', categoryMatchId: 'dairy' }]), products });
+      const result = await h.shopping({ action: 'add_by_barcode', barcode: '036000291452' });
+      assert.ok(result.content[0].text.includes('already on list "Groceries", so that item was updated'));
+    });
+
+    it('uses name for a barcode AnyList does not know, and remembers it', async () => {
+      const result = await h.shopping({ action: 'add_by_barcode', barcode: '4006381333931', name: 'Highlighters' });
+      assert.ok(result.content[0].text.includes('Added "Highlighters"'));
+      assert.deepEqual(store.getBarcodeProduct('4006381333931'), { name: 'Highlighters', category: null });
+    });
+
+    it('returns error for an unknown barcode without a name', async () => {
+      const result = await h.shopping({ action: 'add_by_barcode', barcode: '4006381333931' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes("AnyList doesn't know barcode 4006381333931"));
+      assert.deepEqual(await names(), []);
+    });
+
+    it('returns error for a misread barcode before looking it up', async () => {
+      const result = await handlers.shopping({ action: 'add_by_barcode', barcode: '036000291453' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('invalid check digit'));
+      assert.deepEqual(lookups(), []);
+    });
+  });
+
+  describe('purchase history / suggest_restock', () => {
+    let dir;
+    let store;
+    let h;
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+      store = createFileStore(path.join(dir, 'data.json'));
+      const mock = createMockServer();
+      register(mock.server, () => Promise.resolve(client), () => store);
+      h = mock.handlers;
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('records checked-off items as purchases', async () => {
+      await given(groceries([{ name: 'Milk' }, { name: 'Bread' }, { name: 'Eggs', checked: true }]));
+      await h.shopping({ action: 'check_item', name: 'milk' });
+      await h.shopping({ action: 'check_item', items: [{ name: 'Bread' }, { name: 'Eggs' }] });
+      assert.deepEqual(store.getPurchases('groceries').map(p => p.name), ['Milk', 'Bread']);
+    });
+
+    it('warns when the purchase history cannot be written', async () => {
+      store.recordPurchases = () => { throw new Error('disk full'); };
+      await given(groceries([{ name: 'Milk' }, { name: 'Bread' }]));
+      const single = await h.shopping({ action: 'check_item', name: 'Milk' });
+      assert.equal(single.isError, undefined);
+      assert.ok(single.content[0].text.includes('Successfully checked off "Milk"'));
+      assert.ok(single.content[0].text.includes("Warning: the purchase history wasn't updated"));
+      assert.ok(single.content[0].text.includes('disk full'));
+      const batch = await h.shopping({ action: 'check_item', items: [{ name: 'Bread' }] });
+      assert.ok(batch.content[0].text.includes("Warning: the purchase history wasn't updated"));
+      assert.equal((await items())[1].checked, true);
+    });
+
+    it('does not record an item that was already checked off', async () => {
+      await given(groceries([{ name: 'Eggs', checked: true }]));
+      const result = await h.shopping({ action: 'check_item', name: 'Eggs', to_pantry: true });
+      assert.ok(result.content[0].text.includes('"Eggs" was already checked off'));
+      assert.deepEqual(store.getPurchases('groceries'), []);
+      assert.deepEqual(store.getPantryItems(), []);
+    });
+
+    it('suggests items due by purchase interval, then recent items not on the list', async () => {
+      store.recordPurchases('groceries', ['Milk'], daysAgo(15));
+      store.recordPurchases('groceries', ['Milk'], daysAgo(8));
+      store.recordPurchases('groceries', ['Coffee'], daysAgo(20));
+      store.recordPurchases('groceries', ['Coffee'], daysAgo(1));
+      await given(groceries([{ name: 'Bread' }], { recents: [{ name: 'Milk' }, { name: 'Bananas' }, { name: 'Bread' }] }));
+      const text = (await h.shopping({ action: 'suggest_restock' })).content[0].text;
+      assert.ok(text.includes('- Milk — usually every 7 days, last bought 8 days ago (1 day overdue)'));
+      assert.ok(!text.includes('Coffee'));
+      assert.ok(text.includes('Recently added to this list:\n- Bananas'));
+      assert.ok(!text.includes('- Bread'));
+      assert.equal(text.match(/- Milk/g).length, 1);
+    });
+
+    it('leaves out items already on the list', async () => {
+      store.recordPurchases('groceries', ['Milk'], daysAgo(15));
+      store.recordPurchases('groceries', ['Milk'], daysAgo(8));
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await h.shopping({ action: 'suggest_restock' });
+      assert.ok(result.content[0].text.includes('No restock suggestions'));
+    });
+  });
+
+  describe('pantry', () => {
+    let dir;
+    let store;
+    let h;
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+      store = createFileStore(path.join(dir, 'data.json'));
+      const mock = createMockServer();
+      register(mock.server, () => Promise.resolve(client), () => store);
+      h = mock.handlers;
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('puts a checked-off item in the pantry with its quantity', async () => {
+      await given(groceries([{ name: 'Milk', quantity: '2 gal' }]));
+      const result = await h.shopping({ action: 'check_item', name: 'Milk', to_pantry: true, expires_on: '2027-01-31' });
+      assert.ok(result.content[0].text.includes('Successfully checked off "Milk"'));
+      assert.ok(result.content[0].text.includes('Put in the pantry: Milk (now 2 gal)'));
+      assert.deepEqual(store.getPantryItems().map(i => [i.name, i.quantity, i.unit, i.expiresOn]), [['Milk', 2, 'gal', '2027-01-31']]);
+    });
+
+    it('puts a batch of checked-off items in the pantry', async () => {
+      await given(groceries([{ name: 'Milk' }, { name: 'Bread' }, { name: 'Eggs', checked: true }]));
+      const result = await h.shopping({ action: 'check_item', items: [{ name: 'Milk' }, { name: 'Bread' }, { name: 'Eggs' }], to_pantry: true });
+      assert.ok(result.content[0].text.includes('Put in the pantry: Milk, Bread'));
+      assert.deepEqual(store.getPantryItems().map(i => i.name), ['Bread', 'Milk']);
+    });
+
+    it('does not make up a quantity for an item without one', async () => {
+      await given(groceries([{ name: 'Flour' }]));
+      await h.shopping({ action: 'check_item', name: 'Flour', to_pantry: true });
+      assert.deepEqual(store.getPantryItems().map(i => [i.name, i.quantity, i.unit]), [['Flour', null, null]]);
+      await given(groceries([{ name: 'Flour', quantity: '2 lb' }]));
+      const result = await h.shopping({ action: 'check_item', name: 'Flour', to_pantry: true });
+      assert.ok(result.content[0].text.includes('Put in the pantry: Flour (now 2 lb)'));
+    });
+
+    it('still checks the item off when it cannot go in the pantry', async () => {
+      store.setPantryItem({ name: 'Flour', quantity: 2, unit: 'lb', expiresOn: null, addedAt: '2026-01-01T00:00:00.000Z' });
+      await given(groceries([{ name: 'Flour', quantity: '1 bag' }]));
+      const result = await h.shopping({ action: 'check_item', name: 'Flour', to_pantry: true });
+      assert.ok(result.content[0].text.includes('Not put in the pantry: Flour: The pantry has 2 lb'));
+      assert.equal((await items())[0].checked, true);
+    });
+
+    it('mentions when an added item is already in the pantry', async () => {
+      store.setPantryItem({ name: 'Onions', quantity: 3, unit: null, expiresOn: null, addedAt: '2026-01-01T00:00:00.000Z' });
+      const result = await h.shopping({ action: 'add_item', name: 'onion' });
+      assert.ok(result.content[0].text.includes('Already in the pantry: Onions (3)'));
+    });
+  });
+
+  describe('trip_view / set_category_order', () => {
+    let dir;
+    let store;
+    let h;
+    const trip = (list = {}) => groceries([
+      { name: 'Milk', categoryMatchId: 'dairy', quantity: '2 gal' },
+      { name: 'Bread', categoryMatchId: 'bakery', stores: ['Costco'] },
+      { name: 'Bananas', categoryMatchId: 'produce', details: 'ripe' },
+      { name: 'Eggs', categoryMatchId: 'dairy', checked: true },
+    ], { stores: ['Costco'], ...list });
+
+    beforeEach(async () => {
+      dir = mkdtempSync(path.join(os.tmpdir(), 'anylist-mcp-'));
+      store = createFileStore(path.join(dir, 'data.json'));
+      const mock = createMockServer();
+      register(mock.server, () => Promise.resolve(client), () => store);
+      h = mock.handlers;
+      await given(trip());
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    const categoryLines = text => text.split('\n').filter(line => line && !line.startsWith(' ') && !line.startsWith('Shopping trip'));
+
+    it("walks the list's category order by default, as a checklist of unchecked items", async () => {
+      const result = await h.shopping({ action: 'trip_view' });
+      const text = result.content[0].text;
+      assert.ok(text.startsWith('Shopping trip for list "Groceries": 3 items in the list\'s category order'));
+      assert.deepEqual(categoryLines(text), ['Produce', 'Dairy', 'Bakery']);
+      assert.ok(text.includes('  [ ] Bananas [ripe]'));
+      assert.ok(text.includes('  [ ] Milk (2 gal)'));
+      assert.ok(!text.includes('Eggs'));
+    });
+
+    it("uses AnyList's category ordering named after the store", async () => {
+      await given(trip({ settings: { categoryOrderings: [{ identifier: 'o1', name: 'Costco', categories: ['Bakery', 'Dairy', 'Produce'] }] } }));
+      const result = await h.shopping({ action: 'trip_view', store: 'Costco', include_unassigned: true });
+      const text = result.content[0].text;
+      assert.ok(text.includes('AnyList\'s "Costco" category order'));
+      assert.deepEqual(categoryLines(text), ['Bakery', 'Dairy', 'Produce']);
+    });
+
+    it('prefers a saved order for the store over the list-wide one', async () => {
+      await h.shopping({ action: 'set_category_order', categories: ['dairy'] });
+      const saved = await h.shopping({ action: 'set_category_order', store: 'costco', categories: ['Bakery', 'produce'] });
+      assert.ok(saved.content[0].text.includes('Saved category order for list "Groceries" at "costco": Bakery → Produce'));
+
+      const atCostco = await h.shopping({ action: 'trip_view', store: 'Costco', include_unassigned: true });
+      assert.ok(atCostco.content[0].text.includes('your saved order for Costco'));
+      assert.deepEqual(categoryLines(atCostco.content[0].text), ['Bakery', 'Produce', 'Dairy']);
+
+      const anywhere = await h.shopping({ action: 'trip_view' });
+      assert.deepEqual(categoryLines(anywhere.content[0].text), ['Dairy', 'Produce', 'Bakery']);
+    });
+
+    it('clears a saved order with an empty list', async () => {
+      await h.shopping({ action: 'set_category_order', categories: ['Bakery'] });
+      const result = await h.shopping({ action: 'set_category_order', categories: [] });
+      assert.ok(result.content[0].text.includes('Cleared the saved category order for list "Groceries"'));
+      assert.equal(store.getCategoryOrder('groceries'), null);
+    });
+
+    it('rejects unknown categories and stores', async () => {
+      const badCategory = await h.shopping({ action: 'set_category_order', categories: ['Aisle 9'] });
+      assert.equal(badCategory.isError, true);
+      assert.ok(badCategory.content[0].text.includes('Invalid input for field "categories"'));
+      const badStore = await h.shopping({ action: 'set_category_order', store: 'Aldi', categories: ['Bakery'] });
+      assert.equal(badStore.isError, true);
+      assert.ok(badStore.content[0].text.includes('Store "Aldi" not found'));
+    });
+
+    it('reports that orders cannot be saved without local storage', async () => {
+      const result = await handlers.shopping({ action: 'set_category_order', categories: ['Bakery'] });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('needs local storage'));
+    });
+  });
+
+  describe('export_list', () => {
+    beforeEach(async () => {
+      await given(groceries([
+        { name: 'Milk', categoryMatchId: 'dairy', quantity: '2 gal' },
+        { name: 'Bananas', categoryMatchId: 'produce', checked: true, details: 'ripe' },
+      ]));
+    });
+
+    it('exports Markdown with checked items and notes by default', async () => {
+      const result = await handlers.shopping({ action: 'export_list' });
+      const text = result.content[0].text;
+      assert.ok(text.startsWith('# Groceries\n'));
+      assert.ok(text.indexOf('## Produce') < text.indexOf('## Dairy'));
+      assert.ok(text.includes('- [x] Bananas — ripe'));
+      assert.ok(text.includes('- [ ] Milk (2 gal)'));
+    });
+
+    it('exports CSV and can leave out checked items', async () => {
+      const result = await handlers.shopping({ action: 'export_list', format: 'csv', include_checked: false });
+      assert.equal(result.content[0].text, 'name,quantity,unit,category,notes,checked\r\nMilk,2,gal,Dairy,,no\r\n');
+    });
   });
 
   describe('list_lists', () => {
     it('returns empty message when no lists', async () => {
+      // AnyList accounts always have a list, so this one is a stub
+      client = { connect: async () => true, getLists: () => [] };
       const result = await handlers.shopping({ action: 'list_lists' });
       assert.ok(result.content[0].text.includes('No lists found'));
     });
 
     it('returns list names with counts', async () => {
-      client._lists = [
-        { name: 'Groceries', uncheckedCount: 5 },
-        { name: 'Costco', uncheckedCount: 2 },
-      ];
+      await given({ lists: [
+        { name: 'Groceries', items: [{ name: 'Milk' }, { name: 'Eggs' }, { name: 'Bread', checked: true }] },
+        { name: 'Costco', items: [{ name: 'Batteries' }] },
+      ] });
       const result = await handlers.shopping({ action: 'list_lists' });
       assert.ok(result.content[0].text.includes('Groceries'));
-      assert.ok(result.content[0].text.includes('5 unchecked'));
+      assert.ok(result.content[0].text.includes('2 unchecked'));
+    });
+  });
+
+  describe('list folders', () => {
+    beforeEach(async () => {
+      await given({
+        lists: [
+          { name: 'Groceries', items: [{ name: 'Milk' }, { name: 'Eggs' }] },
+          { name: 'Costco', items: [{ name: 'Batteries' }] },
+          { name: 'Hardware' },
+        ],
+        folders: [{ name: 'Stores', lists: ['Costco'], folders: [{ name: 'Home', lists: ['Hardware'] }] }],
+      });
+    });
+
+    it('renders list_lists as a folder tree', async () => {
+      const result = await handlers.shopping({ action: 'list_lists' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('- Groceries (2 unchecked items)'));
+      assert.ok(text.includes('- 📁 Stores\n  - Costco (1 unchecked items)'));
+      assert.ok(text.includes('  - 📁 Home\n    - Hardware (0 unchecked items)'));
+    });
+
+    it('creates a folder', async () => {
+      const result = await handlers.shopping({ action: 'create_folder', folder_name: 'Parties' });
+      assert.ok(result.content[0].text.includes('Created folder "Parties"'));
+      const [operation] = sent('create-folder');
+      assert.deepEqual([operation.listDataId, operation.listFolder.name, operation.updatedParentFolderId], ['list-data', 'Parties', 'root']);
+    });
+
+    it('renames a folder', async () => {
+      const result = await handlers.shopping({ action: 'rename_folder', folder_name: 'stores', new_name: 'Shops' });
+      assert.ok(result.content[0].text.includes('Renamed folder "Stores" to "Shops"'));
+      const [{ listFolder }] = sent('rename-folder');
+      assert.deepEqual([listFolder.identifier, listFolder.name], ['folder-stores', 'Shops']);
+    });
+
+    it('moves a list into a folder', async () => {
+      const result = await handlers.shopping({ action: 'move_list', list_name: 'Groceries', folder_name: 'Stores' });
+      assert.ok(result.content[0].text.includes('Moved list "Groceries" to folder "Stores"'));
+      const [operation] = sent('move-items');
+      assert.deepEqual(operation.folderItems.map(i => i.identifier), ['groceries']);
+      assert.deepEqual([operation.originalParentFolderId, operation.updatedParentFolderId], ['root', 'folder-stores']);
+    });
+
+    it('moves a list out of its folder', async () => {
+      const result = await handlers.shopping({ action: 'move_list', list_name: 'Costco' });
+      assert.ok(result.content[0].text.includes('to the top level'));
+      const [operation] = sent('move-items');
+      assert.deepEqual([operation.originalParentFolderId, operation.updatedParentFolderId], ['folder-stores', 'root']);
+    });
+
+    it('returns error for an unknown folder', async () => {
+      const result = await handlers.shopping({ action: 'move_list', list_name: 'Groceries', folder_name: 'Nope' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not found'));
+    });
+  });
+
+  describe('list lifecycle', () => {
+    it('creates a list', async () => {
+      const result = await handlers.shopping({ action: 'create_list', list_name: 'Party 10/31' });
+      assert.ok(result.content[0].text.includes('Created list "Party 10/31"'));
+      const [{ list }] = sent('new-shopping-list');
+      assert.equal(list.name, 'Party 10/31');
+    });
+
+    it('returns error when creating a duplicate list', async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Costco' }] });
+      const result = await handlers.shopping({ action: 'create_list', list_name: 'costco' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('already exists'));
+      assert.equal(requests.length, 0);
+    });
+
+    it('renames a list', async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Costco' }] });
+      const result = await handlers.shopping({ action: 'rename_list', list_name: 'Costco', new_name: 'Warehouse' });
+      assert.ok(result.content[0].text.includes('Renamed list "Costco" to "Warehouse"'));
+      assert.deepEqual(client.getAvailableListNames(), ['Groceries', 'Warehouse']);
+      assert.deepEqual(sent('set-list-name').map(o => [o.listId, o.originalValue, o.updatedValue]), [['costco', 'Costco', 'Warehouse']]);
+    });
+
+    it('requires list_name for create_list without elicitation', async () => {
+      const result = await handlers.shopping({ action: 'create_list' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('list_name'));
+    });
+
+    it('deletes a list after confirmation', async () => {
+      await given({ lists: [
+        { name: 'Groceries', items: [{ name: 'Milk' }] },
+        { name: 'Party', items: [{ name: 'Chips' }, { name: 'Salsa' }, { name: 'Cups' }, { name: 'Ice' }] },
+      ] });
+      const { server, handlers: h, elicitations } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: true } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'delete_list', list_name: 'Party' });
+      assert.ok(result.content[0].text.includes('Deleted list "Party"'));
+      assert.ok(elicitations[0].message.includes('4 unchecked items'));
+      assert.deepEqual(client.getAvailableListNames(), ['Groceries']);
+      assert.deepEqual(sent('delete-list').map(o => o.listId), ['party']);
+    });
+
+    it('keeps the list when deletion is declined', async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Party' }] });
+      const { server, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: false } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'delete_list', list_name: 'Party' });
+      assert.ok(result.content[0].text.includes('Cancelled'));
+      assert.deepEqual(client.getAvailableListNames(), ['Groceries', 'Party']);
+      assert.equal(requests.length, 0);
+    });
+
+    it('returns error when deleting an unknown list', async () => {
+      const result = await handlers.shopping({ action: 'delete_list', list_name: 'Nope' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not found'));
+    });
+  });
+
+  describe('list sharing', () => {
+    const owner = { email: 'me@example.com', userId: USER_ID, fullName: 'Sam Lee' };
+    const alex = { email: 'alex@example.com', userId: 'u2', fullName: 'Alex Kim' };
+    const shared = sharedUsers => groceries([], { creator: USER_ID, sharedUsers });
+
+    it('lists members with the owner marked', async () => {
+      await given(shared([owner, alex]));
+      const result = await handlers.shopping({ action: 'list_members', list_name: 'Groceries' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('shared with 1 person'));
+      assert.ok(text.includes('- Sam Lee <me@example.com> (owner, you)'));
+      assert.ok(text.includes('- Alex Kim <alex@example.com>'));
+    });
+
+    it('reports an unshared list', async () => {
+      await given(shared([owner]));
+      const result = await handlers.shopping({ action: 'list_members' });
+      assert.ok(result.content[0].text.includes("isn't shared with anyone"));
+    });
+
+    it('shares a list by email', async () => {
+      await given(shared([owner]));
+      const result = await handlers.shopping({ action: 'share_list', list_name: 'Groceries', email: 'Alex@Example.com' });
+      assert.ok(result.content[0].text.includes('Shared list "Groceries" with alex@example.com'));
+      assert.deepEqual(sent('share-list').map(o => [o.listId, o.updatedValue]), [['groceries', 'alex@example.com']]);
+    });
+
+    it('returns error when sharing with an existing member', async () => {
+      await given(shared([owner, { ...alex, fullName: null }]));
+      const result = await handlers.shopping({ action: 'share_list', email: 'alex@example.com' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('already shared'));
+      assert.equal(requests.length, 0);
+    });
+
+    it('unshares after confirmation', async () => {
+      await given(shared([owner, alex]));
+      const { server, handlers: h, elicitations } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: true } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'unshare_list', list_name: 'Groceries', email: 'Alex Kim' });
+      assert.ok(elicitations[0].message.includes('Stop sharing list "Groceries" with Alex Kim?'));
+      assert.ok(result.content[0].text.includes('Stopped sharing list "Groceries" with alex@example.com'));
+      assert.deepEqual(sent('unshare-list').map(o => o.updatedValue), ['u2']);
+      assert.equal(client.getListMembers('Groceries').members.length, 1);
+    });
+
+    it('keeps the member when unsharing is declined', async () => {
+      await given(shared([owner, { ...alex, fullName: null }]));
+      const { server, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: false } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'unshare_list', email: 'alex@example.com' });
+      assert.ok(result.content[0].text.includes('Cancelled'));
+      assert.equal(client.getListMembers('Groceries').members.length, 2);
+    });
+  });
+
+  describe('move_item / copy_items', () => {
+    it('moves an item with its details to another list', async () => {
+      await given({ lists: [
+        { name: 'Groceries', items: [{ name: 'Batteries', details: 'AA', categoryMatchId: 'household-and-cleaning', quantity: '2' }] },
+        { name: 'Hardware Store' },
+      ] });
+      const result = await handlers.shopping({ action: 'move_item', name: 'batteries', list_name: 'Groceries', to_list_name: 'Hardware Store' });
+      assert.ok(result.content[0].text.includes('Moved "Batteries" from list "Groceries" to list "Hardware Store"'));
+      assert.deepEqual(await names(), []);
+      const [moved] = await items('Hardware Store');
+      assert.equal(moved.note, 'AA');
+      assert.equal(moved.category, 'household-and-cleaning');
+      assert.equal(moved.quantity, 2);
+      assert.equal(requests.length, 1);
+    });
+
+    it('requires a destination list for move_item', async () => {
+      await given(groceries([{ name: 'Batteries' }]));
+      const result = await handlers.shopping({ action: 'move_item', name: 'Batteries' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('to_list_name'));
+    });
+
+    it('copies all unchecked items to seed a new list', async () => {
+      await given({ lists: [
+        { name: 'Groceries', items: [{ name: 'Chips' }, { name: 'Salsa' }, { name: 'Old', checked: true }] },
+        { name: 'Party' },
+      ] });
+      const result = await handlers.shopping({ action: 'copy_items', list_name: 'Groceries', to_list_name: 'Party' });
+      assert.ok(result.content[0].text.includes('Copied 2 of 2 items on list "Party"'));
+      assert.deepEqual(await names('Party'), ['Chips', 'Salsa']);
+      assert.equal((await names('Groceries')).length, 3);
+    });
+
+    it('copies only the selected items', async () => {
+      await given({ lists: [{ name: 'Groceries', items: [{ name: 'Chips' }, { name: 'Salsa' }] }, { name: 'Party' }] });
+      const result = await handlers.shopping({ action: 'copy_items', list_name: 'Groceries', to_list_name: 'Party', items: [{ name: 'salsa' }, { name: 'Ghost' }] });
+      assert.ok(result.content[0].text.includes('Copied 1 of 2 items'));
+      assert.deepEqual(await names('Party'), ['Salsa']);
+    });
+
+    it('reports when there is nothing to copy', async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Party' }] });
+      const result = await handlers.shopping({ action: 'copy_items', to_list_name: 'Party' });
+      assert.ok(result.content[0].text.includes('No unchecked items'));
+    });
+  });
+
+  describe('find_duplicates / merge_items', () => {
+    beforeEach(async () => {
+      await given(groceries([
+        { name: 'Eggs', quantity: '1', details: 'free range' },
+        { name: 'Bread' },
+        { name: 'eggs (dozen)', quantity: '2' },
+        { name: 'Large eggs', details: 'brown' },
+      ]));
+    });
+
+    it('lists groups of similar unchecked items', async () => {
+      const result = await handlers.shopping({ action: 'find_duplicates' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('- Eggs (1) [free range] | eggs (dozen) (2) | Large eggs [brown]'));
+      assert.ok(!text.includes('Bread'));
+    });
+
+    it('reports when there are no duplicates', async () => {
+      await given(groceries([{ name: 'Milk' }, { name: 'Bread' }]));
+      const result = await handlers.shopping({ action: 'find_duplicates' });
+      assert.ok(result.content[0].text.includes('No likely duplicates on list "Groceries"'));
+    });
+
+    it('merges items into the first one after confirmation', async () => {
+      const { server, elicitations, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: true } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'merge_items', items: [{ name: 'Eggs' }, { name: 'eggs (dozen)' }, { name: 'Large eggs' }] });
+      assert.ok(elicitations[0].message.includes('Merge "eggs (dozen)", "Large eggs" into "Eggs"'));
+      assert.ok(result.content[0].text.includes('into "Eggs" on list "Groceries" (quantity 3, notes "free range; brown")'));
+      assert.deepEqual(await names(), ['Eggs', 'Bread']);
+      assert.equal(requests.length, 1);
+    });
+
+    it('keeps the item named by name', async () => {
+      const { server, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: true } } });
+      register(server, () => Promise.resolve(client));
+      await h.shopping({ action: 'merge_items', name: 'Large eggs', items: [{ name: 'Eggs' }, { name: 'Large eggs' }] });
+      assert.deepEqual(await names(), ['Bread', 'eggs (dozen)', 'Large eggs']);
+    });
+
+    it('keeps every item when the merge is declined', async () => {
+      const { server, handlers: h } = createMockServer({ elicitResponse: { action: 'accept', content: { confirm: false } } });
+      register(server, () => Promise.resolve(client));
+      const result = await h.shopping({ action: 'merge_items', items: [{ name: 'Eggs' }, { name: 'Large eggs' }] });
+      assert.ok(result.content[0].text.includes('Cancelled'));
+      assert.equal((await names()).length, 4);
+    });
+
+    it('returns error with fewer than two items', async () => {
+      const result = await handlers.shopping({ action: 'merge_items', items: [{ name: 'Eggs' }] });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('at least two items'));
+    });
+  });
+
+  describe('stores', () => {
+    const withStores = (list = {}) => groceries([
+      { name: 'Paper towels', stores: ['Costco'] },
+      { name: 'Dumplings', stores: ['Trader Joes'] },
+      { name: 'Milk' },
+    ], { stores: ['Costco', 'Trader Joes'], ...list });
+
+    beforeEach(async () => {
+      await given(withStores());
+    });
+
+    it('lists stores and saved store filters', async () => {
+      await given(withStores({ storeFilters: [{ name: 'Weekend run', stores: ['Costco', 'Trader Joes'], includesUnassignedItems: true }] }));
+      const text = (await handlers.shopping({ action: 'list_stores' })).content[0].text;
+      assert.ok(text.includes('Stores for list "Groceries" (2)'));
+      assert.ok(text.includes('- Weekend run: Costco, Trader Joes + unassigned items'));
+    });
+
+    it('creates a store', async () => {
+      const result = await handlers.shopping({ action: 'create_store', store: 'Safeway' });
+      assert.ok(result.content[0].text.includes('Created store "Safeway"'));
+      assert.deepEqual(client.getStores().map(s => s.name), ['Costco', 'Trader Joes', 'Safeway']);
+      const [{ updatedStore }] = sent('new-store');
+      assert.deepEqual([updatedStore.listId, updatedStore.name, updatedStore.sortIndex], ['groceries', 'Safeway', 2]);
+    });
+
+    it('returns error when creating a store that exists', async () => {
+      const result = await handlers.shopping({ action: 'create_store', store: 'costco' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('already exists'));
+    });
+
+    it('assigns a store on add_item', async () => {
+      await handlers.shopping({ action: 'add_item', name: 'Batteries', store: 'costco' });
+      assert.deepEqual((await items())[3].stores, ['Costco']);
+      const [{ listItem }] = sent('add-shopping-list-item');
+      assert.deepEqual(listItem.storeIds, ['groceries-store-0']);
+    });
+
+    it('returns error for an unknown store on add_item', async () => {
+      const result = await handlers.shopping({ action: 'add_item', name: 'Batteries', store: 'Nowhere' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Available stores: Costco, Trader Joes'));
+    });
+
+    it('reassigns and unassigns a store on update_item', async () => {
+      const result = await handlers.shopping({ action: 'update_item', name: 'Milk', store: 'Trader Joes' });
+      assert.ok(result.content[0].text.includes('(store)'));
+      assert.deepEqual((await items())[2].stores, ['Trader Joes']);
+      await handlers.shopping({ action: 'update_item', name: 'Milk', store: '' });
+      assert.deepEqual((await items())[2].stores, []);
+      assert.deepEqual(sent('set-list-item-store-ids').map(o => o.updatedValue), ['groceries-store-1', '']);
+    });
+
+    it('filters list_items by store', async () => {
+      const text = (await handlers.shopping({ action: 'list_items', store: 'Costco' })).content[0].text;
+      assert.ok(text.includes('Shopping list "Groceries" at "Costco" (1 items)'));
+      assert.ok(text.includes('Paper towels'));
+      assert.ok(!text.includes('Dumplings'));
+      assert.ok(!text.includes('Milk'));
+    });
+
+    it('includes unassigned items when asked', async () => {
+      const text = (await handlers.shopping({ action: 'list_items', store: 'Costco', include_unassigned: true })).content[0].text;
+      assert.ok(text.includes('Paper towels'));
+      assert.ok(text.includes('Milk'));
+      assert.ok(!text.includes('Dumplings'));
+    });
+
+    it('accepts a saved store filter name', async () => {
+      await given(withStores({ storeFilters: [{ name: 'Bulk', stores: ['Costco'], includesUnassignedItems: true }] }));
+      const text = (await handlers.shopping({ action: 'list_items', store: 'bulk' })).content[0].text;
+      assert.ok(text.includes('Paper towels'));
+      assert.ok(text.includes('Milk'));
+      assert.ok(!text.includes('Dumplings'));
+    });
+
+    it('shows item stores when not filtering', async () => {
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(text.includes('Paper towels @ Costco'));
+    });
+  });
+
+  describe('reminder locations', () => {
+    const costco = { name: 'Costco', address: '1 Warehouse Way', latitude: 47.6, longitude: -122.3 };
+    const locations = () => client.getNotificationLocations().map(({ identifier, ...location }) => location);
+
+    it('lists locations with their addresses and coordinates', async () => {
+      await given(groceries([], { notificationLocations: [costco] }));
+      const result = await handlers.shopping({ action: 'list_locations' });
+      assert.ok(result.content[0].text.includes('- Costco — 1 Warehouse Way (47.6, -122.3)'));
+    });
+
+    it('reports a list without locations', async () => {
+      const result = await handlers.shopping({ action: 'list_locations' });
+      assert.ok(result.content[0].text.includes('has no reminder locations'));
+    });
+
+    it('adds a location', async () => {
+      await given({ lists: [{ name: 'Groceries' }, { name: 'Costco run' }] });
+      const result = await handlers.shopping({ action: 'add_location', list_name: 'Costco run', name: 'Costco', address: '1 Warehouse Way', latitude: 47.6, longitude: -122.3 });
+      assert.ok(result.content[0].text.includes('List "Costco run" will remind you near "Costco" (1 Warehouse Way)'));
+      assert.deepEqual(locations(), [costco]);
+      const [operation] = sent('add-notification-location');
+      assert.deepEqual([operation.listId, operation.notificationLocation.name, operation.notificationLocation.latitude], ['costco-run', 'Costco', 47.6]);
+    });
+
+    it('requires coordinates to add a location', async () => {
+      const result = await handlers.shopping({ action: 'add_location', name: 'Costco', address: '1 Warehouse Way' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('requires "latitude" and "longitude"'));
+    });
+
+    it('removes a location by name', async () => {
+      await given(groceries([], { notificationLocations: [{ name: 'Costco', latitude: 47.6, longitude: -122.3 }] }));
+      const result = await handlers.shopping({ action: 'remove_location', name: 'costco' });
+      assert.ok(result.content[0].text.includes('Removed reminder location "Costco"'));
+      assert.deepEqual(locations(), []);
+      assert.deepEqual(sent('remove-notification-location').map(o => o.notificationLocation.identifier), ['groceries-location-0']);
+    });
+
+    it('returns error when removing an unknown location', async () => {
+      const result = await handlers.shopping({ action: 'remove_location', name: 'Aldi' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not found'));
+    });
+  });
+
+  describe('prices', () => {
+    const prices = name => client.getPriceHistory(name).prices.map(p => [p.amount, p.store]);
+
+    it('records a price on add_item for the given store', async () => {
+      await given(groceries([], { stores: ['Costco'] }));
+      await handlers.shopping({ action: 'add_item', name: 'Coffee', price: 12.5, store: 'Costco' });
+      assert.deepEqual(prices('Coffee'), [[12.5, 'Costco']]);
+      const [{ listItem }] = sent('add-shopping-list-item');
+      assert.deepEqual(listItem.prices.map(p => [p.amount, p.storeId]), [[12.5, 'groceries-store-0']]);
+    });
+
+    it('records a price on update_item', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await handlers.shopping({ action: 'update_item', name: 'Milk', price: 3.49 });
+      assert.ok(result.content[0].text.includes('(price)'));
+      assert.deepEqual(prices('Milk'), [[3.49, null]]);
+      assert.deepEqual(sent('set-list-item-price').map(o => o.itemPrice.amount), [3.49]);
+    });
+
+    it('shows item prices, category subtotals and a total in list_items', async () => {
+      await given(groceries([
+        { name: 'Milk', categoryMatchId: 'dairy', quantity: '2', prices: [{ amount: 3.5, store: 'Costco', date: '2026-10-01' }] },
+        { name: 'Cheese', categoryMatchId: 'dairy', prices: [{ amount: 5, date: '2026-10-01' }] },
+        { name: 'Apples', categoryMatchId: 'produce', prices: [{ amount: 4.25, date: '2026-10-01' }] },
+        { name: 'Foil', categoryMatchId: 'other' },
+      ], { stores: ['Costco'] }));
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(text.includes('Milk (x2) — $3.50 ea, $7.00 at Costco'));
+      assert.ok(text.includes('Cheese — $5.00'));
+      assert.ok(text.includes('**Dairy** — $12.00'));
+      assert.ok(text.includes('**Produce** — $4.25'));
+      assert.ok(text.includes('**Other**\n'));
+      assert.ok(text.includes('Estimated total: $16.25 (1 items without a price)'));
+    });
+
+    it('leaves totals out when nothing has a price', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const text = (await handlers.shopping({ action: 'list_items' })).content[0].text;
+      assert.ok(!text.includes('Estimated total'));
+    });
+
+    it('uses the price at the filtered store', async () => {
+      await given(groceries([{ name: 'Milk', stores: ['Costco', 'Safeway'], prices: [
+        { amount: 3, store: 'Costco', date: '2026-09-01' },
+        { amount: 4, store: 'Safeway', date: '2026-10-01' },
+      ] }], { stores: ['Costco', 'Safeway'] }));
+      const text = (await handlers.shopping({ action: 'list_items', store: 'Costco' })).content[0].text;
+      assert.ok(text.includes('Milk — $3.00 at Costco'));
+    });
+
+    it('shows price history across stores and dates, newest first', async () => {
+      await given(groceries([{ name: 'Coffee', checked: true, prices: [
+        { amount: 11, store: 'Costco', date: '2026-08-01' },
+        { amount: 13.5, store: 'Safeway', date: '2026-10-01' },
+        { amount: 12, store: 'Costco', date: '2026-09-15' },
+      ] }], { stores: ['Costco', 'Safeway'] }));
+      const text = (await handlers.shopping({ action: 'price_history', name: 'coffee' })).content[0].text;
+      assert.ok(text.includes('Price history for "Coffee"'));
+      assert.ok(text.indexOf('2026-10-01: $13.50 at Safeway') < text.indexOf('2026-09-15: $12.00 at Costco'));
+      assert.ok(text.includes('Lowest: $11.00 at Costco'));
+    });
+
+    it('reports when an item has no prices', async () => {
+      await given(groceries([{ name: 'Milk' }]));
+      const result = await handlers.shopping({ action: 'price_history', name: 'Milk' });
+      assert.ok(result.content[0].text.includes('No prices recorded for "Milk"'));
+    });
+  });
+
+  describe('categorization rules', () => {
+    const categories = [{ name: 'Produce', systemCategory: 'produce' }, { name: 'Dairy', systemCategory: 'dairy' }];
+
+    it('lists rules with category names', async () => {
+      await given(groceries([], { categories, rules: [{ itemName: 'tofu', category: 'Produce' }] }));
+      const result = await handlers.shopping({ action: 'list_rules' });
+      assert.ok(result.content[0].text.includes('tofu → Produce'));
+    });
+
+    it('reports when there are no rules', async () => {
+      const result = await handlers.shopping({ action: 'list_rules' });
+      assert.ok(result.content[0].text.includes('No categorization rules'));
+    });
+
+    it('creates and then updates a rule', async () => {
+      await given(groceries([], { categories }));
+      let result = await handlers.shopping({ action: 'set_rule', name: 'tofu', category: 'Produce' });
+      assert.ok(result.content[0].text.includes('Created rule'));
+      result = await handlers.shopping({ action: 'set_rule', name: 'Tofu', category: 'dairy' });
+      assert.ok(result.content[0].text.includes('Updated rule'));
+      assert.deepEqual(client.getCategorizationRules().map(r => [r.itemName, r.category]), [['Tofu', 'Dairy']]);
+      const [created, updated] = sent('save-categorization-rule').map(o => o.updatedCategorizationRule);
+      assert.equal(updated.identifier, created.identifier);
+      assert.deepEqual([created.categoryId, updated.categoryId], ['produce', 'dairy']);
+    });
+
+    it('new items follow a rule once it is set', async () => {
+      await given(groceries([], { categories }));
+      await handlers.shopping({ action: 'set_rule', name: 'tofu', category: 'Produce' });
+      await handlers.shopping({ action: 'add_item', name: 'Tofu' });
+      assert.equal((await items())[0].category, 'produce');
+    });
+
+    it('errors for an unknown category', async () => {
+      await given(groceries([], { categories }));
+      const result = await handlers.shopping({ action: 'set_rule', name: 'tofu', category: 'nope' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Category "nope" not found'));
     });
   });
 
@@ -137,13 +1375,78 @@ describe('shopping tool', () => {
     });
 
     it('returns favorite items', async () => {
-      client._favorites = [{ name: 'Bananas', details: 'organic' }];
+      await given(groceries([], { favorites: [{ name: 'Bananas', details: 'organic' }] }));
       const result = await handlers.shopping({ action: 'get_favorites' });
       assert.ok(result.content[0].text.includes('Bananas'));
       assert.ok(result.content[0].text.includes('organic'));
     });
   });
 
+  describe('managing favorites', () => {
+    const favorites = async () => (await client.getFavoriteItems(null)).map(f => f.name);
+
+    it('adds a favorite', async () => {
+      const result = await handlers.shopping({ action: 'add_favorite', name: 'Bananas', notes: 'ripe' });
+      assert.ok(result.content[0].text.includes('Added "Bananas" to favorites'));
+      assert.deepEqual(await client.getFavoriteItems(null), [{ name: 'Bananas', details: 'ripe' }]);
+      assert.deepEqual(requests.map(r => r.endpoint), ['data/starter-lists/update']);
+    });
+
+    it('does not duplicate an existing favorite', async () => {
+      await given(groceries([], { favorites: [{ name: 'Bananas' }] }));
+      const result = await handlers.shopping({ action: 'add_favorite', name: 'banana' });
+      assert.ok(result.content[0].text.includes('already a favorite'));
+      assert.deepEqual(await favorites(), ['Bananas']);
+    });
+
+    it('removes a favorite', async () => {
+      await given(groceries([], { favorites: [{ name: 'Bananas' }, { name: 'Milk' }] }));
+      const result = await handlers.shopping({ action: 'remove_favorite', name: 'bananas' });
+      assert.ok(result.content[0].text.includes('Removed "Bananas"'));
+      assert.deepEqual(await favorites(), ['Milk']);
+    });
+
+    it('suggests a similar favorite instead of removing it', async () => {
+      await given(groceries([], { favorites: [{ name: 'Tomatoes' }] }));
+      const result = await handlers.shopping({ action: 'remove_favorite', name: 'tomato' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('Did you mean "Tomatoes"'));
+      assert.deepEqual(await favorites(), ['Tomatoes']);
+    });
+
+    it('returns error when removing something that is not a favorite', async () => {
+      const result = await handlers.shopping({ action: 'remove_favorite', name: 'Ghost' });
+      assert.equal(result.isError, true);
+      assert.ok(result.content[0].text.includes('not a favorite'));
+    });
+
+    it('adds all favorites to the list', async () => {
+      await given(groceries([{ name: 'Milk', checked: true }], { favorites: [{ name: 'Bananas', details: 'ripe' }, { name: 'Milk' }] }));
+      const result = await handlers.shopping({ action: 'add_favorites_to_list' });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Added 2 of 2 items'));
+      assert.ok(text.includes('Milk (unchecked)'));
+      const added = await items();
+      assert.deepEqual(added.map(i => i.name), ['Milk', 'Bananas']);
+      assert.equal(added[1].note, 'ripe');
+      assert.equal(requests.length, 1);
+    });
+
+    it('adds only the selected favorites and reports unknown ones', async () => {
+      await given(groceries([], { favorites: [{ name: 'Bananas' }, { name: 'Milk' }] }));
+      const result = await handlers.shopping({ action: 'add_favorites_to_list', items: [{ name: 'milk' }, { name: 'Caviar' }] });
+      const text = result.content[0].text;
+      assert.ok(text.includes('Added 1 of 2 items'));
+      assert.ok(text.includes('✗ Caviar'));
+      assert.deepEqual(await names(), ['Milk']);
+    });
+
+    it('reports when there are no favorites to add', async () => {
+      const result = await handlers.shopping({ action: 'add_favorites_to_list' });
+      assert.ok(result.content[0].text.includes('No favorite items'));
+    });
+  });
+
   describe('get_recents', () => {
     it('returns empty message when no recents', async () => {
       const result = await handlers.shopping({ action: 'get_recents' });
@@ -151,7 +1454,7 @@ describe('shopping tool', () => {
     });
 
     it('returns recent items', async () => {
-      client._recents = [{ name: 'Avocado' }];
+      await given(groceries([], { recents: [{ name: 'Avocado' }] }));
       const result = await handlers.shopping({ action: 'get_recents' });
       assert.ok(result.content[0].text.includes('Avocado'));
     });